@@ -4,10 +4,37 @@
  * Version: 1.1 - Added filename-based download naming
  */
 
-import { detectFace, loadFaceApiModels } from './faceDetection.js';
-import { extractColorScheme, generateBorder, extractPalette } from './colorUtils.js?v=1.7';
-import { createToken } from './tokenGenerator.js?v=1.5';
-import { COLOR_SWATCHES, BORDER_TEXTURES } from './borderStyles.js?v=1.5';
+import { detectFace, detectFaces, loadFaceApiModels, getFallbackFaceData, eyeLevelRotation } from './faceDetection.js';
+import {
+    extractColorScheme, generateBorder, extractPalette, harmonyScheme, shadeScheme, schemeWithRole,
+    COLOR_HARMONIES, COLOR_HARMONY_NAMES
+} from './colorUtils.js?v=1.7';
+import { createToken, TOKEN_SIZE_PRESETS, clampTokenSize } from './tokenGenerator.js?v=1.5';
+import {
+    COLOR_SWATCHES, BORDER_TEXTURES, DEFAULT_FRAME_INNER_RADIUS, MAX_BORDER_WIDTH, MAX_BORDER_BANDS, MAX_BAND_WIDTH,
+    getBorderTextures, getTextureDefinition, resolveTextureParams, loadBorderTextureModules
+} from './borderStyles.js?v=1.5';
+import { createZip, uniqueZipName } from './zipWriter.js';
+import { BACKGROUND_FILLS, BACKGROUND_FILL_NAMES, SEEDED_BACKGROUND_FILLS } from './backgroundFills.js';
+import { randomSeed, normalizeSeed } from './noise.js';
+import { loadFrames, addFrame, updateFrame, deleteFrame, exportFramesJson, importFramesJson } from './frameLibrary.js';
+import { TOKEN_SHAPES, SHAPE_NAMES, createShape } from './tokenShapes.js';
+import {
+    defaultBorderOptions, loadPresets, savePreset, deletePreset, presetToBorderOptions,
+    exportPresetsJson, importPresetsJson, getKeepLastPreset, setKeepLastPreset,
+    getLastPresetName, setLastPresetName
+} from './borderPresets.js';
+import { createEditHistory } from './editHistory.js';
+import {
+    FOUNDRY_IMAGE_FORMATS, DEFAULT_FOUNDRY_FOLDER, foundryImageMime, normalizeFoundryFolder,
+    buildPrototypeToken, createFoundryPackage
+} from './foundryExport.js';
+import { OVERLAY_FONTS, OVERLAY_FONT_NAMES, defaultOverlays, normalizeOverlays } from './tokenOverlays.js';
+import {
+    getSubjectMask, loadSubjectSegmenter, MASK_SOURCES, DEFAULT_POP_OUT_EXTENT, MAX_POP_OUT_EXTENT
+} from './subjectMask.js';
+import { IMAGE_ADJUSTMENTS, normalizeAdjustments } from './imageAdjustments.js';
+import { PORTRAIT_FILTERS, getPortraitFilters, getFilteredImage, drawFilterOverlay } from './portraitFilters.js';
 
 // DOM Elements
 const uploadArea = document.getElementById('uploadArea');
@@ -23,23 +50,136 @@ const zoomValue = document.getElementById('zoomValue');
 const colorSwatches = document.getElementById('colorSwatches');
 const textureSwatches = document.getElementById('textureSwatches');
 const resetColorBtn = document.getElementById('resetColorBtn');
+const colorRolesEl = document.getElementById('colorRoles');
+const harmonyBaseEl = document.getElementById('harmonyBase');
+const harmonyOptionsEl = document.getElementById('harmonyOptions');
 const resetTextureBtn = document.getElementById('resetTextureBtn');
+const shapePicker = document.getElementById('shapePicker');
+const filterSwatches = document.getElementById('filterSwatches');
+const backgroundSelect = document.getElementById('backgroundSelect');
+const backgroundColorInput = document.getElementById('backgroundColorInput');
+const resetBackgroundColorBtn = document.getElementById('resetBackgroundColorBtn');
+const textureParamsEl = document.getElementById('textureParams');
+const adjustmentSlidersEl = document.getElementById('adjustmentSliders');
+const borderWidthSlider = document.getElementById('borderWidthSlider');
+const borderWidthValue = document.getElementById('borderWidthValue');
+const bandList = document.getElementById('bandList');
+const addBandBtn = document.getElementById('addBandBtn');
+const seedControl = document.getElementById('seedControl');
+const seedInput = document.getElementById('seedInput');
+const reseedBtn = document.getElementById('reseedBtn');
+const facePicker = document.getElementById('facePicker');
+const facePickerCanvas = document.getElementById('facePickerCanvas');
+const tokenPerFaceBtn = document.getElementById('tokenPerFaceBtn');
 const tokenCountEl = document.getElementById('tokenCount');
+const batchArea = document.getElementById('batchArea');
+const batchGrid = document.getElementById('batchGrid');
+const batchStatus = document.getElementById('batchStatus');
+const batchDownloadBtn = document.getElementById('batchDownloadBtn');
+const batchResetBtn = document.getElementById('batchResetBtn');
+const backToBatchBtn = document.getElementById('backToBatchBtn');
+const outputSizeSelect = document.getElementById('outputSizeSelect');
+const presetSelect = document.getElementById('presetSelect');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+const importPresetsBtn = document.getElementById('importPresetsBtn');
+const importPresetsInput = document.getElementById('importPresetsInput');
+const keepPresetCheckbox = document.getElementById('keepPresetCheckbox');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const foundryFormatSelect = document.getElementById('foundryFormatSelect');
+const foundryFolderInput = document.getElementById('foundryFolderInput');
+const foundryExportBtn = document.getElementById('foundryExportBtn');
+const foundrySendBtn = document.getElementById('foundrySendBtn');
+const batchFoundryBtn = document.getElementById('batchFoundryBtn');
+const rotationSlider = document.getElementById('rotationSlider');
+const rotationValue = document.getElementById('rotationValue');
+const rotateLeftBtn = document.getElementById('rotateLeftBtn');
+const rotateRightBtn = document.getElementById('rotateRightBtn');
+const flipBtn = document.getElementById('flipBtn');
+const levelBtn = document.getElementById('levelBtn');
+const autoLevelCheckbox = document.getElementById('autoLevelCheckbox');
+const overlayPanel = document.getElementById('overlayPanel');
+const bannerTextInput = document.getElementById('bannerTextInput');
+const popOutCheckbox = document.getElementById('popOutCheckbox');
+const popOutSlider = document.getElementById('popOutSlider');
+const popOutValue = document.getElementById('popOutValue');
+const popOutStatus = document.getElementById('popOutStatus');
+const uploadFrameBtn = document.getElementById('uploadFrameBtn');
+const uploadFrameInput = document.getElementById('uploadFrameInput');
+const exportFramesBtn = document.getElementById('exportFramesBtn');
+const importFramesBtn = document.getElementById('importFramesBtn');
+const importFramesInput = document.getElementById('importFramesInput');
+const frameSettings = document.getElementById('frameSettings');
+const frameInnerRadiusSlider = document.getElementById('frameInnerRadiusSlider');
+const frameInnerRadiusValue = document.getElementById('frameInnerRadiusValue');
+const frameTintCheckbox = document.getElementById('frameTintCheckbox');
+const deleteFrameBtn = document.getElementById('deleteFrameBtn');
+const frameHint = document.getElementById('frameHint');
+const customSizeInput = document.getElementById('customSizeInput');
 const TOKEN_API_BASE = '/api/tokens';
+const PREVIEW_TOKEN_SIZE = 512; // Editor and thumbnails render at this size; downloads use the chosen output size
+const FILTER_PREVIEW_SIZE = 80; // Filter swatch portraits (drawn at 2x the swatch for sharp screens)
+const OUTPUT_SIZE_STORAGE_KEY = 'tokenOutputSize';
+const FOUNDRY_SETTINGS_STORAGE_KEY = 'tkn8rFoundryExport';
+const WEBP_QUALITY = 0.92;
+const AUTO_LEVEL_STORAGE_KEY = 'tkn8rAutoLevel';
+const OVERLAY_STORAGE_KEY = 'tkn8rOverlays';
+const POP_OUT_STORAGE_KEY = 'tkn8rPopOut';
+const NEW_BAND_COLOR = { r: 255, g: 215, b: 0 }; // A fresh band starts as a gold pinstripe
+const SCHEME_ROLES = ['primary', 'secondary', 'accent', 'border'];
+// What a color pick changes: the whole border, a set of shades, or one role of the scheme
+const COLOR_TARGETS = [
+    { id: 'all', name: 'All', title: 'Use the picked color for the whole border' },
+    { id: 'shades', name: 'Shades', title: 'Derive lighter and darker shades from the picked color' },
+    { id: 'primary', name: 'Primary', title: 'Pick the primary color (the outer edge of Gradient)' },
+    { id: 'secondary', name: 'Secondary', title: 'Pick the secondary color (the middle of Gradient)' },
+    { id: 'accent', name: 'Accent', title: 'Pick the accent color (the inner edge of Gradient)' }
+];
 
 let currentImage = null;
 let currentTokenData = null;
 let currentFaceData = null;
+let currentFaces = []; // every face detected in the current image, largest first
 let currentColorScheme = null;
 let currentArtPalette = []; // dominant colors extracted from the loaded art
+let harmonyBase = null; // last swatch or picker color, the harmony panel's starting point (null = border color)
+let colorTarget = 'all'; // what a color pick changes, see COLOR_TARGETS
 let currentZoomAdjustment = 1.0;
 let currentCropOffset = {x: 0, y: 0};
 let isDragging = false;
-let dragStart = {x: 0, y: 0};
-let dragStartOffset = {x: 0, y: 0};
+let currentRotation = 0; // portrait rotation in degrees clockwise (slider, 90° steps, two-finger rotate)
+let currentFlipX = false; // portrait mirrored horizontally
+let currentSeed = randomSeed(); // noise seed: this token's variant of the procedural textures
+let currentOverlays = defaultOverlays(); // banner/pips/faction arc style, shared by every token (and the batch)
+let currentBannerText = ''; // name on this token's banner
+let currentSubjectMask = null; // { mask, source } for pop-out, null if the image has none
+let popOutSettings = { enabled: false, extent: DEFAULT_POP_OUT_EXTENT }; // shared by every token (and the batch)
+let imageFrames = []; // uploaded ring artwork from IndexedDB, registered as border textures
+let frameRevision = 0; // bumped when a frame's opening or tint changes (batch tokens must re-render)
+const activePointers = new Map(); // pointerId -> position (CSS px) for pan/pinch/rotate
+let gestureStart = null; // pointer geometry + editor state when the current gesture began
 let lastCropData = null; // Store last crop dimensions for drag scaling
-let currentBorderOptions = { texture: BORDER_TEXTURES.GRADIENT, customColor: null, borderWidth: 8 }; // Border customization state (8 = thin, 16 = thick)
+let currentBorderOptions = defaultBorderOptions(); // Border customization state (widths in 512px reference units)
 let currentFileName = null; // Store original filename for download naming
+let currentTokenSize = loadOutputSize(); // Output (download) size in px, remembered between sessions
+
+// Batch mode: several portraits processed with one shared border preset
+let batchItems = []; // [{ fileName, image, faceData, colorScheme, artPalette, zoomAdjustment, cropOffset, tokenData, error }]
+let batchBorderOptions = null; // shared by every batch item (the editor edits this object directly)
+let activeBatchIndex = -1; // batch item currently open in the editor, -1 = single-image mode
+let batchBorderSnapshot = null; // border options, overlays and pop-out settings as they were when the editor opened (to detect changes)
+
+// Undo/redo of framing and border edits for the token in the editor
+const editHistory = createEditHistory({
+    capture: captureEditorState,
+    restore: restoreEditorState,
+    onChange: ({ canUndo, canRedo }) => {
+        if (undoBtn) undoBtn.disabled = !canUndo;
+        if (redoBtn) redoBtn.disabled = !canRedo;
+    }
+});
 
 /**
  * Update the on-screen counter.
@@ -70,13 +210,15 @@ async function fetchTokensCreatedCount() {
 
 /**
  * Increment global token count on backend (called after download is triggered).
+ * @param {number} amount - Number of tokens downloaded (batch ZIPs count every token)
  * @returns {Promise<number|null>}
  */
-async function incrementTokensCreatedCount() {
+async function incrementTokensCreatedCount(amount = 1) {
     try {
         const res = await fetch(`${TOKEN_API_BASE}/increment`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ amount })
         });
         if (!res.ok) return null;
         const data = await res.json();
@@ -103,6 +245,31 @@ async function init() {
         // Initialize border customization UI
         initializeBorderCustomization();
         
+        // Initialize output size picker
+        initializeOutputSizeControl();
+        
+        // Initialize saved border presets
+        initializeBorderPresets();
+        
+        // Initialize Foundry export settings
+        initializeFoundryExport();
+        
+        // Initialize overlay layers (banner, pips, faction arc)
+        initializeOverlays();
+        
+        // Initialize pop-out controls (and the optional segmentation model)
+        initializePopOut();
+        
+        // Load uploaded frames (they join the texture swatches when ready)
+        initializeFrameLibrary();
+        
+        // Load house border textures (config.js textureModules)
+        loadBorderTextureModules(window.TKN8R_CONFIG?.textureModules).then((count) => {
+            if (count === 0) return;
+            renderTextureSwatches();
+            regenerateToken();
+        });
+        
         // Set up event listeners
         setupEventListeners();
         
@@ -122,10 +289,10 @@ async function init() {
 function setupEventListeners() {
     // Click to browse: handled natively by <label for="fileInput"> wrapping the upload area
 
-    // File input change
+    // File input change (several files start a batch)
     fileInput.addEventListener('change', (e) => {
         if (e.target.files && e.target.files.length > 0) {
-            handleFile(e.target.files[0]);
+            handleFiles([...e.target.files]);
         }
     });
     
@@ -153,10 +320,10 @@ function setupEventListeners() {
         e.stopPropagation();
         uploadArea.classList.remove('dragover');
         
-        const files = e.dataTransfer.files;
-        if (files && files.length > 0) {
-            handleFile(files[0]);
-        }
+        // Folders are walked recursively so a whole session's portraits can be dropped at once
+        collectDroppedFiles(e.dataTransfer).then((files) => {
+            if (files.length > 0) handleFiles(files);
+        });
     });
     
     // Allow drag and drop on preview area to replace current image
@@ -184,10 +351,9 @@ function setupEventListeners() {
             e.stopPropagation();
             previewArea.classList.remove('dragover');
             
-            const files = e.dataTransfer.files;
-            if (files && files.length > 0) {
-                handleFile(files[0]);
-            }
+            collectDroppedFiles(e.dataTransfer).then((files) => {
+                if (files.length > 0) handleFiles(files);
+            });
         });
     }
     
@@ -208,6 +374,36 @@ function setupEventListeners() {
     // Reset button
     resetBtn.addEventListener('click', resetApp);
     
+    // Batch controls
+    if (batchDownloadBtn) {
+        batchDownloadBtn.addEventListener('click', downloadBatchZip);
+    }
+    if (batchResetBtn) {
+        batchResetBtn.addEventListener('click', resetApp);
+    }
+    if (backToBatchBtn) {
+        backToBatchBtn.addEventListener('click', closeBatchItem);
+    }
+    
+    // Foundry VTT export (package download / publish for the import macro)
+    if (foundryExportBtn) {
+        foundryExportBtn.addEventListener('click', exportFoundryPackage);
+    }
+    if (foundrySendBtn) {
+        foundrySendBtn.addEventListener('click', sendToFoundry);
+    }
+    if (batchFoundryBtn) {
+        batchFoundryBtn.addEventListener('click', downloadBatchFoundryZip);
+    }
+    
+    // Multi-face picker: click a numbered box to center the token on that face
+    if (facePickerCanvas) {
+        facePickerCanvas.addEventListener('click', handleFacePickerClick);
+    }
+    if (tokenPerFaceBtn) {
+        tokenPerFaceBtn.addEventListener('click', startFaceBatch);
+    }
+    
     // Reset border customization buttons
     if (resetColorBtn) {
         resetColorBtn.addEventListener('click', resetBorderColor);
@@ -216,8 +412,6 @@ function setupEventListeners() {
         resetTextureBtn.addEventListener('click', resetBorderTexture);
     }
     
-    // Border thickness toggle (handled in initializeBorderCustomization)
-    
     // Zoom slider - use both input and change events for better responsiveness
     if (zoomSlider) {
         zoomSlider.addEventListener('input', handleZoomChange);
@@ -225,6 +419,153 @@ function setupEventListeners() {
     } else {
         console.warn('Zoom slider not found');
     }
+    
+    // Rotation and mirroring
+    if (rotationSlider) {
+        rotationSlider.addEventListener('input', () => setRotation(parseFloat(rotationSlider.value), 'rotation-slider'));
+    }
+    if (rotateLeftBtn) {
+        rotateLeftBtn.addEventListener('click', () => setRotation(snapRotation(currentRotation, -90)));
+    }
+    if (rotateRightBtn) {
+        rotateRightBtn.addEventListener('click', () => setRotation(snapRotation(currentRotation, 90)));
+    }
+    if (flipBtn) {
+        flipBtn.addEventListener('click', toggleFlip);
+    }
+    if (levelBtn) {
+        levelBtn.addEventListener('click', levelEyes);
+    }
+    if (autoLevelCheckbox) {
+        autoLevelCheckbox.checked = isAutoLevelEnabled();
+        autoLevelCheckbox.addEventListener('change', () => {
+            try {
+                localStorage.setItem(AUTO_LEVEL_STORAGE_KEY, autoLevelCheckbox.checked ? '1' : '0');
+            } catch (_err) {
+                // Storage unavailable - applies for this session only
+            }
+        });
+    }
+    
+    // Undo/redo: buttons plus Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y also redoes)
+    if (undoBtn) {
+        undoBtn.addEventListener('click', () => editHistory.undo());
+    }
+    if (redoBtn) {
+        redoBtn.addEventListener('click', () => editHistory.redo());
+    }
+    document.addEventListener('keydown', handleHistoryShortcut);
+}
+
+// Keyboard undo/redo while the editor is showing (text fields keep their own undo)
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (previewArea.style.display === 'none') return;
+    if (e.target.closest && e.target.closest('textarea, select, input:not([type="range"]):not([type="checkbox"])')) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        editHistory.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        editHistory.redo();
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+/**
+ * Collect image files from a drop, descending into dropped folders.
+ * Falls back to the flat FileList when the entries API is unavailable.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+async function collectDroppedFiles(dataTransfer) {
+    const items = dataTransfer.items ? [...dataTransfer.items] : [];
+    const entries = items
+        .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+        .map(item => item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return [...(dataTransfer.files || [])];
+    }
+
+    const files = [];
+    const readEntry = async (entry) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push(file);
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns results in chunks; keep reading until empty
+            let chunk;
+            do {
+                chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of chunk) await readEntry(child);
+            } while (chunk.length > 0);
+        }
+    };
+    for (const entry of entries) {
+        try {
+            await readEntry(entry);
+        } catch (error) {
+            console.warn('Failed to read dropped entry:', entry.name, error);
+        }
+    }
+    return files;
+}
+
+/**
+ * Route uploaded files: one image opens the editor, several start a batch.
+ * @param {File[]} files
+ */
+function handleFiles(files) {
+    const images = files.filter(file => file.type && file.type.startsWith('image/'));
+    if (images.length === 0) {
+        showError('Please upload an image file.');
+        return;
+    }
+    if (images.length === 1) {
+        handleFile(images[0]);
+        return;
+    }
+    // Natural sort so npc2 comes before npc10
+    images.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    startBatch(images);
+}
+
+/**
+ * Turn an uploaded file name into a safe download base name (no extension).
+ * @param {string} name - Original file name
+ * @returns {string}
+ */
+function sanitizeFileName(name) {
+    // Remove extension and sanitize for use in download filename
+    let fileNameWithoutExt = name || 'image';
+    const lastDotIndex = fileNameWithoutExt.lastIndexOf('.');
+    if (lastDotIndex > 0) {
+        fileNameWithoutExt = fileNameWithoutExt.substring(0, lastDotIndex);
+    }
+    // Sanitize filename: remove/replace characters that might cause issues in filenames
+    // Only keep alphanumeric, underscores, and hyphens
+    const safe = fileNameWithoutExt.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 50);
+    // If filename is empty after sanitization, use a default
+    return safe && safe.trim() !== '' ? safe : 'image';
+}
+
+/**
+ * Download file name for a token - always uses the token_ prefix.
+ * @param {string|null} baseName - Sanitized source name
+ * @returns {string}
+ */
+function tokenFileName(baseName) {
+    if (baseName) {
+        const cleanName = String(baseName).trim();
+        if (cleanName !== '' && cleanName !== 'null' && cleanName !== 'undefined') {
+            return `token_${cleanName}.png`;
+        }
+    }
+    return 'token.png';
 }
 
 // Handle file upload
@@ -235,23 +576,12 @@ async function handleFile(file) {
     }
     
     hideError();
+    clearBatch();
     showProcessing();
     
     try {
         // Store original filename (without extension)
-        // Remove extension and sanitize for use in download filename
-        let fileNameWithoutExt = file.name || 'image';
-        const lastDotIndex = fileNameWithoutExt.lastIndexOf('.');
-        if (lastDotIndex > 0) {
-            fileNameWithoutExt = fileNameWithoutExt.substring(0, lastDotIndex);
-        }
-        // Sanitize filename: remove/replace characters that might cause issues in filenames
-        // Only keep alphanumeric, underscores, and hyphens
-        currentFileName = fileNameWithoutExt.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 50);
-        // If filename is empty after sanitization, use a default
-        if (!currentFileName || currentFileName.trim() === '') {
-            currentFileName = 'image';
-        }
+        currentFileName = sanitizeFileName(file.name);
         console.log('Stored filename:', currentFileName, 'from original:', file.name);
         console.log('currentFileName is now:', currentFileName);
         
@@ -286,29 +616,42 @@ function loadImage(file) {
 // Process the image: detect face, extract colors, generate token
 async function processImage(image) {
     try {
-        // Detect face in the image
-        const faceData = await detectFace(image);
+        // Detect faces in the image (largest first); the user can pick another one
+        currentFaces = await detectFaces(image);
+        const faceData = currentFaces[0];
         currentFaceData = faceData;
+        renderFacePicker();
+        
+        // Subject mask for pop-out (transparent PNG or segmentation model)
+        currentSubjectMask = await getSubjectMask(image);
+        updatePopOutUI();
         
         // Extract color scheme from the image
         const colorScheme = extractColorScheme(image, faceData);
         currentColorScheme = colorScheme;
         // Seed the swatches from this art's dominant colors (user can override).
         currentArtPalette = extractPalette(image, 10);
+        harmonyBase = null;
         renderColorSwatches();
         
-        // Reset zoom and offset to default
+        // Reset zoom, offset and orientation to default (eyes levelled if enabled)
         currentZoomAdjustment = 1.0;
         currentCropOffset = {x: 0, y: 0};
+        currentFlipX = false;
+        currentRotation = initialRotation(faceData);
+        updateOrientationUI();
+        currentSeed = randomSeed();
+        currentBannerText = '';
+        updateOverlayUI();
         zoomSlider.value = 100;
         zoomValue.textContent = '100%';
         
-        // Reset border options to default
-        currentBorderOptions = { texture: BORDER_TEXTURES.GRADIENT, customColor: null, borderWidth: 8 };
+        // Reset border options to default (or the kept preset)
+        currentBorderOptions = initialBorderOptions();
         updateBorderCustomizationUI();
         
         // Generate the token
-        const tokenData = createToken(image, faceData, colorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions);
+        const tokenData = createToken(image, faceData, colorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions, editorRenderOptions(PREVIEW_TOKEN_SIZE));
         currentTokenData = tokenData;
         
         // Store crop data for drag calculations (set immediately)
@@ -318,6 +661,7 @@ async function processImage(image) {
         
         // Display preview
         displayPreview(tokenData);
+        editHistory.reset();
         
         showPreview();
     } catch (error) {
@@ -331,38 +675,40 @@ async function processImage(image) {
 async function processImageFallback(image) {
     try {
         // Use center of image as focus point with smaller initial crop
-        // Start smaller so users can zoom in much more when face detection fails
-        const centerX = image.width * 0.5;
-        const centerY = image.height * 0.4; // Slightly above center for head positioning
-        const cropSize = Math.min(image.width, image.height) * 0.4; // 40% of smaller dimension (smaller = more zoom-in room)
-        
-        const faceData = {
-            x: centerX - cropSize * 0.3,
-            y: centerY - cropSize * 0.3,
-            width: cropSize * 0.6,
-            height: cropSize * 0.6
-        };
+        const faceData = getFallbackFaceData(image);
         currentFaceData = faceData;
+        currentFaces = [];
+        renderFacePicker();
+        
+        currentSubjectMask = await getSubjectMask(image);
+        updatePopOutUI();
         
         // Extract color scheme
         const colorScheme = extractColorScheme(image, faceData);
         currentColorScheme = colorScheme;
         // Seed the swatches from this art's dominant colors (user can override).
         currentArtPalette = extractPalette(image, 10);
+        harmonyBase = null;
         renderColorSwatches();
         
-        // Reset zoom and offset to default
+        // Reset zoom, offset and orientation to default (eyes levelled if enabled)
         currentZoomAdjustment = 1.0;
         currentCropOffset = {x: 0, y: 0};
+        currentFlipX = false;
+        currentRotation = initialRotation(faceData);
+        updateOrientationUI();
+        currentSeed = randomSeed();
+        currentBannerText = '';
+        updateOverlayUI();
         zoomSlider.value = 100;
         zoomValue.textContent = '100%';
         
-        // Reset border options to default
-        currentBorderOptions = { texture: BORDER_TEXTURES.GRADIENT, customColor: null, borderWidth: 8 };
+        // Reset border options to default (or the kept preset)
+        currentBorderOptions = initialBorderOptions();
         updateBorderCustomizationUI();
         
         // Generate token
-        const tokenData = createToken(image, faceData, colorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions);
+        const tokenData = createToken(image, faceData, colorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions, editorRenderOptions(PREVIEW_TOKEN_SIZE));
         currentTokenData = tokenData;
         
         // Store crop data for drag calculations (set immediately)
@@ -371,6 +717,7 @@ async function processImageFallback(image) {
         }
         
         displayPreview(tokenData);
+        editHistory.reset();
         showPreview();
     } catch (error) {
         throw new Error('Failed to process image: ' + error.message);
@@ -396,6 +743,7 @@ function handleZoomChange(e) {
     
     // Regenerate token with new zoom adjustment
     regenerateToken();
+    editHistory.record('zoom-slider');
     
     // Store adjustment data for analysis (throttle to avoid too many writes)
     if (!handleZoomChange.timeout) {
@@ -411,7 +759,7 @@ function regenerateToken() {
     if (!currentImage || !currentFaceData || !currentColorScheme) return;
     
     try {
-        const tokenData = createToken(currentImage, currentFaceData, currentColorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions);
+        const tokenData = createToken(currentImage, currentFaceData, currentColorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions, editorRenderOptions(PREVIEW_TOKEN_SIZE));
         currentTokenData = tokenData;
         
         // Store crop data for drag calculations (always update this)
@@ -424,21 +772,61 @@ function regenerateToken() {
         
         // Update preview
         displayPreview(tokenData);
+        scheduleFilterPreviews();
     } catch (error) {
         console.error('Error regenerating token:', error);
     }
 }
 
+// Redraw the filter swatches once the edits pause (a drag regenerates many times a second)
+function scheduleFilterPreviews() {
+    clearTimeout(scheduleFilterPreviews.timeout);
+    scheduleFilterPreviews.timeout = setTimeout(updateFilterPreviews, 150);
+}
+
+/**
+ * Draw every filter swatch as the current portrait (borderless) with that
+ * filter and the current border colors, so each treatment is previewed live
+ */
+function updateFilterPreviews() {
+    if (!filterSwatches || !currentImage || !currentFaceData || !currentColorScheme) return;
+    const portrait = createToken(currentImage, currentFaceData, currentColorScheme, currentZoomAdjustment, currentCropOffset, {
+        ...currentBorderOptions,
+        texture: BORDER_TEXTURES.SOLID,
+        borderWidth: 0,
+        bands: [],
+        shape: TOKEN_SHAPES.CIRCLE,
+        filter: PORTRAIT_FILTERS.NONE
+    }, { size: FILTER_PREVIEW_SIZE, rotation: currentRotation, flipX: currentFlipX, seed: currentSeed }).canvas;
+    const colors = currentBorderScheme();
+    const shape = createShape(TOKEN_SHAPES.CIRCLE, FILTER_PREVIEW_SIZE);
+    filterSwatches.querySelectorAll('.filter-swatch[data-filter]').forEach((swatchEl) => {
+        const filterType = swatchEl.getAttribute('data-filter');
+        const canvas = swatchEl.querySelector('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(getFilteredImage(portrait, filterType, colors), 0, 0);
+        ctx.save();
+        shape.tracePath(ctx);
+        ctx.clip();
+        drawFilterOverlay(ctx, filterType, shape, colors);
+        ctx.restore();
+        // The registry's CSS swatch only stands in until a portrait is loaded
+        swatchEl.style.background = 'none';
+    });
+}
+
 // Display the generated token preview
 function displayPreview(tokenData) {
     const ctx = previewCanvas.getContext('2d');
     
-    // Set canvas size (standard token size: 512x512)
-    const size = 512;
+    // Match the rendered token (PREVIEW_TOKEN_SIZE; the output size only applies to downloads)
+    const size = tokenData.canvas.width;
     previewCanvas.width = size;
     previewCanvas.height = size;
     
-    // Draw the token
+    // Draw the token (a popped-out subject must not be cut by the round CSS mask)
+    previewCanvas.toggleAttribute('data-pop-out', Boolean(tokenData.popOut));
     ctx.drawImage(tokenData.canvas, 0, 0, size, size);
 }
 
@@ -446,68 +834,44 @@ function displayPreview(tokenData) {
 function setupDragFunctionality() {
     if (!previewCanvas) return;
     
-    // Mouse down - start drag
-    previewCanvas.addEventListener('mousedown', (e) => {
+    // Pointer events cover mouse, pen and touch: one pointer pans, two
+    // pointers pan + pinch-zoom + rotate
+    previewCanvas.addEventListener('pointerdown', (e) => {
         if (!currentImage || !currentFaceData) return;
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (activePointers.size >= 2) return; // a third finger is ignored
         
+        previewCanvas.setPointerCapture(e.pointerId);
+        activePointers.set(e.pointerId, canvasPoint(e));
         isDragging = true;
-        const rect = previewCanvas.getBoundingClientRect();
-        dragStart.x = e.clientX - rect.left;
-        dragStart.y = e.clientY - rect.top;
-        dragStartOffset.x = currentCropOffset.x;
-        dragStartOffset.y = currentCropOffset.y;
+        beginGesture();
         
         previewCanvas.style.cursor = 'grabbing';
         e.preventDefault();
     });
     
-    // Mouse move - update position while dragging
-    previewCanvas.addEventListener('mousemove', (e) => {
-        if (!isDragging || !currentImage || !currentFaceData || !lastCropData) return;
-        
-        const rect = previewCanvas.getBoundingClientRect();
-        const currentX = e.clientX - rect.left;
-        const currentY = e.clientY - rect.top;
-        
-        // Calculate drag delta in canvas pixels
-        const deltaX = currentX - dragStart.x;
-        const deltaY = currentY - dragStart.y;
-        
-        // Convert canvas pixel movement to source image offset
-        // The crop area size determines the scale factor
-        const tokenSize = 512;
-        const borderWidth = 8;
-        const imageSize = tokenSize - (borderWidth * 2);
-        
-        // Use actual crop dimensions from last calculation
-        const scaleFactorX = lastCropData.width / imageSize;
-        const scaleFactorY = lastCropData.height / imageSize;
-        
-        // Update crop offset (negative because dragging right should move crop left)
-        currentCropOffset.x = dragStartOffset.x - (deltaX * scaleFactorX);
-        currentCropOffset.y = dragStartOffset.y - (deltaY * scaleFactorY);
-        
-        // Regenerate token with new offset
-        regenerateToken();
-        
+    previewCanvas.addEventListener('pointermove', (e) => {
+        if (!activePointers.has(e.pointerId) || !currentImage || !currentFaceData || !lastCropData) return;
+        activePointers.set(e.pointerId, canvasPoint(e));
+        applyGesture();
         e.preventDefault();
     });
     
-    // Mouse up - end drag
-    previewCanvas.addEventListener('mouseup', (e) => {
-        if (isDragging) {
-            isDragging = false;
-            previewCanvas.style.cursor = 'grab';
-        }
-    });
-    
-    // Mouse leave - end drag if mouse leaves canvas
-    previewCanvas.addEventListener('mouseleave', (e) => {
-        if (isDragging) {
-            isDragging = false;
-            previewCanvas.style.cursor = 'grab';
+    // Pointer up/cancel - end the gesture (the whole gesture is one undo step)
+    const endPointer = (e) => {
+        if (!activePointers.delete(e.pointerId)) return;
+        if (activePointers.size > 0) {
+            // Lifting one of two fingers: keep panning from here without a jump
+            beginGesture();
+            return;
         }
-    });
+        isDragging = false;
+        gestureStart = null;
+        previewCanvas.style.cursor = 'grab';
+        editHistory.record();
+    };
+    previewCanvas.addEventListener('pointerup', endPointer);
+    previewCanvas.addEventListener('pointercancel', endPointer);
     
     // Mouse wheel - zoom in/out
     previewCanvas.addEventListener('wheel', (e) => {
@@ -530,8 +894,9 @@ function setupDragFunctionality() {
             zoomValue.textContent = `${Math.round(newSliderValue)}%`;
         }
         
-        // Regenerate token
+        // Regenerate token (a burst of wheel ticks is one undo step)
         regenerateToken();
+        editHistory.record('wheel');
         
         // Store adjustment data
         if (!handleZoomChange.timeout) {
@@ -545,7 +910,186 @@ function setupDragFunctionality() {
     // Set initial cursor style
     previewCanvas.style.cursor = 'grab';
     previewCanvas.style.userSelect = 'none';
-    previewCanvas.title = 'Drag to reposition, scroll to zoom';
+    previewCanvas.title = 'Drag to reposition, scroll or pinch to zoom, twist with two fingers to rotate';
+}
+
+// Pointer position in CSS pixels relative to the preview canvas
+function canvasPoint(e) {
+    const rect = previewCanvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+// Centre, spread and angle of the active pointers
+function pointerGeometry() {
+    const points = [...activePointers.values()];
+    const center = {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+    if (points.length < 2) return { center, distance: 0, angle: 0 };
+    const dx = points[1].x - points[0].x;
+    const dy = points[1].y - points[0].y;
+    return { center, distance: Math.hypot(dx, dy), angle: Math.atan2(dy, dx) * 180 / Math.PI };
+}
+
+// Remember where a gesture started (again whenever a finger is added or lifted)
+function beginGesture() {
+    gestureStart = {
+        ...pointerGeometry(),
+        pointerCount: activePointers.size,
+        cropOffset: { ...currentCropOffset },
+        zoomAdjustment: currentZoomAdjustment,
+        rotation: currentRotation,
+        cropWidth: lastCropData ? lastCropData.width : 0
+    };
+}
+
+/**
+ * Convert a pan on screen into a crop offset change in source pixels. Uses
+ * the canvas's real on-screen size (CSS scaling) and the rendered token's
+ * border, and undoes the portrait rotation and mirroring so content follows
+ * the finger.
+ * @param {number} dx - CSS pixels
+ * @param {number} dy - CSS pixels
+ * @param {number} cropWidth - Crop width in source pixels
+ * @returns {{x: number, y: number}}
+ */
+function screenDeltaToSource(dx, dy, cropWidth) {
+    const rect = previewCanvas.getBoundingClientRect();
+    const canvasPerCss = rect.width > 0 ? previewCanvas.width / rect.width : 1;
+    const imageSize = currentTokenData.imageSize;
+    const sourcePerCss = (cropWidth / imageSize) * canvasPerCss;
+    const theta = currentRotation * Math.PI / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const x = (dx * cos + dy * sin) * sourcePerCss;
+    return {
+        x: currentFlipX ? -x : x,
+        y: (-dx * sin + dy * cos) * sourcePerCss
+    };
+}
+
+// Apply the current pointer positions relative to gestureStart
+function applyGesture() {
+    if (!gestureStart || !currentTokenData) return;
+    const now = pointerGeometry();
+    
+    if (gestureStart.pointerCount >= 2 && activePointers.size >= 2 && gestureStart.distance > 0) {
+        // Pinch zoom (same 10-500% range as the slider) and two-finger rotate
+        const zoom = gestureStart.zoomAdjustment * (now.distance / gestureStart.distance);
+        currentZoomAdjustment = Math.max(0.1, Math.min(5, zoom));
+        currentRotation = normalizeRotation(gestureStart.rotation + (now.angle - gestureStart.angle));
+        updateOrientationUI();
+        
+        const sliderValue = Math.round(currentZoomAdjustment * 100);
+        zoomSlider.value = sliderValue;
+        zoomValue.textContent = `${sliderValue}%`;
+    }
+    
+    // Pan by the movement of the pointers' centre; the crop shrinks as the zoom grows
+    const cropWidth = gestureStart.cropWidth * (gestureStart.zoomAdjustment / currentZoomAdjustment);
+    const delta = screenDeltaToSource(now.center.x - gestureStart.center.x, now.center.y - gestureStart.center.y, cropWidth);
+    // Negative because dragging right should move the crop left
+    currentCropOffset.x = gestureStart.cropOffset.x - delta.x;
+    currentCropOffset.y = gestureStart.cropOffset.y - delta.y;
+    
+    regenerateToken();
+}
+
+/**
+ * Wrap an angle into -180..180 degrees
+ * @param {number} degrees
+ * @returns {number}
+ */
+function normalizeRotation(degrees) {
+    const wrapped = ((degrees % 360) + 540) % 360 - 180;
+    return Math.abs(wrapped) < 0.01 ? 0 : Math.round(wrapped * 10) / 10;
+}
+
+/**
+ * Next 90° step from the current angle (a free angle snaps to the next right angle)
+ * @param {number} degrees - Current rotation
+ * @param {number} step - +90 or -90
+ * @returns {number}
+ */
+function snapRotation(degrees, step) {
+    const snapped = step > 0 ? Math.floor(degrees / 90 + 1e-6) * 90 : Math.ceil(degrees / 90 - 1e-6) * 90;
+    return snapped + step;
+}
+
+function isAutoLevelEnabled() {
+    try {
+        return localStorage.getItem(AUTO_LEVEL_STORAGE_KEY) === '1';
+    } catch (_err) {
+        return false;
+    }
+}
+
+/**
+ * Starting rotation for a face: eyes levelled when auto-level is on
+ * @param {Object} faceData
+ * @returns {number}
+ */
+function initialRotation(faceData) {
+    if (!isAutoLevelEnabled()) return 0;
+    return eyeLevelRotation(faceData) ?? 0;
+}
+
+// Reflect rotation/mirror state in the controls
+function updateOrientationUI() {
+    if (rotationSlider) rotationSlider.value = String(currentRotation);
+    if (rotationValue) rotationValue.textContent = `${currentRotation}°`;
+    if (flipBtn) {
+        flipBtn.classList.toggle('active', currentFlipX);
+        flipBtn.setAttribute('aria-pressed', String(currentFlipX));
+    }
+    if (levelBtn) levelBtn.disabled = !(currentFaceData && currentFaceData.leftEye && currentFaceData.rightEye);
+}
+
+/**
+ * Rotate the portrait
+ * @param {number} degrees - Clockwise
+ * @param {string|null} [historyKey] - Coalescing key for slider drags
+ */
+function setRotation(degrees, historyKey = null) {
+    if (!currentImage) return;
+    currentRotation = normalizeRotation(degrees);
+    updateOrientationUI();
+    regenerateToken();
+    editHistory.record(historyKey);
+}
+
+// Mirror the portrait (the eye line's tilt mirrors with it, so the angle flips too)
+function toggleFlip() {
+    if (!currentImage) return;
+    currentFlipX = !currentFlipX;
+    currentRotation = normalizeRotation(-currentRotation);
+    updateOrientationUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+// Rotate so the detected eyes sit on a horizontal line
+function levelEyes() {
+    const rotation = eyeLevelRotation(currentFaceData, currentFlipX);
+    if (rotation === null) return;
+    setRotation(rotation);
+}
+
+/**
+ * Render options for the token in the editor (size plus orientation)
+ * @param {number} size - Output size in px
+ * @returns {Object}
+ */
+function editorRenderOptions(size) {
+    return {
+        size,
+        rotation: currentRotation,
+        flipX: currentFlipX,
+        seed: currentSeed,
+        overlays: overlaysWithText(currentBannerText),
+        popOut: popOutFor(currentSubjectMask)
+    };
 }
 
 // Download the token as PNG
@@ -555,16 +1099,12 @@ function downloadToken() {
     }
     
     // Determine filename - always use token_ prefix
-    let fileName = 'token.png';
-    if (currentFileName) {
-        const cleanName = String(currentFileName).trim();
-        if (cleanName !== '' && cleanName !== 'null' && cleanName !== 'undefined') {
-            fileName = `token_${cleanName}.png`;
-        }
-    }
+    const fileName = tokenFileName(currentFileName);
+    
+    // Re-render at the chosen output size (the preview is always PREVIEW_TOKEN_SIZE)
+    const canvas = createToken(currentImage, currentFaceData, currentColorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions, editorRenderOptions(currentTokenSize)).canvas;
     
     // Create blob URL for better browser compatibility
-    const canvas = currentTokenData.canvas;
     canvas.toBlob(function(blob) {
         if (!blob) {
             // Fallback to data URL if blob creation fails
@@ -596,130 +1136,991 @@ function downloadToken() {
     }, 'image/png');
 }
 
-// Reset the application
-function resetApp() {
-    currentImage = null;
-    currentTokenData = null;
-    currentFaceData = null;
-    currentColorScheme = null;
-    currentArtPalette = [];
-    renderColorSwatches();
+/**
+ * Draw the multi-face picker: the whole source image with a numbered box on
+ * every detected face. Hidden unless more than one face was found.
+ */
+function renderFacePicker() {
+    if (!facePicker || !facePickerCanvas) return;
+    if (!currentImage || currentFaces.length < 2) {
+        facePicker.style.display = 'none';
+        return;
+    }
+    facePicker.style.display = '';
+    
+    // Fit the source image into a small strip above the preview
+    const maxSide = 240;
+    const scale = Math.min(maxSide / currentImage.width, maxSide / currentImage.height, 1);
+    facePickerCanvas.width = Math.round(currentImage.width * scale);
+    facePickerCanvas.height = Math.round(currentImage.height * scale);
+    facePickerCanvas.dataset.scale = String(scale);
+    
+    const ctx = facePickerCanvas.getContext('2d');
+    ctx.drawImage(currentImage, 0, 0, facePickerCanvas.width, facePickerCanvas.height);
+    
+    currentFaces.forEach((face, i) => {
+        const selected = face === currentFaceData;
+        const x = face.x * scale, y = face.y * scale;
+        const w = face.width * scale, h = face.height * scale;
+        ctx.lineWidth = selected ? 3 : 2;
+        ctx.strokeStyle = selected ? '#d4af37' : 'rgba(255, 255, 255, 0.85)';
+        ctx.strokeRect(x, y, w, h);
+        
+        // Number badge in the box's top-left corner
+        const label = String(i + 1);
+        ctx.font = 'bold 12px sans-serif';
+        const badge = Math.max(16, ctx.measureText(label).width + 8);
+        ctx.fillStyle = selected ? '#d4af37' : 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x, Math.max(0, y - 16), badge, 16);
+        ctx.fillStyle = selected ? '#000' : '#fff';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, x + 4, Math.max(0, y - 16) + 8);
+    });
+}
+
+// Pick the face under the click (smallest box wins when boxes overlap)
+function handleFacePickerClick(e) {
+    if (currentFaces.length < 2) return;
+    const rect = facePickerCanvas.getBoundingClientRect();
+    const scale = parseFloat(facePickerCanvas.dataset.scale) || 1;
+    // Client px → picker canvas px → source image px
+    const px = (e.clientX - rect.left) * (facePickerCanvas.width / rect.width) / scale;
+    const py = (e.clientY - rect.top) * (facePickerCanvas.height / rect.height) / scale;
+    
+    const hits = currentFaces
+        .map((face, index) => ({ face, index }))
+        .filter(({ face }) => px >= face.x && px <= face.x + face.width && py >= face.y && py <= face.y + face.height)
+        .sort((a, b) => (a.face.width * a.face.height) - (b.face.width * b.face.height));
+    if (hits.length > 0) selectFace(hits[0].index);
+}
+
+/**
+ * Re-center the token on another detected face.
+ * @param {number} index - Index into currentFaces
+ */
+function selectFace(index) {
+    const face = currentFaces[index];
+    if (!face || face === currentFaceData) return;
+    
+    currentFaceData = face;
+    currentColorScheme = extractColorScheme(currentImage, face);
+    
+    // New subject: start from the default framing again
     currentZoomAdjustment = 1.0;
     currentCropOffset = {x: 0, y: 0};
-    currentBorderOptions = { texture: BORDER_TEXTURES.GRADIENT, customColor: null, borderWidth: 8 };
-    currentFileName = null;
-    isDragging = false;
-    fileInput.value = '';
+    currentRotation = initialRotation(face);
+    updateOrientationUI();
     zoomSlider.value = 100;
     zoomValue.textContent = '100%';
-    hideError();
-    showUpload();
+    
+    renderFacePicker();
+    regenerateToken();
+    editHistory.reset();
 }
 
-// Initialize border customization UI
-/** Convert '#rrggbb' → {r,g,b}. */
-function hexToRgb(hex) {
-    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
-    return m ? { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) } : { r: 255, g: 255, b: 255 };
-}
-/** Convert {r,g,b} → '#rrggbb'. */
-function rgbToHex(c) {
-    return '#' + ['r', 'g', 'b'].map(k => Math.max(0, Math.min(255, Math.round(c[k] || 0))).toString(16).padStart(2, '0')).join('');
+/**
+ * Promise wrapper around canvas.toBlob.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type - MIME type
+ * @param {number} [quality] - Lossy formats only (WebP/JPEG), 0-1
+ * @returns {Promise<Blob|null>}
+ */
+function canvasToBlob(canvas, type = 'image/png', quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
 }
 
-/** Build one clickable color swatch button. */
-function makeColorSwatch(color, title, extraClass) {
-    const el = document.createElement('button');
-    el.className = 'color-swatch' + (extraClass ? ' ' + extraClass : '');
-    el.style.backgroundColor = `rgb(${color.r}, ${color.g}, ${color.b})`;
-    el.title = title;
-    el.setAttribute('aria-label', `Select ${title} color`);
-    el.addEventListener('click', () => selectBorderColor({ r: color.r, g: color.g, b: color.b }));
-    return el;
+/**
+ * Save a blob through a temporary download link.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 100);
 }
 
 /**
- * (Re)build the color-swatch strip. Order: exact-color picker, then colors
- * pulled from the loaded art (so they match), then the curated presets.
+ * Detect the face and extract colors for an image, falling back to a
+ * centered focus region when detection fails (same as single-image mode).
+ * @param {HTMLImageElement} image
+ * @returns {Promise<{faceData: Object, colorScheme: Object, artPalette: Array}>}
  */
-function renderColorSwatches() {
-    const el = document.getElementById('colorSwatches');
-    if (!el) { console.warn('Color swatches container not found'); return; }
-    el.innerHTML = '';
-
-    // 1) Exact-color picker — a native <input type=color> styled as a chip.
-    const pick = document.createElement('label');
-    pick.className = 'color-swatch custom-color-chip';
-    pick.title = 'Pick any exact color';
-    const input = document.createElement('input');
-    input.type = 'color';
-    input.value = currentBorderOptions.customColor ? rgbToHex(currentBorderOptions.customColor) : '#8a6d3b';
-    input.addEventListener('input', (e) => selectBorderColor(hexToRgb(e.target.value)));
-    pick.appendChild(input);
-    el.appendChild(pick);
+async function analyzeImage(image) {
+    let faceData;
+    try {
+        faceData = await detectFace(image);
+    } catch (error) {
+        console.warn('Face detection failed, using fallback:', error);
+        faceData = getFallbackFaceData(image);
+    }
+    return {
+        faceData,
+        colorScheme: extractColorScheme(image, faceData),
+        artPalette: extractPalette(image, 10)
+    };
+}
 
-    // 2) Colors sampled from the current art (empty until an image loads).
-    (currentArtPalette || []).forEach((c, i) => {
-        el.appendChild(makeColorSwatch(c, `From art ${i + 1}`, 'art-swatch'));
+/**
+ * Render a batch item's token with the shared batch border options.
+ * @param {Object} item - Batch item
+ * @param {number} size - Output size in px (thumbnails use the preview size)
+ * @returns {Object} Token data from createToken
+ */
+function renderBatchItem(item, size = PREVIEW_TOKEN_SIZE) {
+    return createToken(item.image, item.faceData, item.colorScheme, item.zoomAdjustment, item.cropOffset, batchBorderOptions, {
+        size,
+        rotation: item.rotation || 0,
+        flipX: Boolean(item.flipX),
+        seed: item.seed,
+        overlays: overlaysWithText(item.bannerText),
+        popOut: popOutFor(item.subjectMask)
     });
+}
 
-    // 3) Curated presets (brights + dark metallics).
-    COLOR_SWATCHES.forEach((s) => {
-        el.appendChild(makeColorSwatch(s, s.name, 'preset-swatch'));
-    });
+/**
+ * Start batch mode: queue every file, then run each through face detection,
+ * color extraction and token generation one at a time, filling in the
+ * thumbnail grid as tokens finish.
+ * @param {File[]} files - Image files (already filtered and sorted)
+ */
+function startBatch(files) {
+    return runBatch(files.map(file => ({
+        fileName: sanitizeFileName(file.name),
+        prepare: async (item) => {
+            item.image = await loadImage(file);
+            Object.assign(item, await analyzeImage(item.image));
+        }
+    })));
 }
 
-function initializeBorderCustomization() {
-    // Initialize color swatches (picker + art palette + presets)
+/**
+ * "One token per face": queue a batch item for every face detected in the
+ * current image, keeping the current border settings.
+ */
+function startFaceBatch() {
+    if (!currentImage || currentFaces.length < 2) return;
+    const image = currentImage;
+    const baseName = currentFileName || 'image';
+    const palette = currentArtPalette;
+    const subjectMask = currentSubjectMask;
+    runBatch(currentFaces.map((face, i) => ({
+        fileName: `${baseName}_face${i + 1}`,
+        prepare: async (item) => {
+            item.image = image;
+            item.faceData = face;
+            item.colorScheme = extractColorScheme(image, face);
+            item.artPalette = palette;
+            item.subjectMask = subjectMask;
+        }
+    })));
+}
+
+/**
+ * Run batch jobs one at a time with a shared copy of the current border
+ * options. Each job's prepare() fills in image/faceData/colorScheme on its
+ * item before the token is rendered.
+ * @param {Array<{fileName: string, prepare: function(Object): Promise<void>}>} jobs
+ */
+async function runBatch(jobs) {
+    const borderOptions = { ...currentBorderOptions };
+    hideError();
+    clearBatch();
+    
+    const runId = ++startBatch.runId;
+    batchBorderOptions = borderOptions;
+    batchItems = jobs.map(job => ({
+        fileName: job.fileName,
+        image: null,
+        faceData: null,
+        colorScheme: null,
+        artPalette: [],
+        zoomAdjustment: 1.0,
+        cropOffset: {x: 0, y: 0},
+        rotation: 0,
+        flipX: false,
+        seed: randomSeed(),
+        bannerText: '',
+        subjectMask: null,
+        tokenData: null,
+        error: null
+    }));
+    renderBatchGrid();
+    showBatch();
+    
+    for (let i = 0; i < jobs.length; i++) {
+        if (runId !== startBatch.runId) return; // batch was reset or replaced
+        updateBatchStatus(`Processing ${i + 1} / ${jobs.length}...`);
+        const item = batchItems[i];
+        try {
+            await jobs[i].prepare(item);
+            if (!item.subjectMask) item.subjectMask = await getSubjectMask(item.image);
+            if (runId !== startBatch.runId) return;
+            item.rotation = initialRotation(item.faceData);
+            item.tokenData = renderBatchItem(item);
+        } catch (error) {
+            console.error('Batch processing error:', jobs[i].fileName, error);
+            item.error = error.message || 'Failed to process';
+        }
+        updateBatchThumbnail(i);
+    }
+    updateBatchStatus();
+}
+startBatch.runId = 0;
+
+/**
+ * Status line above the grid; with no message, summarise the batch.
+ * @param {string} [message]
+ */
+function updateBatchStatus(message) {
+    if (!batchStatus) return;
+    if (message) {
+        batchStatus.textContent = message;
+        batchDownloadBtn.disabled = true;
+        if (batchFoundryBtn) batchFoundryBtn.disabled = true;
+        return;
+    }
+    const ready = batchItems.filter(item => item.tokenData).length;
+    const failed = batchItems.filter(item => item.error).length;
+    batchStatus.textContent = `${ready} token${ready === 1 ? '' : 's'} ready` +
+        (failed ? ` • ${failed} failed` : '') + ' • Click a token to fine-tune it';
+    batchDownloadBtn.disabled = ready === 0;
+    if (batchFoundryBtn) batchFoundryBtn.disabled = ready === 0;
+}
+
+// Build the (initially empty) thumbnail grid, one cell per batch item
+function renderBatchGrid() {
+    if (!batchGrid) return;
+    batchGrid.innerHTML = '';
+    batchItems.forEach((item, index) => {
+        const cell = document.createElement('button');
+        cell.className = 'batch-item pending';
+        cell.title = item.fileName;
+        cell.setAttribute('aria-label', `Edit token ${item.fileName}`);
+        
+        const thumb = document.createElement('canvas');
+        thumb.width = 128;
+        thumb.height = 128;
+        cell.appendChild(thumb);
+        
+        const caption = document.createElement('span');
+        caption.className = 'batch-item-name';
+        caption.textContent = item.fileName;
+        cell.appendChild(caption);
+        
+        cell.addEventListener('click', () => openBatchItem(index));
+        batchGrid.appendChild(cell);
+    });
+}
+
+/**
+ * Redraw one grid thumbnail from its item's token.
+ * @param {number} index
+ */
+function updateBatchThumbnail(index) {
+    const cell = batchGrid?.children[index];
+    const item = batchItems[index];
+    if (!cell || !item) return;
+    
+    const thumb = cell.querySelector('canvas');
+    const ctx = thumb.getContext('2d');
+    ctx.clearRect(0, 0, thumb.width, thumb.height);
+    if (item.tokenData) {
+        ctx.drawImage(item.tokenData.canvas, 0, 0, thumb.width, thumb.height);
+    }
+    cell.classList.toggle('pending', !item.tokenData && !item.error);
+    cell.classList.toggle('failed', !!item.error);
+    cell.disabled = !item.tokenData;
+    if (item.error) cell.title = `${item.fileName}: ${item.error}`;
+}
+
+/**
+ * Open a batch token in the regular drag/zoom editor. Border edits apply to
+ * the shared batch options, so they carry over to every token in the batch.
+ * @param {number} index
+ */
+function openBatchItem(index) {
+    const item = batchItems[index];
+    if (!item || !item.tokenData) return;
+    
+    activeBatchIndex = index;
+    currentImage = item.image;
+    currentFaceData = item.faceData;
+    currentFaces = [];
+    renderFacePicker();
+    currentColorScheme = item.colorScheme;
+    currentArtPalette = item.artPalette;
+    harmonyBase = null;
+    currentFileName = item.fileName;
+    currentZoomAdjustment = item.zoomAdjustment;
+    currentCropOffset = { ...item.cropOffset };
+    currentRotation = item.rotation || 0;
+    currentFlipX = Boolean(item.flipX);
+    updateOrientationUI();
+    currentSeed = item.seed;
+    currentBannerText = item.bannerText || '';
+    updateOverlayUI();
+    currentSubjectMask = item.subjectMask;
+    updatePopOutUI();
+    currentBorderOptions = batchBorderOptions;
+    batchBorderSnapshot = JSON.stringify([batchBorderOptions, currentOverlays, popOutSettings, frameRevision]);
+    
+    const sliderValue = Math.round(currentZoomAdjustment * 100);
+    zoomSlider.value = sliderValue;
+    zoomValue.textContent = `${sliderValue}%`;
+    renderColorSwatches();
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.reset();
+    
+    if (backToBatchBtn) backToBatchBtn.style.display = '';
+    showPreview();
+}
+
+// Leave the editor and write the framing back to the open batch item
+function closeBatchItem() {
+    const item = batchItems[activeBatchIndex];
+    if (item) {
+        item.zoomAdjustment = currentZoomAdjustment;
+        item.cropOffset = { ...currentCropOffset };
+        item.rotation = currentRotation;
+        item.flipX = currentFlipX;
+        item.seed = currentSeed;
+        item.bannerText = currentBannerText;
+        item.tokenData = currentTokenData;
+    }
+    
+    // A border, overlay or pop-out change in the editor applies to the whole batch
+    if (JSON.stringify([batchBorderOptions, currentOverlays, popOutSettings, frameRevision]) !== batchBorderSnapshot) {
+        batchItems.forEach((other, i) => {
+            if (other.image && other !== item) {
+                other.tokenData = renderBatchItem(other);
+                updateBatchThumbnail(i);
+            }
+        });
+    }
+    updateBatchThumbnail(activeBatchIndex);
+    
+    activeBatchIndex = -1;
+    batchBorderSnapshot = null;
+    if (backToBatchBtn) backToBatchBtn.style.display = 'none';
+    updateBatchStatus();
+    showBatch();
+}
+
+// Export every finished batch token as a single ZIP (token_<name>.png entries)
+async function downloadBatchZip() {
+    const ready = batchItems.filter(item => item.tokenData);
+    if (ready.length === 0) return;
+    
+    batchDownloadBtn.disabled = true;
+    updateBatchStatus(`Packing ${ready.length} tokens...`);
+    try {
+        const usedNames = new Set();
+        const entries = [];
+        for (const item of ready) {
+            const blob = await canvasToBlob(renderBatchItem(item, currentTokenSize).canvas);
+            if (!blob) throw new Error(`Could not encode ${item.fileName}`);
+            entries.push({
+                name: uniqueZipName(tokenFileName(item.fileName), usedNames),
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+        }
+        
+        const zipBlob = new Blob([createZip(entries)], { type: 'application/zip' });
+        const url = URL.createObjectURL(zipBlob);
+        const link = document.createElement('a');
+        link.download = 'tokens.zip';
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+        
+        incrementTokensCreatedCount(entries.length).then((count) => {
+            if (count !== null) setTokensCreatedCount(count);
+        });
+    } catch (error) {
+        showError('Failed to create ZIP: ' + error.message);
+        console.error('Batch export error:', error);
+    } finally {
+        updateBatchStatus();
+    }
+}
+
+// Batch export as one Foundry package (images + prototypeToken snippets)
+async function downloadBatchFoundryZip() {
+    const ready = batchItems.filter(item => item.tokenData);
+    if (ready.length === 0) return;
+    
+    updateBatchStatus(`Packing ${ready.length} tokens for Foundry...`);
+    try {
+        const items = [];
+        for (const item of ready) {
+            items.push(await buildFoundryItem(renderBatchItem(item, currentTokenSize).canvas, item.fileName, item.colorScheme, batchBorderOptions));
+        }
+        const { folder } = getFoundrySettings();
+        downloadBlob(new Blob([createFoundryPackage(items, folder)], { type: 'application/zip' }), 'tokens_foundry.zip');
+        incrementTokensCreatedCount(items.length).then((count) => {
+            if (count !== null) setTokensCreatedCount(count);
+        });
+    } catch (error) {
+        showError('Failed to create Foundry package: ' + error.message);
+        console.error('Foundry batch export error:', error);
+    } finally {
+        updateBatchStatus();
+    }
+}
+
+// Drop all batch state (cancels a batch that is still processing)
+function clearBatch() {
+    startBatch.runId++;
+    batchItems = [];
+    batchBorderOptions = null;
+    activeBatchIndex = -1;
+    batchBorderSnapshot = null;
+    if (batchGrid) batchGrid.innerHTML = '';
+    if (backToBatchBtn) backToBatchBtn.style.display = 'none';
+}
+
+// Reset the application
+function resetApp() {
+    clearBatch();
+    currentImage = null;
+    currentTokenData = null;
+    currentFaceData = null;
+    currentFaces = [];
+    renderFacePicker();
+    currentColorScheme = null;
+    currentArtPalette = [];
+    harmonyBase = null;
+    renderColorSwatches();
+    currentZoomAdjustment = 1.0;
+    currentCropOffset = {x: 0, y: 0};
+    currentRotation = 0;
+    currentFlipX = false;
+    updateOrientationUI();
+    currentBannerText = '';
+    updateOverlayUI();
+    currentSubjectMask = null;
+    updatePopOutUI();
+    currentBorderOptions = initialBorderOptions();
+    editHistory.clear();
+    currentFileName = null;
+    isDragging = false;
+    activePointers.clear();
+    gestureStart = null;
+    fileInput.value = '';
+    zoomSlider.value = 100;
+    zoomValue.textContent = '100%';
+    hideError();
+    showUpload();
+}
+
+/**
+ * Foundry export settings (image format and target data folder), remembered between sessions.
+ * @returns {{format: string, folder: string}}
+ */
+function getFoundrySettings() {
+    const format = foundryFormatSelect && Object.values(FOUNDRY_IMAGE_FORMATS).includes(foundryFormatSelect.value)
+        ? foundryFormatSelect.value
+        : FOUNDRY_IMAGE_FORMATS.WEBP;
+    const folder = normalizeFoundryFolder(foundryFolderInput ? foundryFolderInput.value : DEFAULT_FOUNDRY_FOLDER);
+    return { format, folder };
+}
+
+// Restore and persist the Foundry export format/folder fields
+function initializeFoundryExport() {
+    if (!foundryFormatSelect || !foundryFolderInput) return;
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(FOUNDRY_SETTINGS_STORAGE_KEY) || '{}');
+    } catch (_err) {
+        saved = {};
+    }
+    foundryFormatSelect.value = Object.values(FOUNDRY_IMAGE_FORMATS).includes(saved.format) ? saved.format : FOUNDRY_IMAGE_FORMATS.WEBP;
+    foundryFolderInput.value = typeof saved.folder === 'string' ? saved.folder : DEFAULT_FOUNDRY_FOLDER;
+    
+    const persist = () => {
+        try {
+            localStorage.setItem(FOUNDRY_SETTINGS_STORAGE_KEY, JSON.stringify({
+                format: foundryFormatSelect.value,
+                folder: foundryFolderInput.value
+            }));
+        } catch (_err) {
+            // Storage unavailable - settings last for this session only
+        }
+    };
+    foundryFormatSelect.addEventListener('change', persist);
+    foundryFolderInput.addEventListener('change', persist);
+}
+
+/**
+ * Encode a rendered token for Foundry and build its prototypeToken snippet.
+ * @param {HTMLCanvasElement} canvas - Token at output size
+ * @param {string|null} baseName - Sanitized source name
+ * @param {Object} colorScheme - Auto colors (ring color when no custom color is set)
+ * @param {Object} borderOptions
+ * @returns {Promise<{name: string, fileName: string, blob: Blob, data: Uint8Array, prototypeToken: Object}>}
+ */
+async function buildFoundryItem(canvas, baseName, colorScheme, borderOptions) {
+    const { format, folder } = getFoundrySettings();
+    const mime = foundryImageMime(format);
+    const blob = await canvasToBlob(canvas, mime, WEBP_QUALITY);
+    // Browsers without WebP encoding silently hand back a PNG
+    if (!blob || blob.type !== mime) throw new Error(`This browser cannot encode ${format.toUpperCase()} images`);
+    
+    const fileName = tokenFileName(baseName).replace(/\.png$/, `.${format}`);
+    const ringColor = borderOptions.customScheme?.primary || borderOptions.customColor || colorScheme.primary;
+    return {
+        name: baseName || 'token',
+        fileName,
+        blob,
+        data: new Uint8Array(await blob.arrayBuffer()),
+        prototypeToken: buildPrototypeToken({
+            src: `${folder}${fileName}`,
+            ringColor,
+            backgroundColor: colorScheme.secondary
+        })
+    };
+}
+
+// Download the current token as a Foundry package (image + prototypeToken JSON)
+async function exportFoundryPackage() {
+    if (!currentTokenData) return;
+    try {
+        const canvas = createToken(currentImage, currentFaceData, currentColorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions, editorRenderOptions(currentTokenSize)).canvas;
+        const item = await buildFoundryItem(canvas, currentFileName, currentColorScheme, currentBorderOptions);
+        const { folder } = getFoundrySettings();
+        const zipName = tokenFileName(currentFileName).replace(/\.png$/, '_foundry.zip');
+        downloadBlob(new Blob([createFoundryPackage([item], folder)], { type: 'application/zip' }), zipName);
+        incrementTokensCreatedCount().then((count) => {
+            if (count !== null) setTokensCreatedCount(count);
+        });
+    } catch (error) {
+        showError('Failed to create Foundry package: ' + error.message);
+        console.error('Foundry export error:', error);
+    }
+}
+
+/**
+ * Publish the current token to the backend's recent-tokens feed, where the
+ * Foundry import macro (foundry/tkn8r-import-macro.js) picks it up.
+ */
+async function sendToFoundry() {
+    if (!currentTokenData || !foundrySendBtn) return;
+    const label = foundrySendBtn.textContent;
+    foundrySendBtn.disabled = true;
+    try {
+        const canvas = createToken(currentImage, currentFaceData, currentColorScheme, currentZoomAdjustment, currentCropOffset, currentBorderOptions, editorRenderOptions(currentTokenSize)).canvas;
+        const item = await buildFoundryItem(canvas, currentFileName, currentColorScheme, currentBorderOptions);
+        const form = new FormData();
+        form.append('image', item.blob, item.fileName);
+        form.append('name', item.name);
+        form.append('prototypeToken', JSON.stringify(item.prototypeToken));
+        const res = await fetch(`${TOKEN_API_BASE}/recent`, { method: 'POST', body: form });
+        if (!res.ok) {
+            const body = await res.json().catch(() => ({}));
+            throw new Error(body.error || `HTTP ${res.status}`);
+        }
+        hideError();
+        incrementTokensCreatedCount().then((count) => {
+            if (count !== null) setTokensCreatedCount(count);
+        });
+        foundrySendBtn.textContent = 'Sent ✓';
+        setTimeout(() => { foundrySendBtn.textContent = label; }, 2000);
+    } catch (error) {
+        showError('Could not send token to Foundry (is the backend running?): ' + error.message);
+        console.error('Send to Foundry error:', error);
+    } finally {
+        foundrySendBtn.disabled = false;
+    }
+}
+
+/**
+ * Read the remembered output size (falls back to the standard 512px).
+ * @returns {number}
+ */
+function loadOutputSize() {
+    try {
+        const stored = localStorage.getItem(OUTPUT_SIZE_STORAGE_KEY);
+        return stored ? clampTokenSize(stored) : PREVIEW_TOKEN_SIZE;
+    } catch (_err) {
+        return PREVIEW_TOKEN_SIZE;
+    }
+}
+
+/**
+ * Set the output size used for downloads and batch ZIPs, and remember it.
+ * @param {number} size
+ */
+function setOutputSize(size) {
+    currentTokenSize = clampTokenSize(size);
+    try {
+        localStorage.setItem(OUTPUT_SIZE_STORAGE_KEY, String(currentTokenSize));
+    } catch (_err) {
+        // Storage unavailable (private mode) - the size still applies this session
+    }
+}
+
+// Populate the output size picker (presets + custom) and wire it up
+function initializeOutputSizeControl() {
+    if (!outputSizeSelect) return;
+    outputSizeSelect.innerHTML = '';
+    TOKEN_SIZE_PRESETS.forEach((size) => {
+        const option = document.createElement('option');
+        option.value = String(size);
+        option.textContent = `${size} px`;
+        outputSizeSelect.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom...';
+    outputSizeSelect.appendChild(customOption);
+    
+    const isPreset = TOKEN_SIZE_PRESETS.includes(currentTokenSize);
+    outputSizeSelect.value = isPreset ? String(currentTokenSize) : 'custom';
+    if (customSizeInput) {
+        customSizeInput.value = String(currentTokenSize);
+        customSizeInput.style.display = isPreset ? 'none' : '';
+    }
+    
+    outputSizeSelect.addEventListener('change', () => {
+        if (outputSizeSelect.value === 'custom') {
+            if (customSizeInput) {
+                customSizeInput.style.display = '';
+                customSizeInput.focus();
+            }
+            return;
+        }
+        if (customSizeInput) customSizeInput.style.display = 'none';
+        setOutputSize(outputSizeSelect.value);
+    });
+    
+    if (customSizeInput) {
+        customSizeInput.addEventListener('change', () => {
+            setOutputSize(customSizeInput.value);
+            customSizeInput.value = String(currentTokenSize);
+        });
+    }
+}
+
+// Initialize border customization UI
+/** Convert '#rrggbb' → {r,g,b}. */
+function hexToRgb(hex) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    return m ? { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) } : { r: 255, g: 255, b: 255 };
+}
+/** Convert {r,g,b} → '#rrggbb'. */
+function rgbToHex(c) {
+    return '#' + ['r', 'g', 'b'].map(k => Math.max(0, Math.min(255, Math.round(c[k] || 0))).toString(16).padStart(2, '0')).join('');
+}
+
+/** Build one clickable color swatch button. */
+function makeColorSwatch(color, title, extraClass) {
+    const el = document.createElement('button');
+    el.className = 'color-swatch' + (extraClass ? ' ' + extraClass : '');
+    el.style.backgroundColor = `rgb(${color.r}, ${color.g}, ${color.b})`;
+    el.title = title;
+    el.setAttribute('aria-label', `Select ${title} color`);
+    el.addEventListener('click', () => selectBorderColor({ r: color.r, g: color.g, b: color.b }));
+    return el;
+}
+
+/**
+ * (Re)build the color-swatch strip. Order: exact-color picker, then colors
+ * pulled from the loaded art (so they match), then the curated presets.
+ */
+function renderColorSwatches() {
+    const el = document.getElementById('colorSwatches');
+    if (!el) { console.warn('Color swatches container not found'); return; }
+    el.innerHTML = '';
+
+    // 1) Exact-color picker — a native <input type=color> styled as a chip.
+    const pick = document.createElement('label');
+    pick.className = 'color-swatch custom-color-chip';
+    pick.title = 'Pick any exact color';
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = currentBorderOptions.customColor ? rgbToHex(currentBorderOptions.customColor) : '#8a6d3b';
+    input.addEventListener('input', (e) => selectBorderColor(hexToRgb(e.target.value)));
+    pick.appendChild(input);
+    el.appendChild(pick);
+
+    // 2) Colors sampled from the current art (empty until an image loads).
+    (currentArtPalette || []).forEach((c, i) => {
+        el.appendChild(makeColorSwatch(c, `From art ${i + 1}`, 'art-swatch'));
+    });
+
+    // 3) Curated presets (brights + dark metallics).
+    COLOR_SWATCHES.forEach((s) => {
+        el.appendChild(makeColorSwatch(s, s.name, 'preset-swatch'));
+    });
+}
+
+/**
+ * (Re)build the texture swatches from the texture registry (built-in and
+ * house textures), followed by uploaded frames
+ */
+function renderTextureSwatches() {
+    if (!textureSwatches) {
+        console.warn('Texture swatches container not found');
+        return;
+    }
+    textureSwatches.innerHTML = '';
+    getBorderTextures().forEach(({ id, name, swatch }) => {
+        const swatchEl = document.createElement('button');
+        swatchEl.className = 'texture-swatch';
+        swatchEl.setAttribute('data-texture', id);
+        swatchEl.textContent = name.substring(0, 3);
+        if (swatch) swatchEl.style.background = swatch;
+        swatchEl.title = name;
+        swatchEl.setAttribute('aria-label', `Select ${name} texture`);
+        swatchEl.addEventListener('click', () => selectBorderTexture(id));
+        textureSwatches.appendChild(swatchEl);
+    });
+    
+    // A texture registered since the sliders and band rows were built may have changed the choices
+    if (textureParamsEl) textureParamsEl.removeAttribute('data-texture');
+    if (bandList) bandList.removeAttribute('data-count');
+    renderFrameSwatches();
+}
+
+/**
+ * (Re)build the filter swatches from the portrait filter registry
+ */
+function renderFilterSwatches() {
+    if (!filterSwatches) return;
+    filterSwatches.innerHTML = '';
+    getPortraitFilters().forEach(({ id, name, swatch }) => {
+        const swatchEl = document.createElement('button');
+        swatchEl.className = 'texture-swatch filter-swatch';
+        swatchEl.setAttribute('data-filter', id);
+        if (swatch) swatchEl.style.background = swatch;
+        swatchEl.title = name;
+        swatchEl.setAttribute('aria-label', `${name} portrait filter`);
+        const canvas = document.createElement('canvas');
+        canvas.width = FILTER_PREVIEW_SIZE;
+        canvas.height = FILTER_PREVIEW_SIZE;
+        swatchEl.appendChild(canvas);
+        swatchEl.addEventListener('click', () => selectPortraitFilter(id));
+        filterSwatches.appendChild(swatchEl);
+    });
+    updateFilterPreviews();
+}
+
+/**
+ * Sliders for the current texture's tunable parameters (rebuilt when the
+ * texture changes, otherwise just synced)
+ */
+function updateTextureParamsUI() {
+    if (!textureParamsEl) return;
+    const textureType = currentBorderOptions.texture;
+    const { params } = getTextureDefinition(textureType);
+    if (textureParamsEl.getAttribute('data-texture') !== textureType) {
+        textureParamsEl.setAttribute('data-texture', textureType);
+        textureParamsEl.innerHTML = '';
+        params.forEach((param) => {
+            const label = document.createElement('label');
+            label.className = 'slider-label-inline';
+            label.textContent = param.name;
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'slider texture-param-slider';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.setAttribute('data-param', param.id);
+            input.addEventListener('input', () => setTextureParam(param.id, parseFloat(input.value)));
+            const value = document.createElement('span');
+            value.className = 'texture-param-value';
+            label.append(input, value);
+            textureParamsEl.appendChild(label);
+        });
+        if (params.length > 0) {
+            const resetBtn = document.createElement('button');
+            resetBtn.className = 'reset-swatch-btn';
+            resetBtn.textContent = 'Default';
+            resetBtn.title = 'Reset the texture settings';
+            resetBtn.addEventListener('click', resetTextureParams);
+            textureParamsEl.appendChild(resetBtn);
+        }
+    }
+    textureParamsEl.hidden = params.length === 0;
+    
+    const values = resolveTextureParams(textureType, currentBorderOptions.textureParams);
+    params.forEach((param) => {
+        const input = textureParamsEl.querySelector(`input[data-param="${param.id}"]`);
+        if (!input) return;
+        input.value = values[param.id];
+        input.nextElementSibling.textContent = `${Number(values[param.id].toFixed(2))}${param.unit}`;
+    });
+}
+
+// Change one parameter of the current texture
+function setTextureParam(paramId, value) {
+    currentBorderOptions.textureParams = { ...currentBorderOptions.textureParams, [paramId]: value };
+    updateBorderCustomizationUI();
+    regenerateToken();
+    // One slide of a slider is one undo step
+    editHistory.record(`texture-param-${paramId}`);
+}
+
+// Show the seed while the texture or background has a pattern it changes
+function updateSeedUI() {
+    if (!seedControl) return;
+    seedControl.hidden = !getTextureDefinition(currentBorderOptions.texture).seeded &&
+        !SEEDED_BACKGROUND_FILLS.includes(currentBorderOptions.background);
+    seedInput.value = String(currentSeed);
+}
+
+/**
+ * Give this token another variant of the procedural textures
+ * @param {number} seed
+ */
+function setSeed(seed) {
+    currentSeed = seed;
+    updateSeedUI();
+    if (!currentImage) return;
+    regenerateToken();
+    editHistory.record();
+}
+
+function resetTextureParams() {
+    currentBorderOptions.textureParams = {};
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+/**
+ * Portrait adjustment sliders (built on first use, otherwise just synced)
+ */
+function updateAdjustmentsUI() {
+    if (!adjustmentSlidersEl) return;
+    if (!adjustmentSlidersEl.hasChildNodes()) {
+        IMAGE_ADJUSTMENTS.forEach((adjustment) => {
+            const label = document.createElement('label');
+            label.className = 'slider-label-inline';
+            label.textContent = adjustment.name;
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'slider texture-param-slider';
+            input.min = adjustment.min;
+            input.max = adjustment.max;
+            input.step = adjustment.step;
+            input.setAttribute('data-adjustment', adjustment.id);
+            input.addEventListener('input', () => setAdjustment(adjustment.id, parseFloat(input.value)));
+            const value = document.createElement('span');
+            value.className = 'texture-param-value';
+            label.append(input, value);
+            adjustmentSlidersEl.appendChild(label);
+        });
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'reset-swatch-btn';
+        resetBtn.textContent = 'Reset';
+        resetBtn.title = 'Undo every portrait adjustment';
+        resetBtn.addEventListener('click', resetAdjustments);
+        adjustmentSlidersEl.appendChild(resetBtn);
+    }
+    
+    const values = normalizeAdjustments(currentBorderOptions.adjustments);
+    IMAGE_ADJUSTMENTS.forEach((adjustment) => {
+        const input = adjustmentSlidersEl.querySelector(`input[data-adjustment="${adjustment.id}"]`);
+        input.value = values[adjustment.id];
+        const sign = adjustment.min < 0 && values[adjustment.id] > 0 ? '+' : '';
+        input.nextElementSibling.textContent = `${sign}${Number(values[adjustment.id].toFixed(1))}${adjustment.unit}`;
+    });
+}
+
+// Change one portrait adjustment
+function setAdjustment(adjustmentId, value) {
+    currentBorderOptions.adjustments = { ...normalizeAdjustments(currentBorderOptions.adjustments), [adjustmentId]: value };
+    updateAdjustmentsUI();
+    regenerateToken();
+    // One slide of a slider is one undo step
+    editHistory.record(`adjust-${adjustmentId}`);
+}
+
+function resetAdjustments() {
+    currentBorderOptions.adjustments = normalizeAdjustments();
+    updateAdjustmentsUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+function initializeBorderCustomization() {
+    // Initialize color swatches (picker + art palette + presets)
     renderColorSwatches();
     
-    // Initialize texture swatches
-    const textureSwatchesEl = document.getElementById('textureSwatches');
-    if (textureSwatchesEl) {
-        // Clear any existing swatches
-        textureSwatchesEl.innerHTML = '';
-        
-        const textureNames = {
-            [BORDER_TEXTURES.SOLID]: 'Solid',
-            [BORDER_TEXTURES.GRADIENT]: 'Gradient',
-            [BORDER_TEXTURES.METALLIC]: 'Metallic',
-            [BORDER_TEXTURES.BRUSHED]: 'Brushed',
-            [BORDER_TEXTURES.HAMMERED]: 'Hammered',
-            [BORDER_TEXTURES.PATINA]: 'Patina',
-            [BORDER_TEXTURES.DAMASCUS]: 'Damascus',
-            [BORDER_TEXTURES.LEATHER]: 'Leather',
-            [BORDER_TEXTURES.WOOD]: 'Wood',
-            [BORDER_TEXTURES.STONE]: 'Stone',
-            [BORDER_TEXTURES.CRYSTAL]: 'Crystal',
-            [BORDER_TEXTURES.GLOW]: 'Glow'
-        };
-        
-        Object.entries(BORDER_TEXTURES).forEach(([key, textureType]) => {
-            const swatchEl = document.createElement('button');
-            swatchEl.className = 'texture-swatch';
-            swatchEl.setAttribute('data-texture', textureType);
-            swatchEl.textContent = textureNames[textureType].substring(0, 3);
-            swatchEl.title = textureNames[textureType];
-            swatchEl.setAttribute('aria-label', `Select ${textureNames[textureType]} texture`);
-            swatchEl.addEventListener('click', () => selectBorderTexture(textureType));
-            textureSwatchesEl.appendChild(swatchEl);
+    // Initialize texture swatches (every registered texture, then uploaded frames)
+    renderTextureSwatches();
+    
+    // Initialize filter swatches (every registered portrait filter)
+    renderFilterSwatches();
+    
+    // Initialize shape picker (frame outline for square/hex grids)
+    if (shapePicker) {
+        shapePicker.innerHTML = '';
+        const shapeIcons = {
+            [TOKEN_SHAPES.CIRCLE]: '●',
+            [TOKEN_SHAPES.SQUARE]: '■',
+            [TOKEN_SHAPES.ROUNDED]: '▢',
+            [TOKEN_SHAPES.HEX]: '⬢',
+            [TOKEN_SHAPES.HEX_FLAT]: '⬣',
+            [TOKEN_SHAPES.SHIELD]: '⛉'
+        };
+        Object.values(TOKEN_SHAPES).forEach((shapeType) => {
+            const btn = document.createElement('button');
+            btn.className = 'shape-btn';
+            btn.setAttribute('data-shape', shapeType);
+            btn.textContent = shapeIcons[shapeType];
+            btn.title = SHAPE_NAMES[shapeType];
+            btn.setAttribute('aria-label', `${SHAPE_NAMES[shapeType]} token shape`);
+            btn.addEventListener('click', () => selectTokenShape(shapeType));
+            shapePicker.appendChild(btn);
+        });
+    }
+    
+    // Initialize background fill picker
+    if (backgroundSelect) {
+        backgroundSelect.innerHTML = '';
+        Object.values(BACKGROUND_FILLS).forEach((fill) => {
+            const option = document.createElement('option');
+            option.value = fill;
+            option.textContent = BACKGROUND_FILL_NAMES[fill];
+            backgroundSelect.appendChild(option);
         });
-        
-        // Add border thickness toggle button to texture swatches container
-        const thicknessBtn = document.createElement('button');
-        thicknessBtn.className = 'texture-swatch';
-        thicknessBtn.id = 'borderThicknessBtn';
-        thicknessBtn.setAttribute('data-thickness', 'thin');
-        thicknessBtn.title = 'Toggle border thickness';
-        thicknessBtn.setAttribute('aria-label', 'Toggle border thickness');
-        const thicknessLabel = document.createElement('span');
-        thicknessLabel.id = 'borderThicknessLabel';
-        thicknessLabel.textContent = 'Thin';
-        thicknessBtn.appendChild(thicknessLabel);
-        thicknessBtn.addEventListener('click', toggleBorderThickness);
-        textureSwatchesEl.appendChild(thicknessBtn);
-    } else {
-        console.warn('Texture swatches container not found');
+        backgroundSelect.addEventListener('change', () => selectBackground(backgroundSelect.value));
+        backgroundColorInput.addEventListener('input', (e) => selectBackgroundColor(hexToRgb(e.target.value)));
+        resetBackgroundColorBtn.addEventListener('click', () => selectBackgroundColor(null));
+    }
+    
+    // Band stack: the main band's width plus extra bands inside it
+    if (borderWidthSlider) {
+        borderWidthSlider.max = String(MAX_BORDER_WIDTH);
+        borderWidthSlider.addEventListener('input', () => selectBorderWidth(parseFloat(borderWidthSlider.value)));
+    }
+    if (addBandBtn) {
+        addBandBtn.addEventListener('click', addBand);
+    }
+    
+    // Pattern seed: type one to recreate a ring, or roll a new one
+    if (seedInput) {
+        seedInput.addEventListener('change', () => {
+            const seed = normalizeSeed(seedInput.value);
+            if (seed === null) {
+                seedInput.value = String(currentSeed);
+                return;
+            }
+            setSeed(seed);
+        });
+        reseedBtn.addEventListener('click', () => setSeed(randomSeed()));
     }
     
     updateBorderCustomizationUI();
@@ -727,7 +2128,7 @@ function initializeBorderCustomization() {
 
 // Update border customization UI to reflect current state
 function updateBorderCustomizationUI() {
-    // Update texture swatches (excluding thickness button)
+    // Update texture swatches
     if (textureSwatches) {
         const textureSwatchElements = textureSwatches.querySelectorAll('.texture-swatch[data-texture]');
         textureSwatchElements.forEach(el => {
@@ -746,75 +2147,897 @@ function updateBorderCustomizationUI() {
             el.classList.remove('active');
         });
     }
+    updateColorRoleUI();
     
-    // Update border thickness button
-    const thicknessBtn = document.getElementById('borderThicknessBtn');
-    const thicknessLabel = document.getElementById('borderThicknessLabel');
-    if (thicknessBtn && thicknessLabel) {
-        if (currentBorderOptions.borderWidth === 8) {
-            thicknessBtn.setAttribute('data-thickness', 'thin');
-            thicknessBtn.classList.remove('active');
-            thicknessLabel.textContent = 'Thin';
-        } else {
-            thicknessBtn.setAttribute('data-thickness', 'thick');
-            thicknessBtn.classList.add('active');
-            thicknessLabel.textContent = 'Thick';
+    // Update shape picker + preview outline (the CSS circle mask only suits circles)
+    const shape = currentBorderOptions.shape || TOKEN_SHAPES.CIRCLE;
+    if (shapePicker) {
+        shapePicker.querySelectorAll('.shape-btn').forEach(el => {
+            el.classList.toggle('active', el.getAttribute('data-shape') === shape);
+        });
+    }
+    previewCanvas.setAttribute('data-shape', shape);
+    
+    // Update filter swatches
+    if (filterSwatches) {
+        const filter = currentBorderOptions.filter || PORTRAIT_FILTERS.NONE;
+        filterSwatches.querySelectorAll('.filter-swatch').forEach(el => {
+            el.classList.toggle('active', el.getAttribute('data-filter') === filter);
+        });
+    }
+    
+    updateHarmonyUI();
+    updateTextureParamsUI();
+    updateAdjustmentsUI();
+    updateFrameUI();
+    updateSeedUI();
+    
+    // Update background picker (the color is unused with no fill)
+    if (backgroundSelect) {
+        const background = currentBorderOptions.background || BACKGROUND_FILLS.NONE;
+        const backgroundColor = currentBorderOptions.backgroundColor;
+        backgroundSelect.value = background;
+        backgroundColorInput.disabled = background === BACKGROUND_FILLS.NONE;
+        resetBackgroundColorBtn.disabled = background === BACKGROUND_FILLS.NONE || !backgroundColor;
+        if (backgroundColor) {
+            backgroundColorInput.value = rgbToHex(backgroundColor);
+        } else if (currentColorScheme) {
+            backgroundColorInput.value = rgbToHex(currentColorScheme.secondary);
         }
     }
+    
+    // Show the preset the current options match (blank once they've been tweaked)
+    updatePresetSelect();
+    
+    updateBandStackUI();
+}
+
+/**
+ * Colors the border is drawn with right now, resolved the way createToken does
+ * @returns {Object|null} Color scheme (null before an image is loaded)
+ */
+function currentBorderScheme() {
+    const { customScheme, customColor } = currentBorderOptions;
+    if (customScheme) return customScheme;
+    if (customColor) return { primary: customColor, secondary: customColor, accent: customColor, border: customColor };
+    return currentColorScheme;
 }
 
-// Handle border color selection
+// Handle border color selection: one color for the whole border, shades of it, or one role of the scheme
 function selectBorderColor(color) {
-    currentBorderOptions.customColor = color;
+    if (colorTarget === 'all') {
+        currentBorderOptions.customColor = color;
+        currentBorderOptions.customScheme = null;
+    } else {
+        const scheme = currentBorderScheme();
+        currentBorderOptions.customScheme = colorTarget === 'shades' || !scheme
+            ? shadeScheme(color)
+            : schemeWithRole(scheme, colorTarget, color);
+        currentBorderOptions.customColor = null;
+    }
+    harmonyBase = color;
     updateBorderCustomizationUI();
     regenerateToken();
+    // Dragging around the color picker fires many inputs - keep them as one step
+    editHistory.record(`border-color-${colorTarget}`);
+}
+
+/**
+ * Sync the "apply to" row under the color swatches: the selected target and
+ * each role's current color (buttons are built once)
+ */
+function updateColorRoleUI() {
+    if (!colorRolesEl) return;
+    if (colorRolesEl.children.length === 0) {
+        COLOR_TARGETS.forEach(({ id, name, title }) => {
+            const btn = document.createElement('button');
+            btn.className = 'color-role-btn';
+            btn.setAttribute('data-target', id);
+            btn.title = title;
+            if (SCHEME_ROLES.includes(id)) {
+                const dot = document.createElement('span');
+                dot.className = 'color-role-dot';
+                btn.appendChild(dot);
+            }
+            btn.append(name);
+            btn.addEventListener('click', () => {
+                colorTarget = id;
+                updateColorRoleUI();
+            });
+            colorRolesEl.appendChild(btn);
+        });
+    }
+    
+    const scheme = currentBorderScheme();
+    colorRolesEl.querySelectorAll('.color-role-btn').forEach((btn) => {
+        const target = btn.getAttribute('data-target');
+        btn.classList.toggle('active', target === colorTarget);
+        const dot = btn.querySelector('.color-role-dot');
+        if (dot) dot.style.backgroundColor = scheme ? rgbToHex(scheme[target]) : 'transparent';
+    });
 }
 
 // Handle border texture selection
 function selectBorderTexture(textureType) {
+    if (textureType !== currentBorderOptions.texture) currentBorderOptions.textureParams = {};
     currentBorderOptions.texture = textureType;
     updateBorderCustomizationUI();
     regenerateToken();
+    editHistory.record();
+}
+
+// Handle portrait filter selection
+function selectPortraitFilter(filterType) {
+    currentBorderOptions.filter = filterType;
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+// Handle token shape selection
+function selectTokenShape(shapeType) {
+    currentBorderOptions.shape = shapeType;
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+// Handle background fill selection
+function selectBackground(fill) {
+    currentBorderOptions.background = fill;
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+// Pick the background color (null = from the image)
+function selectBackgroundColor(color) {
+    currentBorderOptions.backgroundColor = color;
+    updateBorderCustomizationUI();
+    regenerateToken();
+    // Dragging around the color picker fires many inputs - keep them as one step
+    editHistory.record(color ? 'background-color' : null);
 }
 
 // Reset border color to auto-detected
 function resetBorderColor() {
+    currentBorderOptions.customColor = null;
+    currentBorderOptions.customScheme = null;
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+// Color the harmony panel derives schemes from
+function harmonyBaseColor() {
+    return harmonyBase || currentBorderOptions.customScheme?.primary || currentBorderOptions.customColor ||
+        currentArtPalette[0] || currentColorScheme?.primary || null;
+}
+
+/**
+ * Sync the harmony panel: the base color chip and a button per harmony with
+ * a preview of its primary/secondary/accent (buttons are built once)
+ */
+function updateHarmonyUI() {
+    if (!harmonyOptionsEl) return;
+    if (harmonyOptionsEl.children.length === 0) {
+        Object.values(COLOR_HARMONIES).forEach((harmony) => {
+            const btn = document.createElement('button');
+            btn.className = 'harmony-btn';
+            btn.setAttribute('data-harmony', harmony);
+            btn.title = `Color the border with a ${COLOR_HARMONY_NAMES[harmony].toLowerCase()} scheme of the base color`;
+            const preview = document.createElement('span');
+            preview.className = 'harmony-preview';
+            const name = document.createElement('span');
+            name.textContent = COLOR_HARMONY_NAMES[harmony];
+            btn.append(preview, name);
+            btn.addEventListener('click', () => selectHarmony(harmony));
+            harmonyOptionsEl.appendChild(btn);
+        });
+    }
+    
+    const base = harmonyBaseColor();
+    if (harmonyBaseEl) harmonyBaseEl.style.backgroundColor = base ? rgbToHex(base) : 'transparent';
+    const activeKey = schemeKey(currentBorderOptions.customScheme);
+    harmonyOptionsEl.querySelectorAll('.harmony-btn').forEach((btn) => {
+        const scheme = base ? harmonyScheme(base, btn.getAttribute('data-harmony')) : null;
+        btn.disabled = !scheme;
+        btn.querySelector('.harmony-preview').style.background = scheme
+            ? `linear-gradient(90deg, ${rgbToHex(scheme.primary)} 0 33%, ${rgbToHex(scheme.secondary)} 33% 67%, ${rgbToHex(scheme.accent)} 67%)`
+            : '';
+        btn.classList.toggle('active', Boolean(scheme) && schemeKey(scheme) === activeKey);
+    });
+}
+
+// Color every border role from a harmony of the base color
+function selectHarmony(harmony) {
+    const base = harmonyBaseColor();
+    if (!base) return;
+    harmonyBase = base;
+    currentBorderOptions.customScheme = harmonyScheme(base, harmony);
     currentBorderOptions.customColor = null;
     updateBorderCustomizationUI();
     regenerateToken();
+    editHistory.record();
 }
 
 // Reset border texture to default (gradient)
 function resetBorderTexture() {
     currentBorderOptions.texture = BORDER_TEXTURES.GRADIENT;
+    currentBorderOptions.textureParams = {};
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+/**
+ * Row for one stacked band: texture, width, color, order and delete controls
+ * (values are filled in by updateBandStackUI)
+ * @param {number} index
+ */
+function createBandRow(index) {
+    const row = document.createElement('div');
+    row.className = 'band-row';
+    const label = document.createElement('span');
+    label.className = 'band-label';
+    label.textContent = `Band ${index + 2}`;
+    
+    const textureSelect = document.createElement('select');
+    textureSelect.className = 'select-input band-texture-select';
+    textureSelect.setAttribute('aria-label', `Band ${index + 2} texture`);
+    getBorderTextures().forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        textureSelect.appendChild(option);
+    });
+    textureSelect.addEventListener('change', () => updateBand(index, { texture: textureSelect.value, textureParams: {} }));
+    
+    const widthSlider = document.createElement('input');
+    widthSlider.type = 'range';
+    widthSlider.className = 'slider band-width-slider';
+    widthSlider.min = '1';
+    widthSlider.max = String(MAX_BAND_WIDTH);
+    widthSlider.step = '1';
+    widthSlider.setAttribute('aria-label', `Band ${index + 2} width`);
+    widthSlider.addEventListener('input', () => updateBand(index, { width: parseFloat(widthSlider.value) }, `band-width-${index}`));
+    const widthValue = document.createElement('span');
+    widthValue.className = 'texture-param-value';
+    
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'band-color-input';
+    colorInput.setAttribute('aria-label', `Band ${index + 2} color`);
+    colorInput.addEventListener('input', () => updateBand(index, { color: hexToRgb(colorInput.value) }, `band-color-${index}`));
+    
+    const autoBtn = document.createElement('button');
+    autoBtn.className = 'reset-swatch-btn band-auto-btn';
+    autoBtn.textContent = 'Auto';
+    autoBtn.title = 'Use colors from the image';
+    autoBtn.addEventListener('click', () => updateBand(index, { color: null }));
+    
+    const actions = [
+        ['↑', 'Move band outwards', () => moveBand(index, -1)],
+        ['↓', 'Move band inwards', () => moveBand(index, 1)],
+        ['✕', 'Remove band', () => removeBand(index)]
+    ].map(([text, title, onClick]) => {
+        const btn = document.createElement('button');
+        btn.className = 'band-action-btn';
+        btn.textContent = text;
+        btn.title = title;
+        btn.setAttribute('aria-label', `${title} ${index + 2}`);
+        btn.addEventListener('click', onClick);
+        return btn;
+    });
+    
+    row.append(label, textureSelect, widthSlider, widthValue, colorInput, autoBtn, ...actions);
+    return row;
+}
+
+/**
+ * Sync the band stack editor: the main band's width, then a row per extra band
+ * (rows are rebuilt only when bands are added or removed, so a color picker
+ * being dragged stays open)
+ */
+function updateBandStackUI() {
+    if (!bandList) return;
+    const bands = currentBorderOptions.bands || [];
+    if (borderWidthSlider) {
+        // An image frame's opening sets its width
+        const isFrame = Boolean(getTextureDefinition(currentBorderOptions.texture).innerRadius);
+        borderWidthSlider.value = String(currentBorderOptions.borderWidth);
+        borderWidthSlider.disabled = isFrame;
+        borderWidthValue.textContent = isFrame ? 'frame' : formatBorderWidth(currentBorderOptions.borderWidth);
+    }
+    if (bandList.getAttribute('data-count') !== String(bands.length)) {
+        bandList.setAttribute('data-count', String(bands.length));
+        bandList.innerHTML = '';
+        bands.forEach((_band, i) => bandList.appendChild(createBandRow(i)));
+    }
+    bands.forEach((band, i) => {
+        const row = bandList.children[i];
+        const widthSlider = row.querySelector('.band-width-slider');
+        row.querySelector('.band-texture-select').value = band.texture;
+        widthSlider.value = String(band.width);
+        widthSlider.nextElementSibling.textContent = formatBorderWidth(band.width);
+        row.querySelector('.band-color-input').value = rgbToHex(band.color || currentColorScheme?.primary || NEW_BAND_COLOR);
+        row.querySelector('.band-auto-btn').disabled = !band.color;
+        const [upBtn, downBtn] = row.querySelectorAll('.band-action-btn');
+        upBtn.disabled = i === 0;
+        downBtn.disabled = i === bands.length - 1;
+    });
+    if (addBandBtn) addBandBtn.disabled = bands.length >= MAX_BORDER_BANDS;
+}
+
+/**
+ * Apply a band stack change (bands are replaced, never mutated: batch tokens
+ * and history snapshots may hold the old array)
+ * @param {Array<Object>} bands
+ * @param {string|null} [historyKey] - Coalescing key for color drags
+ */
+function setBands(bands, historyKey = null) {
+    currentBorderOptions.bands = bands;
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.record(historyKey);
+}
+
+// Width label for the band sliders (512px reference units)
+function formatBorderWidth(width) {
+    return width > 0 ? `${Number(width.toFixed(1))}px` : 'none';
+}
+
+// Set the main (outermost) band's width; 0 leaves the token borderless
+function selectBorderWidth(width) {
+    currentBorderOptions.borderWidth = width;
     updateBorderCustomizationUI();
     regenerateToken();
+    editHistory.record('border-width');
+}
+
+// Add a thin gold band inside the innermost one
+function addBand() {
+    const bands = currentBorderOptions.bands || [];
+    if (bands.length >= MAX_BORDER_BANDS) return;
+    setBands([...bands, { texture: BORDER_TEXTURES.SOLID, textureParams: {}, color: { ...NEW_BAND_COLOR }, width: 2 }]);
+}
+
+// Change one band's texture, width or color
+function updateBand(index, changes, historyKey = null) {
+    setBands(currentBorderOptions.bands.map((band, i) => (i === index ? { ...band, ...changes } : band)), historyKey);
+}
+
+// Swap a band with its neighbour (delta -1 = outwards, 1 = inwards)
+function moveBand(index, delta) {
+    const bands = [...currentBorderOptions.bands];
+    const target = index + delta;
+    if (target < 0 || target >= bands.length) return;
+    [bands[index], bands[target]] = [bands[target], bands[index]];
+    setBands(bands);
+}
+
+function removeBand(index) {
+    setBands(currentBorderOptions.bands.filter((_band, i) => i !== index));
+}
+
+// Copy of a band list (colors and parameters included)
+function cloneBands(bands) {
+    return (bands || []).map(band => ({
+        ...band,
+        textureParams: { ...band.textureParams },
+        color: band.color ? { ...band.color } : null
+    }));
+}
+
+// Copy of a full color scheme (or null)
+function cloneScheme(scheme) {
+    return scheme ? Object.fromEntries(Object.entries(scheme).map(([role, color]) => [role, { ...color }])) : null;
+}
+
+// Comparable form of a color scheme ('' for none)
+function schemeKey(scheme) {
+    return scheme ? SCHEME_ROLES.map(role => rgbToHex(scheme[role])).join() : '';
 }
 
-// Toggle border thickness between thin (8) and thick (16)
-function toggleBorderThickness() {
-    if (currentBorderOptions.borderWidth === 8) {
-        currentBorderOptions.borderWidth = 16;
-        const btn = document.getElementById('borderThicknessBtn');
-        const label = document.getElementById('borderThicknessLabel');
-        if (btn) {
-            btn.setAttribute('data-thickness', 'thick');
-            btn.classList.add('active');
+/**
+ * Snapshot of everything the edit history tracks
+ * @returns {Object}
+ */
+function captureEditorState() {
+    return {
+        zoomAdjustment: currentZoomAdjustment,
+        cropOffset: { ...currentCropOffset },
+        rotation: currentRotation,
+        flipX: currentFlipX,
+        seed: currentSeed,
+        overlays: normalizeOverlays(currentOverlays),
+        bannerText: currentBannerText,
+        popOut: { ...popOutSettings },
+        borderOptions: {
+            ...currentBorderOptions,
+            textureParams: { ...currentBorderOptions.textureParams },
+            adjustments: normalizeAdjustments(currentBorderOptions.adjustments),
+            bands: cloneBands(currentBorderOptions.bands),
+            customColor: currentBorderOptions.customColor ? { ...currentBorderOptions.customColor } : null,
+            customScheme: cloneScheme(currentBorderOptions.customScheme),
+            backgroundColor: currentBorderOptions.backgroundColor ? { ...currentBorderOptions.backgroundColor } : null
         }
-        if (label) label.textContent = 'Thick';
+    };
+}
+
+/**
+ * Put an edit-history snapshot back on screen
+ * @param {Object} state - From captureEditorState
+ */
+function restoreEditorState(state) {
+    currentZoomAdjustment = state.zoomAdjustment;
+    currentCropOffset = { ...state.cropOffset };
+    currentRotation = state.rotation;
+    currentFlipX = state.flipX;
+    updateOrientationUI();
+    currentSeed = state.seed;
+    currentOverlays = normalizeOverlays(state.overlays);
+    currentBannerText = state.bannerText;
+    saveOverlays();
+    updateOverlayUI();
+    popOutSettings = { ...state.popOut };
+    savePopOutSettings();
+    updatePopOutUI();
+    // In place: batch items share one border options object
+    Object.assign(currentBorderOptions, state.borderOptions, {
+        textureParams: { ...state.borderOptions.textureParams },
+        adjustments: normalizeAdjustments(state.borderOptions.adjustments),
+        bands: cloneBands(state.borderOptions.bands),
+        customColor: state.borderOptions.customColor ? { ...state.borderOptions.customColor } : null,
+        customScheme: cloneScheme(state.borderOptions.customScheme),
+        backgroundColor: state.borderOptions.backgroundColor ? { ...state.borderOptions.backgroundColor } : null
+    });
+    
+    const sliderValue = Math.round(currentZoomAdjustment * 100);
+    zoomSlider.value = sliderValue;
+    zoomValue.textContent = `${sliderValue}%`;
+    updateBorderCustomizationUI();
+    regenerateToken();
+}
+
+/**
+ * Overlay settings for a render, with the given token's banner text
+ * @param {string} bannerText
+ * @returns {Object}
+ */
+function overlaysWithText(bannerText) {
+    return { ...currentOverlays, banner: { ...currentOverlays.banner, text: bannerText || '' } };
+}
+
+// Remember overlay styles (not banner text, which is per token) for the next visit
+function saveOverlays() {
+    try {
+        localStorage.setItem(OVERLAY_STORAGE_KEY, JSON.stringify(currentOverlays));
+    } catch (_err) {
+        // Storage unavailable - settings last for this session only
+    }
+}
+
+// Reflect overlay state in the panel fields (data-overlay="layer.field")
+function updateOverlayUI() {
+    if (!overlayPanel) return;
+    overlayPanel.querySelectorAll('[data-overlay]').forEach((input) => {
+        const [layer, field] = input.dataset.overlay.split('.');
+        const value = currentOverlays[layer][field];
+        if (input.type === 'checkbox') input.checked = Boolean(value);
+        else input.value = String(value);
+    });
+    if (bannerTextInput) bannerTextInput.value = currentBannerText;
+}
+
+// Restore saved overlay styles and wire up the overlay panel
+function initializeOverlays() {
+    if (!overlayPanel) return;
+    try {
+        currentOverlays = normalizeOverlays(JSON.parse(localStorage.getItem(OVERLAY_STORAGE_KEY) || 'null'));
+    } catch (_err) {
+        currentOverlays = defaultOverlays();
+    }
+    currentOverlays.banner.text = '';
+    
+    const fontSelect = overlayPanel.querySelector('[data-overlay="banner.font"]');
+    if (fontSelect) {
+        fontSelect.innerHTML = '';
+        Object.values(OVERLAY_FONTS).forEach((font) => {
+            const option = document.createElement('option');
+            option.value = font;
+            option.textContent = OVERLAY_FONT_NAMES[font];
+            fontSelect.appendChild(option);
+        });
+    }
+    
+    overlayPanel.querySelectorAll('[data-overlay]').forEach((input) => {
+        const [layer, field] = input.dataset.overlay.split('.');
+        const eventName = input.type === 'range' || input.type === 'color' ? 'input' : 'change';
+        input.addEventListener(eventName, () => {
+            const value = input.type === 'checkbox' ? input.checked : input.value;
+            currentOverlays = normalizeOverlays({
+                ...currentOverlays,
+                [layer]: { ...currentOverlays[layer], [field]: value }
+            });
+            saveOverlays();
+            if (!currentImage) return;
+            regenerateToken();
+            editHistory.record(`overlay-${layer}-${field}`);
+        });
+    });
+    
+    if (bannerTextInput) {
+        bannerTextInput.addEventListener('input', () => {
+            currentBannerText = bannerTextInput.value;
+            if (!currentImage) return;
+            regenerateToken();
+            editHistory.record('banner-text');
+        });
+    }
+    updateOverlayUI();
+}
+
+/**
+ * Pop-out render option for a token with the given subject mask
+ * @param {{mask: Object}|null} subjectMask
+ * @returns {{mask: Object, extent: number}|null}
+ */
+function popOutFor(subjectMask) {
+    return popOutSettings.enabled && subjectMask ? { mask: subjectMask.mask, extent: popOutSettings.extent } : null;
+}
+
+function savePopOutSettings() {
+    try {
+        localStorage.setItem(POP_OUT_STORAGE_KEY, JSON.stringify(popOutSettings));
+    } catch (_err) {
+        // Storage unavailable - settings last for this session only
+    }
+}
+
+// Reflect pop-out settings and whether this image can pop out at all
+function updatePopOutUI() {
+    if (!popOutCheckbox) return;
+    popOutCheckbox.checked = popOutSettings.enabled;
+    popOutSlider.value = String(popOutSettings.extent);
+    popOutValue.textContent = `${popOutSettings.extent}px`;
+    popOutSlider.disabled = !popOutSettings.enabled;
+    if (!popOutStatus) return;
+    if (!currentImage && !currentSubjectMask) {
+        popOutStatus.textContent = '';
+    } else if (!currentSubjectMask) {
+        popOutStatus.textContent = 'Needs a transparent PNG (or a segmentation model, see README)';
     } else {
-        currentBorderOptions.borderWidth = 8;
-        const btn = document.getElementById('borderThicknessBtn');
-        const label = document.getElementById('borderThicknessLabel');
-        if (btn) {
-            btn.setAttribute('data-thickness', 'thin');
-            btn.classList.remove('active');
-        }
-        if (label) label.textContent = 'Thin';
+        popOutStatus.textContent = currentSubjectMask.source === MASK_SOURCES.ALPHA
+            ? 'Subject from the transparent background'
+            : 'Subject from the segmentation model';
+    }
+}
+
+// Restore pop-out settings, wire up the controls and load a configured segmenter
+function initializePopOut() {
+    if (!popOutCheckbox || !popOutSlider) return;
+    try {
+        const saved = JSON.parse(localStorage.getItem(POP_OUT_STORAGE_KEY) || '{}');
+        const extent = Number(saved.extent);
+        popOutSettings = {
+            enabled: Boolean(saved.enabled),
+            extent: Number.isFinite(extent) ? Math.max(0, Math.min(MAX_POP_OUT_EXTENT, extent)) : DEFAULT_POP_OUT_EXTENT
+        };
+    } catch (_err) {
+        popOutSettings = { enabled: false, extent: DEFAULT_POP_OUT_EXTENT };
+    }
+    popOutSlider.max = String(MAX_POP_OUT_EXTENT);
+    
+    const apply = (historyKey) => {
+        savePopOutSettings();
+        updatePopOutUI();
+        if (!currentImage) return;
+        regenerateToken();
+        editHistory.record(historyKey);
+    };
+    popOutCheckbox.addEventListener('change', () => {
+        popOutSettings = { ...popOutSettings, enabled: popOutCheckbox.checked };
+        apply(null);
+    });
+    popOutSlider.addEventListener('input', () => {
+        popOutSettings = { ...popOutSettings, extent: parseInt(popOutSlider.value, 10) || 0 };
+        apply('pop-out-extent');
+    });
+    updatePopOutUI();
+    
+    // Optional local segmentation model for photos without transparency
+    loadSubjectSegmenter(window.TKN8R_CONFIG?.segmenterUrl);
+}
+
+/**
+ * Border options for a new image: the last-used preset when "keep" is on,
+ * otherwise the defaults.
+ * @returns {Object}
+ */
+function initialBorderOptions() {
+    if (getKeepLastPreset()) {
+        const preset = loadPresets().find(p => p.name === getLastPresetName());
+        if (preset) return presetToBorderOptions(preset);
+    }
+    return defaultBorderOptions();
+}
+
+/** Whether the border options are exactly what a preset would produce. */
+function matchesPreset(options, preset) {
+    const presetOptions = presetToBorderOptions(preset);
+    const sameColor = (!options.customColor && !presetOptions.customColor) ||
+        (options.customColor && presetOptions.customColor &&
+            rgbToHex(options.customColor) === rgbToHex(presetOptions.customColor));
+    const sameBackgroundColor = (!options.backgroundColor && !presetOptions.backgroundColor) ||
+        (options.backgroundColor && presetOptions.backgroundColor &&
+            rgbToHex(options.backgroundColor) === rgbToHex(presetOptions.backgroundColor));
+    const sameParams = JSON.stringify(resolveTextureParams(options.texture, options.textureParams)) ===
+        JSON.stringify(resolveTextureParams(presetOptions.texture, presetOptions.textureParams));
+    const bandKey = bands => JSON.stringify((bands || []).map(band => [
+        band.texture, band.width, band.color ? rgbToHex(band.color) : null,
+        resolveTextureParams(band.texture, band.textureParams)
+    ]));
+    const sameBands = bandKey(options.bands) === bandKey(presetOptions.bands);
+    const sameScheme = schemeKey(options.customScheme) === schemeKey(presetOptions.customScheme);
+    const sameAdjustments = JSON.stringify(normalizeAdjustments(options.adjustments)) ===
+        JSON.stringify(normalizeAdjustments(presetOptions.adjustments));
+    return sameColor && sameScheme && sameBackgroundColor && sameParams && sameBands && sameAdjustments &&
+        (options.background || BACKGROUND_FILLS.NONE) === presetOptions.background &&
+        (options.filter || PORTRAIT_FILTERS.NONE) === presetOptions.filter &&
+        options.texture === presetOptions.texture &&
+        options.borderWidth === presetOptions.borderWidth &&
+        (options.shape || TOKEN_SHAPES.CIRCLE) === presetOptions.shape;
+}
+
+// Rebuild the preset dropdown from storage
+function renderPresetOptions() {
+    if (!presetSelect) return;
+    presetSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Custom';
+    presetSelect.appendChild(placeholder);
+    loadPresets().forEach((preset) => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.name;
+        presetSelect.appendChild(option);
+    });
+    updatePresetSelect();
+}
+
+// Select the preset matching the current border (if any)
+function updatePresetSelect() {
+    if (!presetSelect) return;
+    const presets = loadPresets();
+    const match = presets.find(p => p.name === presetSelect.value && matchesPreset(currentBorderOptions, p)) ||
+        presets.find(p => matchesPreset(currentBorderOptions, p));
+    presetSelect.value = match ? match.name : '';
+    if (deletePresetBtn) deletePresetBtn.disabled = !match;
+}
+
+// Apply a saved preset to the current token (in place, so a batch's shared options follow)
+function applyBorderPreset(name) {
+    const preset = loadPresets().find(p => p.name === name);
+    if (!preset) return;
+    Object.assign(currentBorderOptions, presetToBorderOptions(preset));
+    setLastPresetName(preset.name);
+    renderColorSwatches();
+    updateBorderCustomizationUI();
+    regenerateToken();
+    editHistory.record();
+}
+
+// Save the current border under a name (same name overwrites)
+function saveCurrentPreset() {
+    const name = window.prompt('Preset name', presetSelect.value || '');
+    if (!name || !name.trim()) return;
+    savePreset(name, currentBorderOptions);
+    setLastPresetName(name.trim());
+    renderPresetOptions();
+}
+
+function deleteSelectedPreset() {
+    const name = presetSelect.value;
+    if (!name || !window.confirm(`Delete preset "${name}"?`)) return;
+    deletePreset(name);
+    if (getLastPresetName() === name) setLastPresetName(null);
+    renderPresetOptions();
+}
+
+// Download every saved preset as one JSON file for the group
+function exportPresets() {
+    const presets = loadPresets();
+    if (presets.length === 0) {
+        showError('No saved presets to export yet - click "Save" first.');
+        return;
+    }
+    downloadBlob(new Blob([exportPresetsJson(presets)], { type: 'application/json' }), 'tkn8r-border-presets.json');
+}
+
+// Merge a shared preset file into the saved list
+async function importPresets(file) {
+    try {
+        const { imported } = importPresetsJson(await file.text());
+        hideError();
+        renderPresetOptions();
+        console.log(`[TKN8R] Imported ${imported} border preset(s)`);
+    } catch (error) {
+        showError('Could not import presets: ' + error.message);
+    }
+}
+
+// Wire up the preset bar (dropdown, save/delete, import/export, keep toggle)
+function initializeBorderPresets() {
+    if (!presetSelect) return;
+    renderPresetOptions();
+    presetSelect.addEventListener('change', () => {
+        if (presetSelect.value) applyBorderPreset(presetSelect.value);
+        else if (deletePresetBtn) deletePresetBtn.disabled = true;
+    });
+    if (savePresetBtn) savePresetBtn.addEventListener('click', saveCurrentPreset);
+    if (deletePresetBtn) deletePresetBtn.addEventListener('click', deleteSelectedPreset);
+    if (exportPresetsBtn) exportPresetsBtn.addEventListener('click', exportPresets);
+    if (importPresetsBtn && importPresetsInput) {
+        importPresetsBtn.addEventListener('click', () => importPresetsInput.click());
+        importPresetsInput.addEventListener('change', () => {
+            const file = importPresetsInput.files && importPresetsInput.files[0];
+            if (file) importPresets(file);
+            importPresetsInput.value = '';
+        });
     }
+    if (keepPresetCheckbox) {
+        keepPresetCheckbox.checked = getKeepLastPreset();
+        keepPresetCheckbox.addEventListener('change', () => setKeepLastPreset(keepPresetCheckbox.checked));
+    }
+}
+
+// The uploaded frame the current border uses (null for procedural textures)
+function activeImageFrame() {
+    return imageFrames.find(frame => frame.id === currentBorderOptions.texture) || null;
+}
+
+// Add a swatch per uploaded frame after the built-in textures
+function renderFrameSwatches() {
+    if (!textureSwatches) return;
+    textureSwatches.querySelectorAll('.frame-swatch').forEach(el => el.remove());
+    imageFrames.forEach((frame) => {
+        if (!frame.thumbnailUrl) frame.thumbnailUrl = URL.createObjectURL(frame.blob);
+        const swatchEl = document.createElement('button');
+        swatchEl.className = 'texture-swatch frame-swatch';
+        swatchEl.setAttribute('data-texture', frame.id);
+        swatchEl.style.backgroundImage = `url("${frame.thumbnailUrl}")`;
+        swatchEl.title = frame.name;
+        swatchEl.setAttribute('aria-label', `Select ${frame.name} frame`);
+        swatchEl.addEventListener('click', () => selectBorderTexture(frame.id));
+        textureSwatches.appendChild(swatchEl);
+    });
+    updateBorderCustomizationUI();
+}
+
+// Sync the frame panel with the selected frame (settings only apply to uploaded frames)
+function updateFrameUI() {
+    if (!frameSettings) return;
+    const frame = activeImageFrame();
+    const innerRadius = frame ? frame.innerRadius : DEFAULT_FRAME_INNER_RADIUS;
+    frameInnerRadiusSlider.value = Math.round(innerRadius * 100);
+    frameInnerRadiusValue.textContent = `${Math.round(innerRadius * 100)}%`;
+    frameTintCheckbox.checked = Boolean(frame && frame.tint);
+    [frameInnerRadiusSlider, frameTintCheckbox, deleteFrameBtn].forEach(el => { el.disabled = !frame; });
+    if (exportFramesBtn) exportFramesBtn.disabled = imageFrames.length === 0;
+    frameHint.textContent = frame
+        ? `"${frame.name}": set the opening to where the portrait should end`
+        : (imageFrames.length ? 'Pick a frame swatch to adjust it' : 'Uploaded frames appear with the border textures');
+}
+
+// Change the selected frame's opening or tint (a frame setting, not a token edit - no undo step)
+function changeActiveFrame(changes) {
+    const index = imageFrames.findIndex(frame => frame.id === currentBorderOptions.texture);
+    if (index < 0) return;
+    const frame = imageFrames[index];
+    imageFrames[index] = { ...frame, ...changes };
+    frameRevision++;
+    // Re-registers the texture right away; the database write finishes in the background
+    updateFrame(frame, changes).catch(error => console.warn('Could not save frame settings:', error));
+    updateFrameUI();
     regenerateToken();
 }
 
+// Store an uploaded ring image and switch the border to it
+async function uploadFrame(file) {
+    try {
+        const frame = await addFrame(file);
+        imageFrames = [...imageFrames, frame].sort((a, b) => a.name.localeCompare(b.name));
+        hideError();
+        renderFrameSwatches();
+        selectBorderTexture(frame.id);
+    } catch (error) {
+        showError('Could not add frame: ' + error.message);
+    }
+}
+
+async function deleteActiveFrame() {
+    const frame = activeImageFrame();
+    if (!frame || !window.confirm(`Delete frame "${frame.name}"?`)) return;
+    try {
+        await deleteFrame(frame.id);
+    } catch (error) {
+        showError('Could not delete frame: ' + error.message);
+        return;
+    }
+    if (frame.thumbnailUrl) URL.revokeObjectURL(frame.thumbnailUrl);
+    imageFrames = imageFrames.filter(f => f.id !== frame.id);
+    renderFrameSwatches();
+    selectBorderTexture(BORDER_TEXTURES.GRADIENT);
+}
+
+// Download every uploaded frame (images included) as one JSON file
+async function exportFrames() {
+    if (imageFrames.length === 0) {
+        showError('No uploaded frames to export yet - click "Upload frame" first.');
+        return;
+    }
+    const json = await exportFramesJson(imageFrames);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'tkn8r-frames.json');
+}
+
+// Merge a shared frame file into the library
+async function importFrames(file) {
+    try {
+        const imported = await importFramesJson(await file.text());
+        const ids = new Set(imported.map(frame => frame.id));
+        imageFrames.filter(frame => ids.has(frame.id) && frame.thumbnailUrl)
+            .forEach(frame => URL.revokeObjectURL(frame.thumbnailUrl));
+        imageFrames = [...imageFrames.filter(frame => !ids.has(frame.id)), ...imported]
+            .sort((a, b) => a.name.localeCompare(b.name));
+        frameRevision++;
+        hideError();
+        renderFrameSwatches();
+        regenerateToken();
+        console.log(`[TKN8R] Imported ${imported.length} frame(s)`);
+    } catch (error) {
+        showError('Could not import frames: ' + error.message);
+    }
+}
+
+// Wire up the frame panel and register the stored frames
+function initializeFrameLibrary() {
+    if (!frameSettings) return;
+    uploadFrameBtn.addEventListener('click', () => uploadFrameInput.click());
+    uploadFrameInput.addEventListener('change', () => {
+        const file = uploadFrameInput.files && uploadFrameInput.files[0];
+        if (file) uploadFrame(file);
+        uploadFrameInput.value = '';
+    });
+    exportFramesBtn.addEventListener('click', exportFrames);
+    importFramesBtn.addEventListener('click', () => importFramesInput.click());
+    importFramesInput.addEventListener('change', () => {
+        const file = importFramesInput.files && importFramesInput.files[0];
+        if (file) importFrames(file);
+        importFramesInput.value = '';
+    });
+    frameInnerRadiusSlider.addEventListener('input', () => {
+        changeActiveFrame({ innerRadius: parseInt(frameInnerRadiusSlider.value, 10) / 100 });
+    });
+    frameTintCheckbox.addEventListener('change', () => changeActiveFrame({ tint: frameTintCheckbox.checked }));
+    deleteFrameBtn.addEventListener('click', deleteActiveFrame);
+    updateFrameUI();
+    
+    loadFrames()
+        .then((frames) => {
+            imageFrames = frames;
+            renderFrameSwatches();
+            // A kept preset may already point at one of these frames
+            regenerateToken();
+        })
+        .catch((error) => {
+            console.warn('[TKN8R] Frame library unavailable:', error);
+            [uploadFrameBtn, importFramesBtn].forEach(el => { el.disabled = true; });
+            frameHint.textContent = 'Custom frames need IndexedDB, which this browser has turned off';
+        });
+}
+
 // Store adjustment data for future analysis
 function storeAdjustmentData(zoomValue) {
     try {
@@ -882,18 +3105,28 @@ function showUpload() {
     uploadArea.style.display = 'block';
     processingArea.style.display = 'none';
     previewArea.style.display = 'none';
+    batchArea.style.display = 'none';
 }
 
 function showProcessing() {
     uploadArea.style.display = 'none';
     processingArea.style.display = 'block';
     previewArea.style.display = 'none';
+    batchArea.style.display = 'none';
 }
 
 function showPreview() {
     uploadArea.style.display = 'none';
     processingArea.style.display = 'none';
     previewArea.style.display = 'block';
+    batchArea.style.display = 'none';
+}
+
+function showBatch() {
+    uploadArea.style.display = 'none';
+    processingArea.style.display = 'none';
+    previewArea.style.display = 'none';
+    batchArea.style.display = 'block';
 }
 
 function showError(message) {
@@ -2,16 +2,46 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
+const multer = require('multer');
+const { pathToFileURL } = require('url');
+const { randomUUID } = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const TOKENS_FILE = path.join(__dirname, 'tokens.json');
+// The browser app's modules (tokenGenerator.js etc.) live one level up in the
+// repo; the Docker image copies them to the same relative place.
+const SHARED_DIR = process.env.TKN8R_SHARED_DIR || path.join(__dirname, '..');
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+// Tokens shared with the Foundry import macro (newest first, capped)
+const RECENT_DIR = process.env.RECENT_TOKENS_DIR || path.join(__dirname, 'recent');
+const RECENT_INDEX_FILE = path.join(RECENT_DIR, 'index.json');
+const RECENT_LIMIT = Math.max(1, Number(process.env.RECENT_TOKENS_LIMIT) || 50);
+const RECENT_TYPES = { 'image/png': 'png', 'image/webp': 'webp' };
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Image type from the file's magic bytes (the declared mimetype is up to the client)
+function sniffImageType(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
 
 app.use(cors());
 app.use(express.json());
 
 let tokenCount = 0;
 let writeQueue = Promise.resolve();
+let recentTokens = []; // [{ id, name, file, mimeType, createdAt, prototypeToken }]
+let recentQueue = Promise.resolve();
 
 async function initTokenCount() {
   try {
@@ -32,6 +62,46 @@ async function initTokenCount() {
   }
 }
 
+async function initRecentTokens() {
+  await fs.mkdir(RECENT_DIR, { recursive: true });
+  try {
+    const parsed = JSON.parse(await fs.readFile(RECENT_INDEX_FILE, 'utf8'));
+    recentTokens = Array.isArray(parsed?.tokens) ? parsed.tokens : [];
+  } catch {
+    recentTokens = [];
+  }
+}
+
+// Serialised like the counter writes so concurrent uploads can't lose entries.
+// A failed update or index write puts the list back as it was and leaves the
+// queue usable for the next upload.
+function enqueueRecent(update) {
+  const run = recentQueue.then(async () => {
+    const previous = recentTokens.slice();
+    try {
+      const result = await update();
+      await fs.writeFile(RECENT_INDEX_FILE, JSON.stringify({ tokens: recentTokens }, null, 2));
+      return result;
+    } catch (error) {
+      recentTokens = previous;
+      throw error;
+    }
+  });
+  recentQueue = run.catch(() => {});
+  return run;
+}
+
+function describeRecent(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    createdAt: token.createdAt,
+    mimeType: token.mimeType,
+    url: `/api/tokens/recent/${token.id}`,
+    prototypeToken: token.prototypeToken
+  };
+}
+
 function enqueueWrite(nextCount) {
   writeQueue = writeQueue.then(async () => {
     tokenCount = nextCount;
@@ -49,9 +119,12 @@ app.get('/api/tokens/count', (_req, res) => {
   res.json({ count: tokenCount });
 });
 
-app.post('/api/tokens/increment', async (_req, res) => {
+app.post('/api/tokens/increment', async (req, res) => {
   try {
-    const next = tokenCount + 1;
+    // Batch ZIP downloads report how many tokens they contained
+    const amount = Number(req.body?.amount);
+    const step = Number.isFinite(amount) && amount >= 1 ? Math.min(Math.floor(amount), 1000) : 1;
+    const next = tokenCount + step;
     const count = await enqueueWrite(next);
     res.json({ count });
   } catch (error) {
@@ -60,7 +133,129 @@ app.post('/api/tokens/increment', async (_req, res) => {
   }
 });
 
-initTokenCount().then(() => {
+// Recent tokens for the Foundry import macro, newest first (?limit=, default 20)
+app.get('/api/tokens/recent', (req, res) => {
+  const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 20, 1), RECENT_LIMIT);
+  res.json({ tokens: recentTokens.slice(0, limit).map(describeRecent) });
+});
+
+app.get('/api/tokens/recent/:id', async (req, res) => {
+  const token = recentTokens.find(t => t.id === req.params.id);
+  if (!token) {
+    res.status(404).json({ error: 'Token not found' });
+    return;
+  }
+  res.set('Content-Type', token.mimeType);
+  res.set('Cache-Control', 'no-store');
+  res.sendFile(path.join(RECENT_DIR, token.file));
+});
+
+// Publish a finished token for the macro. Multipart fields: image (PNG or
+// WebP), name, and prototypeToken (JSON, optional).
+app.post('/api/tokens/recent', (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next();
+  });
+}, async (req, res) => {
+  const mimeType = req.file && sniffImageType(req.file.buffer);
+  const ext = mimeType && RECENT_TYPES[mimeType];
+  if (!ext) {
+    res.status(400).json({ error: 'Expected a PNG or WebP "image" file field' });
+    return;
+  }
+  let prototypeToken = null;
+  if (req.body?.prototypeToken) {
+    try {
+      prototypeToken = JSON.parse(req.body.prototypeToken);
+    } catch {
+      res.status(400).json({ error: 'prototypeToken must be valid JSON' });
+      return;
+    }
+  }
+  const name = String(req.body?.name || req.file.originalname || 'token').substring(0, 100);
+
+  const id = randomUUID();
+  const file = `${id}.${ext}`;
+  let dropped = [];
+  try {
+    const token = await enqueueRecent(async () => {
+      const entry = {
+        id,
+        name,
+        file,
+        mimeType,
+        createdAt: new Date().toISOString(),
+        prototypeToken
+      };
+      await fs.writeFile(path.join(RECENT_DIR, file), req.file.buffer);
+      recentTokens.unshift(entry);
+      dropped = recentTokens.splice(RECENT_LIMIT);
+      return entry;
+    });
+    // Evicted files go only once the index no longer lists them
+    await Promise.all(dropped.map(t => fs.unlink(path.join(RECENT_DIR, t.file)).catch(() => {})));
+    res.status(201).json(describeRecent(token));
+  } catch (error) {
+    await fs.unlink(path.join(RECENT_DIR, file)).catch(() => {});
+    console.error('[TKN8R] Failed to store recent token:', error.message);
+    res.status(500).json({ error: 'Failed to store token' });
+  }
+});
+
+// Loaded on first use: the shared render code is ES modules and needs the
+// native canvas binding, which the counter endpoints don't.
+let rendererPromise = null;
+function loadRenderer() {
+  if (!rendererPromise) {
+    rendererPromise = Promise.all([
+      import('@napi-rs/canvas'),
+      import(pathToFileURL(path.join(SHARED_DIR, 'headlessRender.js')).href)
+    ]).then(([canvas, headless]) => ({ canvas, headless }));
+    rendererPromise.catch(() => { rendererPromise = null; });
+  }
+  return rendererPromise;
+}
+
+// Render a token from an uploaded image. Multipart fields: image (file) plus
+// optional zoom, offsetX, offsetY, texture, color, borderWidth, size, shape,
+// background, backgroundColor, adjustments (JSON), filter (portrait filter id),
+// seed (noise seed for procedural textures)
+// and face (JSON box/landmarks in source pixels; centered fallback if omitted).
+app.post('/api/tokens/render', (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next();
+  });
+}, async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ error: 'Missing "image" file field' });
+    return;
+  }
+  try {
+    const { canvas, headless } = await loadRenderer();
+    const result = await headless.renderTokenPng(req.file.buffer, req.body || {}, canvas);
+    res.set('Content-Type', 'image/png');
+    res.set('X-Token-Size', String(result.size));
+    res.set('X-Token-Seed', String(result.seed));
+    res.send(result.png);
+  } catch (error) {
+    if (error.code === 'INVALID_RENDER_OPTION') {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.error('[TKN8R] Failed to render token:', error.message);
+    res.status(500).json({ error: 'Failed to render token' });
+  }
+});
+
+Promise.all([initTokenCount(), initRecentTokens()]).then(() => {
   app.listen(PORT, () => {
     console.log(`[TKN8R] Backend listening on port ${PORT}`);
   });
@@ -0,0 +1,232 @@
+/**
+ * Background Fills Module
+ * What shows inside the frame behind the portrait: through the transparent
+ * parts of pre-cut PNGs and in crop margins beyond the image edges.
+ */
+
+import { REFERENCE_TOKEN_SIZE } from './borderStyles.js?v=1.5';
+import { colorToCSS } from './colorUtils.js';
+import { createCanvas } from './canvasFactory.js';
+import { createNoise, DEFAULT_SEED } from './noise.js';
+
+/**
+ * Background fill types
+ */
+export const BACKGROUND_FILLS = {
+    NONE: 'none',
+    SOLID: 'solid',
+    GRADIENT: 'gradient',
+    BLUR: 'blur',
+    PARCHMENT: 'parchment',
+    STONE: 'stone'
+};
+
+/**
+ * Fills that vary with the token's noise seed
+ */
+export const SEEDED_BACKGROUND_FILLS = [BACKGROUND_FILLS.PARCHMENT, BACKGROUND_FILLS.STONE];
+
+/**
+ * Display names for the background picker
+ */
+export const BACKGROUND_FILL_NAMES = {
+    [BACKGROUND_FILLS.NONE]: 'None',
+    [BACKGROUND_FILLS.SOLID]: 'Solid color',
+    [BACKGROUND_FILLS.GRADIENT]: 'Palette gradient',
+    [BACKGROUND_FILLS.BLUR]: 'Blurred image',
+    [BACKGROUND_FILLS.PARCHMENT]: 'Parchment',
+    [BACKGROUND_FILLS.STONE]: 'Stone'
+};
+
+// Base tones for the generated textures when no color is picked
+const PARCHMENT_BASE = { r: 226, g: 206, b: 162 };
+const STONE_BASE = { r: 128, g: 124, b: 118 };
+
+// Long side (px) the image is shrunk to for the blurred fill
+const BLUR_SAMPLE_SIZE = 24;
+// How much the margin-filling blurred copy is enlarged around the portrait centre
+const BLUR_SPILL_SCALE = 2.5;
+
+// Procedural textures are computed at most this large and scaled up (they are low-frequency)
+const MAX_TEXTURE_SIZE = 1024;
+// Generated textures kept for reuse (the editor preview, filter swatches and a download differ in size)
+const TEXTURE_CACHE_SIZE = 4;
+
+function mix(a, b, t) {
+    return { r: a.r + (b.r - a.r) * t, g: a.g + (b.g - a.g) * t, b: a.b + (b.b - a.b) * t };
+}
+
+const WHITE = { r: 255, g: 255, b: 255 };
+const BLACK = { r: 0, g: 0, b: 0 };
+
+/**
+ * Paint the background over the portrait area. The caller has already
+ * clipped to the frame, and draws the portrait on top afterwards.
+ * @param {CanvasRenderingContext2D} ctx - Token context
+ * @param {string} type - From BACKGROUND_FILLS
+ * @param {{x: number, y: number, size: number}} area - Portrait square in canvas px
+ * @param {Object} options
+ * @param {Object} options.colors - Image color scheme { primary, secondary, accent }
+ * @param {{r: number, g: number, b: number}|null} [options.color] - Picked color (null = from the image)
+ * @param {HTMLImageElement} [options.image] - Source image (for the blurred fill)
+ * @param {function(CanvasRenderingContext2D, Object): void} [options.drawPortrait] - Draws a layer
+ *        covering the image through the portrait's crop/rotation transform, so the blur lines up
+ * @param {number} [options.seed] - Noise seed for the parchment and stone textures
+ */
+export function drawBackgroundFill(ctx, type, area, { colors, color = null, image = null, drawPortrait = null, seed = DEFAULT_SEED }) {
+    switch (type) {
+        case BACKGROUND_FILLS.SOLID:
+            ctx.fillStyle = colorToCSS(color || colors.secondary);
+            ctx.fillRect(area.x, area.y, area.size, area.size);
+            break;
+        case BACKGROUND_FILLS.GRADIENT:
+            drawGradientFill(ctx, area, color, colors);
+            break;
+        case BACKGROUND_FILLS.BLUR:
+            drawBlurFill(ctx, area, image, color || colors.secondary, drawPortrait);
+            break;
+        case BACKGROUND_FILLS.PARCHMENT:
+            drawTextureFill(ctx, area, type, color || PARCHMENT_BASE, seed);
+            break;
+        case BACKGROUND_FILLS.STONE:
+            drawTextureFill(ctx, area, type, color || STONE_BASE, seed);
+            break;
+        default:
+            // NONE: leave whatever the frame left behind
+            break;
+    }
+}
+
+/**
+ * Radial gradient: a light centre fading to a dark edge, from the picked
+ * color or the image's palette
+ */
+function drawGradientFill(ctx, area, color, colors) {
+    const center = color ? mix(color, WHITE, 0.35) : mix(colors.primary, WHITE, 0.15);
+    const middle = color || colors.secondary;
+    const edge = color ? mix(color, BLACK, 0.55) : mix(colors.accent, BLACK, 0.35);
+    const cx = area.x + area.size / 2;
+    const cy = area.y + area.size / 2;
+    const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, area.size * 0.71);
+    gradient.addColorStop(0, colorToCSS(center));
+    gradient.addColorStop(0.55, colorToCSS(middle));
+    gradient.addColorStop(1, colorToCSS(edge));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(area.x, area.y, area.size, area.size);
+}
+
+/**
+ * Heavily blurred copies of the image over the base color: an enlarged one
+ * that spills into crop margins, and one exactly under the portrait that
+ * leaves a soft halo around cut-out subjects. Blurred by shrinking to a few
+ * dozen pixels and scaling back up, which works the same in every browser
+ * and in Node.
+ */
+function drawBlurFill(ctx, area, image, base, drawPortrait) {
+    ctx.fillStyle = colorToCSS(base);
+    ctx.fillRect(area.x, area.y, area.size, area.size);
+    if (!image || !image.width || !image.height || !drawPortrait) return;
+
+    const longSide = Math.max(image.width, image.height);
+    const small = createCanvas(
+        Math.max(1, Math.round(BLUR_SAMPLE_SIZE * image.width / longSide)),
+        Math.max(1, Math.round(BLUR_SAMPLE_SIZE * image.height / longSide))
+    );
+    const sctx = small.getContext('2d');
+    sctx.imageSmoothingQuality = 'high';
+    sctx.drawImage(image, 0, 0, small.width, small.height);
+
+    const cx = area.x + area.size / 2;
+    const cy = area.y + area.size / 2;
+    for (const scale of [BLUR_SPILL_SCALE, 1]) {
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.translate(cx, cy);
+        ctx.scale(scale, scale);
+        ctx.translate(-cx, -cy);
+        drawPortrait(ctx, small);
+        ctx.restore();
+    }
+    // Knock it back a little so the portrait stays the focus
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.18)';
+    ctx.fillRect(area.x, area.y, area.size, area.size);
+}
+
+// Recently generated textures: key -> canvas, oldest first
+const textureCache = new Map();
+
+/**
+ * Per-pixel texture over the area. The texture doesn't depend on the crop, so
+ * it is cached by type, size, seed and base color and drags reuse it.
+ */
+function drawTextureFill(ctx, area, type, base, seed) {
+    const size = Math.max(1, Math.round(Math.min(area.size, MAX_TEXTURE_SIZE)));
+    const key = [type, size, seed, Math.round(base.r), Math.round(base.g), Math.round(base.b)].join();
+    let canvas = textureCache.get(key);
+    if (!canvas) {
+        const shade = type === BACKGROUND_FILLS.STONE ? stoneShade(createNoise(seed)) : parchmentShade(createNoise(seed));
+        canvas = generateTexture(size, base, shade);
+        if (textureCache.size >= TEXTURE_CACHE_SIZE) textureCache.delete(textureCache.keys().next().value);
+        textureCache.set(key, canvas);
+    }
+    ctx.drawImage(canvas, area.x, area.y, area.size, area.size);
+}
+
+/**
+ * Compute a texture square. Like the border textures, `shade` gets
+ * coordinates in REFERENCE_TOKEN_SIZE space (plus the normalised distance
+ * from the centre, 0-1 at the edge midpoints) so the look is size-independent.
+ * @returns {HTMLCanvasElement}
+ */
+function generateTexture(size, base, shade) {
+    const canvas = createCanvas(size, size);
+    const tctx = canvas.getContext('2d');
+    const imageData = tctx.createImageData(size, size);
+    const data = imageData.data;
+    const s = REFERENCE_TOKEN_SIZE / size;
+    const half = size / 2;
+    for (let i = 0; i < data.length; i += 4) {
+        const x = (i / 4) % size;
+        const y = Math.floor((i / 4) / size);
+        const dist = Math.hypot(x - half, y - half) / half;
+        const c = shade(x * s, y * s, base, dist);
+        data[i] = Math.max(0, Math.min(255, c.r));
+        data[i + 1] = Math.max(0, Math.min(255, c.g));
+        data[i + 2] = Math.max(0, Math.min(255, c.b));
+        data[i + 3] = 255;
+    }
+    tctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Parchment: blotchy stains, faint fibres and a darker, aged edge
+ * @param {Object} noise - From createNoise
+ */
+function parchmentShade(noise) {
+    return (x, y, base, dist) => {
+        const stain = noise.fbm(x * 0.012, y * 0.012, { octaves: 5 });
+        const fibre = noise.simplex(x * 0.6, y * 0.05) * 3;
+        const age = Math.max(0, dist - 0.55) * 70;
+        const n = stain * 24 + fibre - age;
+        return { r: base.r + n, g: base.g + n * 0.95, b: base.b + n * 0.8 };
+    };
+}
+
+/**
+ * Stone: mottled slab with darker veins
+ * @param {Object} noise - From createNoise
+ */
+function stoneShade(noise) {
+    return (x, y, base, dist) => {
+        const mottle = noise.fbm(x * 0.03, y * 0.03, { octaves: 5 }) * 30;
+        // Veins follow the ridges of a warped noise field
+        const warp = noise.fbm(x * 0.006 + 40, y * 0.006, { octaves: 2 }) * 2;
+        const vein = Math.abs(noise.simplex(x * 0.008 + warp, y * 0.011 - warp));
+        const crack = vein < 0.025 ? -26 : (vein < 0.05 ? -10 : 0);
+        const shadow = Math.max(0, dist - 0.7) * 40;
+        const n = mottle + crack - shadow;
+        return { r: base.r + n, g: base.g + n, b: base.b + n };
+    };
+}
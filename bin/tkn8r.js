@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+/**
+ * tkn8r - command-line token generator for bulk pipelines.
+ *
+ *   tkn8r "portraits/**\/*.jpg" -o tokens --texture metallic --color #c0a040 --size 1024
+ *
+ * Renders through headlessRender.js, i.e. the same tokenGenerator.js and
+ * borderStyles.js code the web app uses, so regenerating a folder after a
+ * house-style change gives exactly what the UI would.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { renderTokenPng, parseRenderOptions } from '../headlessRender.js';
+import { getBorderTextures, loadBorderTextureModules } from '../borderStyles.js?v=1.5';
+import { TOKEN_SHAPES } from '../tokenShapes.js';
+import { BACKGROUND_FILLS } from '../backgroundFills.js';
+import { IMAGE_ADJUSTMENTS } from '../imageAdjustments.js';
+import { getPortraitFilters } from '../portraitFilters.js';
+import { uniqueZipName } from '../zipWriter.js';
+import { seedFromString } from '../noise.js';
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp', '.avif']);
+const THICKNESS_PRESETS = { none: 0, thin: 8, thick: 16 };
+
+const USAGE = `Usage: tkn8r <files|dirs|globs...> [options]
+
+Options:
+  -o, --out <dir>          Output directory (default: ./tokens)
+  -t, --texture <id>       Border texture (default: gradient)
+  -p, --param <name=value> Texture parameter, e.g. -p grain=2 (repeatable)
+      --texture-module <file|url>
+                           Load house textures from an ES module (repeatable)
+  -a, --adjust <name=value>
+                           Portrait adjustment, e.g. -a exposure=0.5 -a sharpen=60
+                           (repeatable; see --list)
+  -c, --color <color>      Border color: #rrggbb, #rgb, r,g,b or "auto" (default: auto)
+  -w, --thickness <n>      Border width: none, thin, thick or 0-64 in 512px units (default: thin)
+      --band <texture:width[:color]>
+                           Stack a band inside the border, e.g. --band solid:2:#ffd700
+                           for a gold pinstripe (repeatable, outside in, up to 3)
+  -s, --size <px>          Output size in px, 64-4096 (default: 512)
+      --shape <id>         Token shape (default: circle)
+  -b, --background <id>    Fill behind the portrait (transparent areas and crop
+                           margins) (default: none)
+      --background-color <color>
+                           Background color, as --color (default: auto)
+  -f, --filter <id>        Portrait filter, e.g. grayscale for the dead (default: none)
+  -z, --zoom <n>           Zoom factor, 1 = auto crop (default: 1)
+  -r, --rotate <deg>       Rotate the portrait clockwise, -360 to 360 (default: 0)
+      --flip               Mirror the portrait horizontally
+      --seed <n>           Noise seed for procedural textures, 0-4294967295
+                           (default: derived from each file name, so every
+                           token differs but reruns are identical)
+      --pop-out <px>       Let the subject of transparent PNGs break out over the
+                           frame, with up to <px> (0-160, 512px units) of headroom
+  -l, --list               List textures (with parameters), shapes, backgrounds,
+                           filters and adjustments
+  -h, --help               Show this help
+
+Globs (*, ?, **) are expanded by tkn8r itself, so quote them on shells that
+don't (PowerShell, cmd). Directories are scanned for images (not recursively).
+Existing tokens in the output directory are replaced; inputs that share a name
+in one run get _2, _3... suffixes.`;
+
+/**
+ * Same naming as the web app's downloads: token_<sanitized name>.png
+ */
+function tokenFileName(filePath) {
+  const base = path.basename(filePath, path.extname(filePath));
+  const safe = base.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 50);
+  return `token_${safe.trim() !== '' ? safe : 'image'}.png`;
+}
+
+function isImage(filePath) {
+  return IMAGE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Turn one glob path segment into a RegExp (* and ? only; ** is handled by the walker)
+ */
+function segmentToRegExp(segment) {
+  const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+async function readDirSafe(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Expand a glob into matching file paths
+ */
+async function expandGlob(pattern) {
+  const normalized = pattern.replace(/\\/g, '/');
+  const absolute = path.isAbsolute(normalized);
+  const segments = normalized.split('/').filter((s, i) => s !== '' || i === 0);
+  // Leading literal segments form the directory to start walking from
+  let start = absolute ? path.parse(path.resolve(pattern)).root : '.';
+  let i = absolute ? 1 : 0;
+  while (i < segments.length - 1 && !/[*?]/.test(segments[i])) {
+    start = path.join(start, segments[i]);
+    i++;
+  }
+  const results = [];
+
+  async function walk(dir, rest) {
+    if (rest.length === 0) return;
+    const [segment, ...tail] = rest;
+    const entries = await readDirSafe(dir);
+    if (segment === '**') {
+      // Zero directories...
+      await walk(dir, tail);
+      // ...or any number of them
+      for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+          await walk(path.join(dir, entry.name), rest);
+        }
+      }
+      return;
+    }
+    const matcher = segmentToRegExp(segment);
+    for (const entry of entries) {
+      if (!matcher.test(entry.name)) continue;
+      const full = path.join(dir, entry.name);
+      if (tail.length === 0) {
+        if (entry.isFile()) results.push(full);
+      } else if (entry.isDirectory()) {
+        await walk(full, tail);
+      }
+    }
+  }
+
+  await walk(start, segments.slice(i));
+  return results;
+}
+
+/**
+ * Resolve the positional arguments into a de-duplicated list of image files
+ */
+async function collectInputs(args) {
+  const files = new Set();
+  for (const arg of args) {
+    if (/[*?]/.test(arg)) {
+      (await expandGlob(arg)).filter(isImage).forEach(f => files.add(path.resolve(f)));
+      continue;
+    }
+    let stat;
+    try {
+      stat = await fs.stat(arg);
+    } catch {
+      console.warn(`[tkn8r] Skipping ${arg}: not found`);
+      continue;
+    }
+    if (stat.isDirectory()) {
+      const entries = await readDirSafe(arg);
+      entries
+        .filter(e => e.isFile() && isImage(e.name))
+        .forEach(e => files.add(path.resolve(arg, e.name)));
+    } else {
+      files.add(path.resolve(arg));
+    }
+  }
+  return [...files].sort();
+}
+
+async function loadCanvas() {
+  try {
+    return await import('@napi-rs/canvas');
+  } catch {
+    console.error('[tkn8r] @napi-rs/canvas is not installed. Run `npm install` in the TKN8R folder.');
+    process.exit(1);
+  }
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o', default: 'tokens' },
+        texture: { type: 'string', short: 't' },
+        param: { type: 'string', short: 'p', multiple: true },
+        adjust: { type: 'string', short: 'a', multiple: true },
+        'texture-module': { type: 'string', multiple: true },
+        color: { type: 'string', short: 'c' },
+        thickness: { type: 'string', short: 'w' },
+        band: { type: 'string', multiple: true },
+        size: { type: 'string', short: 's' },
+        shape: { type: 'string' },
+        background: { type: 'string', short: 'b' },
+        'background-color': { type: 'string' },
+        filter: { type: 'string', short: 'f' },
+        zoom: { type: 'string', short: 'z' },
+        rotate: { type: 'string', short: 'r' },
+        flip: { type: 'boolean', default: false },
+        seed: { type: 'string' },
+        'pop-out': { type: 'string' },
+        list: { type: 'boolean', short: 'l', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(`[tkn8r] ${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  // House textures first, so --texture, --param and --list can use them
+  if (values['texture-module']) {
+    const urls = values['texture-module'].map(m => /^(https?|file|data):/i.test(m) ? m : pathToFileURL(path.resolve(m)).href);
+    await loadBorderTextureModules(urls);
+  }
+  if (values.list) {
+    const textures = getBorderTextures();
+    console.log(`Textures: ${textures.map(t => t.id).join(', ')}`);
+    console.log(`Shapes:   ${Object.values(TOKEN_SHAPES).join(', ')}`);
+    console.log(`Backgrounds: ${Object.values(BACKGROUND_FILLS).join(', ')}`);
+    console.log(`Filters:  ${getPortraitFilters().map(f => f.id).join(', ')}`);
+    console.log('Texture parameters (-p name=value):');
+    textures.filter(t => t.params.length > 0).forEach((t) => {
+      const params = t.params.map(p => `${p.id} ${p.min}-${p.max} (default ${p.default})`);
+      console.log(`  ${t.id}: ${params.join(', ')}`);
+    });
+    const adjustments = IMAGE_ADJUSTMENTS.map(a => `${a.id} (${a.min} to ${a.max})`);
+    console.log(`Adjustments (-a name=value): ${adjustments.join(', ')}`);
+    return;
+  }
+  if (positionals.length === 0) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const textureParams = {};
+  for (const param of values.param || []) {
+    const match = /^([^=]+)=(.*)$/.exec(param);
+    if (!match) {
+      console.error(`[tkn8r] --param needs name=value, got "${param}"`);
+      process.exit(2);
+    }
+    textureParams[match[1].trim()] = match[2].trim();
+  }
+
+  const adjustments = {};
+  for (const adjust of values.adjust || []) {
+    const match = /^([^=]+)=(.*)$/.exec(adjust);
+    if (!match) {
+      console.error(`[tkn8r] --adjust needs name=value, got "${adjust}"`);
+      process.exit(2);
+    }
+    adjustments[match[1].trim()] = match[2].trim();
+  }
+
+  const bands = [];
+  for (const band of values.band || []) {
+    const [texture, width, color] = band.split(':').map(part => part.trim());
+    if (!texture || !width) {
+      console.error(`[tkn8r] --band needs texture:width[:color], got "${band}"`);
+      process.exit(2);
+    }
+    bands.push({ texture, width, color });
+  }
+
+  const thickness = values.thickness ?? 'thin';
+  const options = {
+    texture: values.texture,
+    textureParams: values.param ? textureParams : undefined,
+    adjustments: values.adjust ? adjustments : undefined,
+    color: values.color,
+    borderWidth: THICKNESS_PRESETS[thickness.toLowerCase()] ?? thickness,
+    bands,
+    size: values.size,
+    shape: values.shape,
+    background: values.background,
+    backgroundColor: values['background-color'],
+    filter: values.filter,
+    zoom: values.zoom,
+    rotation: values.rotate,
+    flipX: values.flip,
+    seed: values.seed,
+    popOut: values['pop-out'] !== undefined,
+    popOutExtent: values['pop-out']
+  };
+  // Fail on bad flags before touching any files
+  try {
+    parseRenderOptions(options);
+  } catch (error) {
+    console.error(`[tkn8r] ${error.message}`);
+    process.exit(2);
+  }
+
+  const files = await collectInputs(positionals);
+  if (files.length === 0) {
+    console.error('[tkn8r] No input images matched');
+    process.exit(1);
+  }
+
+  const canvas = await loadCanvas();
+  const outDir = path.resolve(values.out);
+  await fs.mkdir(outDir, { recursive: true });
+
+  const usedNames = new Set();
+  let failed = 0;
+  for (const [index, file] of files.entries()) {
+    const name = uniqueZipName(tokenFileName(file), usedNames);
+    const label = `[${index + 1}/${files.length}]`;
+    try {
+      const seed = options.seed ?? seedFromString(path.basename(file));
+      const { png, popOut } = await renderTokenPng(await fs.readFile(file), { ...options, seed }, canvas);
+      await fs.writeFile(path.join(outDir, name), png);
+      const note = options.popOut && !popOut ? ' (no transparent background, rendered without pop-out)' : '';
+      console.log(`${label} ${path.relative(process.cwd(), file)} -> ${name}${note}`);
+    } catch (error) {
+      failed++;
+      console.error(`${label} ${path.relative(process.cwd(), file)} failed: ${error.message}`);
+    }
+  }
+
+  console.log(`[tkn8r] Wrote ${files.length - failed} token(s) to ${outDir}${failed ? `, ${failed} failed` : ''}`);
+  if (failed) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,291 @@
+/**
+ * Border Presets Module
+ * Named border styles ("Blued Steel + Brushed, Thick") kept in localStorage,
+ * plus the JSON format used to share them between players.
+ */
+
+import {
+    BORDER_TEXTURES, MAX_BORDER_WIDTH, MAX_BORDER_BANDS, MAX_BAND_WIDTH, isValidTextureId, isImageFrameId
+} from './borderStyles.js?v=1.5';
+import { TOKEN_SHAPES } from './tokenShapes.js';
+import { BACKGROUND_FILLS } from './backgroundFills.js';
+import { defaultAdjustments, normalizeAdjustments } from './imageAdjustments.js';
+import { PORTRAIT_FILTERS, hasPortraitFilter } from './portraitFilters.js';
+
+const PRESETS_STORAGE_KEY = 'tkn8rBorderPresets';
+const LAST_PRESET_STORAGE_KEY = 'tkn8rLastBorderPreset';
+const KEEP_PRESET_STORAGE_KEY = 'tkn8rKeepBorderPreset';
+const SCHEME_ROLES = ['primary', 'secondary', 'accent', 'border'];
+
+/**
+ * Version tag written into exported files
+ */
+export const PRESET_FILE_VERSION = 1;
+
+/**
+ * Border options every new token starts from (unless a preset is kept)
+ * @returns {Object} A fresh border options object
+ */
+export function defaultBorderOptions() {
+    return {
+        texture: BORDER_TEXTURES.GRADIENT,
+        textureParams: {},
+        customColor: null,
+        customScheme: null,
+        borderWidth: 8,
+        bands: [],
+        shape: TOKEN_SHAPES.CIRCLE,
+        background: BACKGROUND_FILLS.NONE,
+        backgroundColor: null,
+        adjustments: defaultAdjustments(),
+        filter: PORTRAIT_FILTERS.NONE
+    };
+}
+
+function toHex(c) {
+    return '#' + ['r', 'g', 'b'].map(k => Math.max(0, Math.min(255, Math.round(c[k] || 0))).toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    return m ? { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) } : null;
+}
+
+/**
+ * Keep only numeric texture parameters (ranges are checked when drawing,
+ * since the texture may not be registered yet)
+ */
+function normalizeTextureParams(raw) {
+    const params = {};
+    if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+        Object.entries(raw).forEach(([key, value]) => {
+            if (isValidTextureId(key) && typeof value === 'number' && Number.isFinite(value)) params[key] = value;
+        });
+    }
+    return params;
+}
+
+/**
+ * Validate a preset's full color scheme ({ primary, secondary, accent, border }
+ * as '#rrggbb'); null unless every role is a valid color
+ */
+function normalizeScheme(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const scheme = {};
+    for (const role of SCHEME_ROLES) {
+        const color = typeof raw[role] === 'string' ? fromHex(raw[role]) : null;
+        if (!color) return null;
+        scheme[role] = toHex(color);
+    }
+    return scheme;
+}
+
+// Map every role of a scheme through a color conversion
+function mapScheme(scheme, convert) {
+    return scheme ? Object.fromEntries(SCHEME_ROLES.map(role => [role, convert(scheme[role])])) : null;
+}
+
+/**
+ * Validate the inner bands of a preset (colors as '#rrggbb' or null)
+ */
+function normalizeBands(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+        .filter(band => band && isValidTextureId(band.texture) && !isImageFrameId(band.texture) && Number(band.width) > 0)
+        .slice(0, MAX_BORDER_BANDS)
+        .map((band) => {
+            const color = typeof band.color === 'string' ? fromHex(band.color) : null;
+            return {
+                texture: band.texture,
+                textureParams: normalizeTextureParams(band.textureParams),
+                color: color ? toHex(color) : null,
+                width: Math.min(MAX_BAND_WIDTH, Number(band.width))
+            };
+        });
+}
+
+/**
+ * Validate one preset from storage or an imported file. Colors are stored as
+ * '#rrggbb' (null = auto) so shared files stay readable. Presets may name a
+ * house texture or uploaded image frame; without it the border falls back to Solid.
+ * @param {Object} raw
+ * @returns {Object|null} Normalised preset, or null if unusable
+ */
+function normalizePreset(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = typeof raw.name === 'string' ? raw.name.trim().substring(0, 60) : '';
+    if (!name || !isValidTextureId(raw.texture)) return null;
+    const borderWidth = Number(raw.borderWidth);
+    const color = typeof raw.color === 'string' ? fromHex(raw.color) : null;
+    const backgroundColor = typeof raw.backgroundColor === 'string' ? fromHex(raw.backgroundColor) : null;
+    return {
+        name,
+        texture: raw.texture,
+        textureParams: normalizeTextureParams(raw.textureParams),
+        color: color ? toHex(color) : null,
+        scheme: normalizeScheme(raw.scheme),
+        borderWidth: Number.isFinite(borderWidth) && borderWidth >= 0 ? Math.min(MAX_BORDER_WIDTH, borderWidth) : 8,
+        bands: normalizeBands(raw.bands),
+        shape: Object.values(TOKEN_SHAPES).includes(raw.shape) ? raw.shape : TOKEN_SHAPES.CIRCLE,
+        background: Object.values(BACKGROUND_FILLS).includes(raw.background) ? raw.background : BACKGROUND_FILLS.NONE,
+        backgroundColor: backgroundColor ? toHex(backgroundColor) : null,
+        adjustments: normalizeAdjustments(raw.adjustments),
+        filter: hasPortraitFilter(raw.filter) ? raw.filter : PORTRAIT_FILTERS.NONE
+    };
+}
+
+/**
+ * Saved presets, sorted by name
+ * @returns {Array<Object>}
+ */
+export function loadPresets() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '[]');
+        return (Array.isArray(parsed) ? parsed : []).map(normalizePreset).filter(Boolean);
+    } catch (_err) {
+        return [];
+    }
+}
+
+function storePresets(presets) {
+    const sorted = [...presets].sort((a, b) => a.name.localeCompare(b.name));
+    try {
+        localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(sorted));
+    } catch (_err) {
+        // Storage unavailable (private mode) - presets last for this session only
+    }
+    return sorted;
+}
+
+/**
+ * Save the given border options under a name (replaces a preset of the same name)
+ * @param {string} name
+ * @param {Object} borderOptions - { texture, textureParams, customColor, customScheme, borderWidth, bands, shape, background, backgroundColor,
+ *                                 adjustments, filter }
+ * @returns {Array<Object>} Updated preset list
+ */
+export function savePreset(name, borderOptions) {
+    const preset = normalizePreset({
+        name,
+        texture: borderOptions.texture,
+        textureParams: borderOptions.textureParams,
+        color: borderOptions.customColor ? toHex(borderOptions.customColor) : null,
+        scheme: mapScheme(borderOptions.customScheme, toHex),
+        borderWidth: borderOptions.borderWidth,
+        bands: (borderOptions.bands || []).map(band => ({ ...band, color: band.color ? toHex(band.color) : null })),
+        shape: borderOptions.shape,
+        background: borderOptions.background,
+        backgroundColor: borderOptions.backgroundColor ? toHex(borderOptions.backgroundColor) : null,
+        adjustments: borderOptions.adjustments,
+        filter: borderOptions.filter
+    });
+    if (!preset) return loadPresets();
+    return storePresets([...loadPresets().filter(p => p.name !== preset.name), preset]);
+}
+
+/**
+ * Delete a preset by name
+ * @returns {Array<Object>} Updated preset list
+ */
+export function deletePreset(name) {
+    return storePresets(loadPresets().filter(p => p.name !== name));
+}
+
+/**
+ * Border options for a preset (a new object, safe to mutate)
+ * @param {Object} preset
+ * @returns {Object}
+ */
+export function presetToBorderOptions(preset) {
+    return {
+        texture: preset.texture,
+        textureParams: { ...preset.textureParams },
+        customColor: preset.color ? fromHex(preset.color) : null,
+        customScheme: mapScheme(preset.scheme, fromHex),
+        borderWidth: preset.borderWidth,
+        bands: preset.bands.map(band => ({
+            ...band,
+            textureParams: { ...band.textureParams },
+            color: band.color ? fromHex(band.color) : null
+        })),
+        shape: preset.shape,
+        background: preset.background,
+        backgroundColor: preset.backgroundColor ? fromHex(preset.backgroundColor) : null,
+        adjustments: { ...preset.adjustments },
+        filter: preset.filter
+    };
+}
+
+/**
+ * Serialise presets for sharing
+ * @param {Array<Object>} presets
+ * @returns {string} JSON text
+ */
+export function exportPresetsJson(presets) {
+    return JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Merge presets from a shared JSON file into the saved list. Accepts the
+ * exported format, a bare array, or a single preset object; presets with an
+ * existing name replace the saved one.
+ * @param {string} text - File contents
+ * @returns {{presets: Array<Object>, imported: number}} Updated list and how many were read
+ */
+export function importPresetsJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (_err) {
+        throw new Error('Preset file is not valid JSON');
+    }
+    const list = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.presets) ? parsed.presets : [parsed]);
+    const incoming = list.map(normalizePreset).filter(Boolean);
+    if (incoming.length === 0) {
+        throw new Error('No valid presets found in file');
+    }
+    const names = new Set(incoming.map(p => p.name));
+    const presets = storePresets([...loadPresets().filter(p => !names.has(p.name)), ...incoming]);
+    return { presets, imported: incoming.length };
+}
+
+/**
+ * Whether new images should start from the last-used preset
+ * @returns {boolean}
+ */
+export function getKeepLastPreset() {
+    try {
+        return localStorage.getItem(KEEP_PRESET_STORAGE_KEY) === '1';
+    } catch (_err) {
+        return false;
+    }
+}
+
+export function setKeepLastPreset(keep) {
+    try {
+        localStorage.setItem(KEEP_PRESET_STORAGE_KEY, keep ? '1' : '0');
+    } catch (_err) {
+        // Session-only without storage
+    }
+}
+
+/**
+ * Name of the most recently applied preset (null if none)
+ * @returns {string|null}
+ */
+export function getLastPresetName() {
+    try {
+        return localStorage.getItem(LAST_PRESET_STORAGE_KEY);
+    } catch (_err) {
+        return null;
+    }
+}
+
+export function setLastPresetName(name) {
+    try {
+        if (name) localStorage.setItem(LAST_PRESET_STORAGE_KEY, name);
+        else localStorage.removeItem(LAST_PRESET_STORAGE_KEY);
+    } catch (_err) {
+        // Session-only without storage
+    }
+}
@@ -4,6 +4,15 @@
  */
 
 import { colorToCSS } from './colorUtils.js';
+import { createCanvas } from './canvasFactory.js';
+import { createNoise, DEFAULT_SEED } from './noise.js';
+
+/**
+ * Size (px) the border textures were designed at. Widths and texture
+ * frequencies are expressed at this size and scaled to the real output
+ * size, so a 2048px token looks like an upscaled 512px one.
+ */
+export const REFERENCE_TOKEN_SIZE = 512;
 
 /**
  * Border texture types
@@ -20,9 +29,40 @@ export const BORDER_TEXTURES = {
     WOOD: 'wood',
     STONE: 'stone',
     CRYSTAL: 'crystal',
-    GLOW: 'glow'
+    GLOW: 'glow',
+    BEVEL: 'bevel'
 };
 
+/**
+ * Widest main band, in 512px reference units (0 = borderless)
+ */
+export const MAX_BORDER_WIDTH = 64;
+
+/**
+ * Bands a border can stack inside its main band (pinstripes, bevels...)
+ */
+export const MAX_BORDER_BANDS = 3;
+
+/**
+ * Widest stacked band, in 512px reference units
+ */
+export const MAX_BAND_WIDTH = 32;
+
+/**
+ * Uploaded ring artwork is registered at runtime under ids with this prefix
+ */
+export const IMAGE_FRAME_PREFIX = 'frame-';
+
+/**
+ * Portrait opening of an image frame, as a fraction of the frame's half-size
+ */
+export const DEFAULT_FRAME_INNER_RADIUS = 0.84;
+export const MIN_FRAME_INNER_RADIUS = 0.3;
+export const MAX_FRAME_INNER_RADIUS = 0.98;
+
+// id -> { name, image, innerRadius, tint }
+const IMAGE_FRAMES = new Map();
+
 /**
  * Predefined color swatches for quick selection
  */
@@ -57,175 +97,422 @@ export const COLOR_SWATCHES = [
 ];
 
 /**
- * Get texture definition
- * @param {string} textureType - Texture type from BORDER_TEXTURES
- * @returns {Object} Texture configuration
+ * Get texture definition (unknown ids fall back to Solid)
+ * @param {string} textureType - Texture id from BORDER_TEXTURES, a registered texture or an image frame
+ * @returns {Object} Texture configuration { type, name, draw, params, seeded }
  */
 export function getTextureDefinition(textureType) {
+    const frame = IMAGE_FRAMES.get(textureType);
+    if (frame) {
+        return {
+            type: textureType,
+            name: frame.name,
+            params: [],
+            seeded: false,
+            innerRadius: frame.innerRadius,
+            over: true, // painted on top of the portrait, so ornaments can overlap it
+            draw: (ctx, size, borderWidth, colors) => drawImageFrame(ctx, size, frame, colors)
+        };
+    }
     return {
         type: textureType,
-        ...TEXTURE_DEFINITIONS[textureType] || TEXTURE_DEFINITIONS[BORDER_TEXTURES.SOLID]
+        ...TEXTURE_REGISTRY.get(textureType) || TEXTURE_REGISTRY.get(BORDER_TEXTURES.SOLID)
     };
 }
 
 /**
- * Texture definitions with drawing functions
- */
-const TEXTURE_DEFINITIONS = {
-    [BORDER_TEXTURES.SOLID]: {
-        draw: drawSolidBorder
-    },
-    [BORDER_TEXTURES.GRADIENT]: {
-        draw: drawGradientBorder
-    },
-    [BORDER_TEXTURES.METALLIC]: {
-        draw: drawMetallicBorder
-    },
-    [BORDER_TEXTURES.BRUSHED]: {
-        draw: drawBrushedBorder
-    },
-    [BORDER_TEXTURES.HAMMERED]: {
-        draw: drawHammeredBorder
-    },
-    [BORDER_TEXTURES.PATINA]: {
-        draw: drawPatinaBorder
-    },
-    [BORDER_TEXTURES.DAMASCUS]: {
-        draw: drawDamascusBorder
-    },
-    [BORDER_TEXTURES.LEATHER]: {
-        draw: drawLeatherBorder
-    },
-    [BORDER_TEXTURES.WOOD]: {
-        draw: drawWoodBorder
-    },
-    [BORDER_TEXTURES.STONE]: {
-        draw: drawStoneBorder
-    },
-    [BORDER_TEXTURES.CRYSTAL]: {
-        draw: drawCrystalBorder
-    },
-    [BORDER_TEXTURES.GLOW]: {
-        draw: drawGlowBorder
+ * Texture ids: letters, digits, '-' and '_' (they end up in presets and CSS selectors)
+ */
+const TEXTURE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,59}$/i;
+
+/**
+ * Whether a value could be a texture id (registered now or later)
+ * @param {*} textureType
+ * @returns {boolean}
+ */
+export function isValidTextureId(textureType) {
+    return typeof textureType === 'string' && TEXTURE_ID_PATTERN.test(textureType);
+}
+
+// id -> { name, draw, params, seeded, swatch }, in registration order
+const TEXTURE_REGISTRY = new Map();
+
+/**
+ * Add a border texture (or replace one with the same id). The swatch picker,
+ * presets, render API and CLI pick it up from here.
+ * @param {Object} texture
+ * @param {string} texture.id - Unique id (letters, digits, '-' and '_')
+ * @param {string} [texture.name] - Display name (defaults to the id)
+ * @param {function(CanvasRenderingContext2D, number, number, Object, Object, Object, number): void} texture.draw -
+ *        draw(ctx, size, borderWidth, colors, shape, params, seed): paint the whole shape; the portrait
+ *        is drawn over everything inside shape.inset(borderWidth) afterwards. seed is the token's
+ *        noise seed - pass it to createNoise (noise.js) so every token gets its own pattern
+ * @param {Array<Object>} [texture.params] - Tunable values shown as sliders:
+ *        [{ id, name, min, max, step, default, unit }]; draw receives { [id]: value }
+ * @param {boolean} [texture.seeded] - Whether draw uses the seed (the editor then offers a new pattern)
+ * @param {string} [texture.swatch] - CSS background for the picker swatch
+ */
+export function registerBorderTexture({ id, name, draw, params = [], seeded = false, swatch = '' }) {
+    if (!isValidTextureId(id)) throw new Error(`Invalid texture id "${id}"`);
+    if (isImageFrameId(id)) throw new Error(`Texture ids starting with "${IMAGE_FRAME_PREFIX}" are reserved for image frames`);
+    if (typeof draw !== 'function') throw new Error(`Texture "${id}" needs a draw function`);
+    TEXTURE_REGISTRY.set(id, {
+        name: typeof name === 'string' && name.trim() ? name.trim() : id,
+        draw,
+        params: (Array.isArray(params) ? params : []).map(normalizeParam).filter(Boolean),
+        seeded: Boolean(seeded),
+        swatch: typeof swatch === 'string' ? swatch : ''
+    });
+}
+
+/**
+ * Validate one parameter declaration
+ * @returns {Object|null}
+ */
+function normalizeParam(param) {
+    if (!param || !isValidTextureId(param.id)) return null;
+    const min = Number(param.min);
+    const max = Number(param.max);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) return null;
+    const step = Number(param.step) > 0 ? Number(param.step) : (max - min) / 100;
+    const fallback = Number(param.default);
+    return {
+        id: param.id,
+        name: typeof param.name === 'string' && param.name ? param.name : param.id,
+        min,
+        max,
+        step,
+        default: Number.isFinite(fallback) ? Math.max(min, Math.min(max, fallback)) : min,
+        unit: typeof param.unit === 'string' ? param.unit : ''
+    };
+}
+
+/**
+ * Registered textures (built-ins first, then in registration order)
+ * @returns {Array<{id: string, name: string, params: Array<Object>, seeded: boolean, swatch: string}>}
+ */
+export function getBorderTextures() {
+    return [...TEXTURE_REGISTRY].map(([id, { name, params, seeded, swatch }]) => ({ id, name, params, seeded, swatch }));
+}
+
+/**
+ * @param {string} textureType
+ * @returns {boolean} Whether the id is a registered texture or image frame
+ */
+export function hasBorderTexture(textureType) {
+    return TEXTURE_REGISTRY.has(textureType) || IMAGE_FRAMES.has(textureType);
+}
+
+/**
+ * Parameter values for a texture: the caller's values, clamped to each
+ * declared range, with defaults for the rest. Unknown keys are dropped.
+ * @param {string} textureType
+ * @param {Object|null} values - { [paramId]: number }
+ * @returns {Object} { [paramId]: number }
+ */
+export function resolveTextureParams(textureType, values) {
+    const resolved = {};
+    getTextureDefinition(textureType).params.forEach((param) => {
+        const n = Number(values?.[param.id]);
+        resolved[param.id] = values && values[param.id] !== undefined && values[param.id] !== null && Number.isFinite(n)
+            ? Math.max(param.min, Math.min(param.max, n))
+            : param.default;
+    });
+    return resolved;
+}
+
+/**
+ * Load house textures from ES modules. A module exports its texture (or an
+ * array of them) as the default export or as `textures`; see
+ * registerBorderTexture for the shape. Failing modules are skipped.
+ * @param {string|Array<string>} urls - Module URLs (a string may list several, comma-separated)
+ * @returns {Promise<number>} How many textures were registered
+ */
+export async function loadBorderTextureModules(urls) {
+    const list = (Array.isArray(urls) ? urls : String(urls || '').split(','))
+        .map(url => String(url).trim())
+        .filter(Boolean);
+    let count = 0;
+    for (const url of list) {
+        try {
+            const module = await import(url);
+            const exported = module.textures || module.default;
+            if (!exported) continue; // the module registered its textures itself
+            for (const texture of Array.isArray(exported) ? exported : [exported]) {
+                registerBorderTexture(texture || {});
+                count++;
+            }
+        } catch (error) {
+            console.warn('Could not load border textures from', url, error);
+        }
     }
-};
+    return count;
+}
 
 /**
- * Draw solid border
+ * Whether a texture id names an uploaded image frame (registered or not)
+ * @param {string} textureType
+ * @returns {boolean}
  */
-function drawSolidBorder(ctx, size, borderWidth, colors) {
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2;
-    
-    ctx.fillStyle = colorToCSS(colors.primary);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+export function isImageFrameId(textureType) {
+    return typeof textureType === 'string' && textureType.startsWith(IMAGE_FRAME_PREFIX) &&
+        textureType.length > IMAGE_FRAME_PREFIX.length;
+}
+
+/**
+ * Make uploaded ring artwork available as a border texture (replaces an
+ * earlier registration with the same id)
+ * @param {string} id - Texture id, starting with IMAGE_FRAME_PREFIX
+ * @param {Object} frame
+ * @param {string} frame.name - Display name
+ * @param {HTMLImageElement|ImageBitmap|HTMLCanvasElement} frame.image - Ring art with a transparent opening
+ * @param {number} [frame.innerRadius] - Opening radius / half the frame size; drives the portrait clip
+ * @param {boolean} [frame.tint] - Multiply the art with the border color
+ */
+export function registerImageFrame(id, { name, image, innerRadius = DEFAULT_FRAME_INNER_RADIUS, tint = false }) {
+    if (!isImageFrameId(id)) throw new Error(`Image frame ids must start with "${IMAGE_FRAME_PREFIX}"`);
+    const radius = Number(innerRadius);
+    IMAGE_FRAMES.set(id, {
+        name: name || 'Frame',
+        image,
+        innerRadius: Number.isFinite(radius)
+            ? Math.max(MIN_FRAME_INNER_RADIUS, Math.min(MAX_FRAME_INNER_RADIUS, radius))
+            : DEFAULT_FRAME_INNER_RADIUS,
+        tint: Boolean(tint)
+    });
+}
+
+export function unregisterImageFrame(id) {
+    IMAGE_FRAMES.delete(id);
+}
+
+/**
+ * Registered image frames in registration order
+ * @returns {Array<{id: string, name: string, innerRadius: number, tint: boolean}>}
+ */
+export function getImageFrames() {
+    return [...IMAGE_FRAMES].map(([id, { name, innerRadius, tint }]) => ({ id, name, innerRadius, tint }));
+}
+
+/**
+ * Parameter declarations shared by the built-in textures. Grain scales the
+ * pattern frequency, noise is the shading amplitude (in 0-255 levels) and the
+ * sheen angle is where the highlight sits, clockwise from 3 o'clock.
+ */
+function grainParam() {
+    return { id: 'grain', name: 'Grain frequency', min: 0.25, max: 4, step: 0.05, default: 1 };
+}
+
+function noiseParam(defaultValue) {
+    return { id: 'noise', name: 'Noise amount', min: 0, max: 60, step: 1, default: defaultValue };
+}
+
+function sheenParam(defaultValue) {
+    return { id: 'sheenAngle', name: 'Sheen angle', min: 0, max: 360, step: 5, default: defaultValue, unit: '°' };
+}
+
+[
+    { id: BORDER_TEXTURES.SOLID, name: 'Solid', draw: drawSolidBorder },
+    { id: BORDER_TEXTURES.GRADIENT, name: 'Gradient', draw: drawGradientBorder },
+    { id: BORDER_TEXTURES.METALLIC, name: 'Metallic', draw: drawMetallicBorder, params: [sheenParam(225)] },
+    { id: BORDER_TEXTURES.BRUSHED, name: 'Brushed', draw: drawBrushedBorder, params: [grainParam(), noiseParam(7), sheenParam(40)], seeded: true },
+    { id: BORDER_TEXTURES.HAMMERED, name: 'Hammered', draw: drawHammeredBorder, params: [grainParam(), noiseParam(20)], seeded: true },
+    { id: BORDER_TEXTURES.PATINA, name: 'Patina', draw: drawPatinaBorder, params: [grainParam()], seeded: true },
+    { id: BORDER_TEXTURES.DAMASCUS, name: 'Damascus', draw: drawDamascusBorder, params: [grainParam(), noiseParam(26)], seeded: true },
+    { id: BORDER_TEXTURES.LEATHER, name: 'Leather', draw: drawLeatherBorder, params: [grainParam(), noiseParam(15)], seeded: true },
+    { id: BORDER_TEXTURES.WOOD, name: 'Wood', draw: drawWoodBorder, params: [grainParam(), noiseParam(20)], seeded: true },
+    { id: BORDER_TEXTURES.STONE, name: 'Stone', draw: drawStoneBorder, params: [grainParam(), noiseParam(25)], seeded: true },
+    { id: BORDER_TEXTURES.CRYSTAL, name: 'Crystal', draw: drawCrystalBorder },
+    { id: BORDER_TEXTURES.GLOW, name: 'Glow', draw: drawGlowBorder },
+    {
+        id: BORDER_TEXTURES.BEVEL,
+        name: 'Bevel',
+        draw: drawBevelBorder,
+        params: [{ id: 'depth', name: 'Bevel depth', min: 0.1, max: 1, step: 0.05, default: 0.6 }]
+    }
+].forEach(registerBorderTexture);
+
+/**
+ * Clean up the inner bands of border options: drops bands without a width or
+ * a usable texture (image frames can only be the main band) and caps the stack.
+ * Bands are listed from the outside in.
+ * @param {Array<Object>} bands - [{ texture, textureParams, color: {r, g, b}|null, width }]
+ * @returns {Array<Object>} New band objects
+ */
+export function normalizeBorderBands(bands) {
+    if (!Array.isArray(bands)) return [];
+    return bands
+        .filter(band => band && isValidTextureId(band.texture) && !isImageFrameId(band.texture) &&
+            Number.isFinite(Number(band.width)) && Number(band.width) > 0)
+        .slice(0, MAX_BORDER_BANDS)
+        .map(band => ({
+            texture: band.texture,
+            textureParams: band.textureParams && typeof band.textureParams === 'object' ? { ...band.textureParams } : {},
+            color: band.color && typeof band.color === 'object'
+                ? { r: Number(band.color.r) || 0, g: Number(band.color.g) || 0, b: Number(band.color.b) || 0 }
+                : null,
+            width: Math.min(MAX_BAND_WIDTH, Number(band.width))
+        }));
+}
+
+/**
+ * Fill the whole token outline with a single style.
+ */
+function fillShape(ctx, shape, style) {
+    ctx.fillStyle = style;
+    shape.tracePath(ctx);
     ctx.fill();
-    
-    // Create border effect
+}
+
+/**
+ * Create border effect: punch the portrait area out of the border fill.
+ */
+function cutOutInner(ctx, shape, borderWidth) {
     ctx.fillStyle = 'transparent';
     ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
+    shape.inset(borderWidth).tracePath(ctx);
     ctx.fill();
     ctx.globalCompositeOperation = 'source-over';
 }
 
+/** CSS rgba() for a {r,g,b[,a]} stop colour. */
+function stopToCSS(c) {
+    return `rgba(${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)}, ${c.a ?? 1})`;
+}
+
+/** Shared helper: paint a gradient ACROSS the band of `width` px just inside
+ *  the outline (offset 0 = inner edge, 1 = outline), spreading the end
+ *  colours over the rest of the shape like a radial gradient does. Circles
+ *  use a native radial gradient; other shapes are shaded per pixel from the
+ *  outline depth so the band follows straight edges and corners too.
+ *  `stops` is [[offset, {r,g,b,a}], ...]. */
+function paintBand(ctx, shape, width, stops) {
+    if (shape.type === 'circle') {
+        const gradient = ctx.createRadialGradient(
+            shape.cx, shape.cy, Math.max(0, shape.radius - width),
+            shape.cx, shape.cy, Math.max(0, shape.radius)
+        );
+        stops.forEach(([offset, color]) => gradient.addColorStop(offset, stopToCSS(color)));
+        fillShape(ctx, shape, gradient);
+        return;
+    }
+
+    const size = ctx.canvas.width;
+    const imageData = ctx.getImageData(0, 0, size, size);
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        const x = (i / 4) % size;
+        const y = Math.floor((i / 4) / size);
+        const depth = shape.depthAt(x, y);
+        if (depth < 0) continue;
+        const t = Math.max(0, Math.min(1, 1 - depth / width));
+        const c = sampleStops(stops, t);
+        // Source-over composite of the stop colour onto the existing pixel
+        const a = c.a ?? 1;
+        const da = data[i + 3] / 255;
+        const outA = a + da * (1 - a);
+        if (outA <= 0) continue;
+        data[i] = (c.r * a + data[i] * da * (1 - a)) / outA;
+        data[i + 1] = (c.g * a + data[i + 1] * da * (1 - a)) / outA;
+        data[i + 2] = (c.b * a + data[i + 2] * da * (1 - a)) / outA;
+        data[i + 3] = outA * 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+}
+
+/** Linear interpolation between gradient stops at offset t. */
+function sampleStops(stops, t) {
+    if (t <= stops[0][0]) return stops[0][1];
+    for (let i = 1; i < stops.length; i++) {
+        const [o1, c1] = stops[i];
+        if (t <= o1) {
+            const [o0, c0] = stops[i - 1];
+            const k = o1 > o0 ? (t - o0) / (o1 - o0) : 1;
+            return {
+                r: c0.r + (c1.r - c0.r) * k,
+                g: c0.g + (c1.g - c0.g) * k,
+                b: c0.b + (c1.b - c0.b) * k,
+                a: (c0.a ?? 1) + ((c1.a ?? 1) - (c0.a ?? 1)) * k
+            };
+        }
+    }
+    return stops[stops.length - 1][1];
+}
+
+/**
+ * Draw solid border
+ */
+function drawSolidBorder(ctx, size, borderWidth, colors, shape) {
+    fillShape(ctx, shape, colorToCSS(colors.primary));
+    cutOutInner(ctx, shape, borderWidth);
+}
+
 /**
  * Draw gradient border (default)
  */
-function drawGradientBorder(ctx, size, borderWidth, colors) {
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2;
-    
-    // Draw outer circle background
-    ctx.fillStyle = colorToCSS(colors.border || colors.primary);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
+function drawGradientBorder(ctx, size, borderWidth, colors, shape) {
+    // Draw outer background
+    fillShape(ctx, shape, colorToCSS(colors.border || colors.primary));
     
     // Draw gradient border
-    const gradient = ctx.createRadialGradient(
-        centerX, centerY, radius - borderWidth,
-        centerX, centerY, radius
-    );
-    
-    gradient.addColorStop(0, colorToCSS(colors.primary));
-    gradient.addColorStop(0.5, colorToCSS(colors.secondary || colors.primary));
-    gradient.addColorStop(1, colorToCSS(colors.accent || colors.primary));
-    
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
+    paintBand(ctx, shape, borderWidth, [
+        [0, colors.primary],
+        [0.5, colors.secondary || colors.primary],
+        [1, colors.accent || colors.primary]
+    ]);
     
-    // Create border effect
-    ctx.fillStyle = 'transparent';
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalCompositeOperation = 'source-over';
+    cutOutInner(ctx, shape, borderWidth);
 }
 
 /**
  * Draw metallic border
  */
-function drawMetallicBorder(ctx, size, borderWidth, colors) {
+function drawMetallicBorder(ctx, size, borderWidth, colors, shape, params) {
     const centerX = size / 2;
     const centerY = size / 2;
     const radius = size / 2;
+    // Shine runs from the sheen angle across to the opposite side
+    const angle = params.sheenAngle * Math.PI / 180;
+    const dx = Math.cos(angle) * radius * 0.7 * Math.SQRT2;
+    const dy = Math.sin(angle) * radius * 0.7 * Math.SQRT2;
     
     // Base metallic color
-    ctx.fillStyle = colorToCSS(colors.primary);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
+    fillShape(ctx, shape, colorToCSS(colors.primary));
     
     // Add metallic shine with gradient
     const gradient = ctx.createLinearGradient(
-        centerX - radius * 0.7, centerY - radius * 0.7,
-        centerX + radius * 0.7, centerY + radius * 0.7
+        centerX + dx, centerY + dy,
+        centerX - dx, centerY - dy
     );
     gradient.addColorStop(0, 'rgba(255, 255, 255, 0.6)');
     gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.1)');
     gradient.addColorStop(1, 'rgba(0, 0, 0, 0.3)');
+    fillShape(ctx, shape, gradient);
     
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Create border effect
-    ctx.fillStyle = 'transparent';
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalCompositeOperation = 'source-over';
+    cutOutInner(ctx, shape, borderWidth);
 }
 
 /** Shared helper: run a per-pixel shader over just the border RING, then
- *  punch out the inner circle. `shade(x, y, base) -> {r,g,b}` returns the new
- *  colour for a ring pixel. Keeps the metal textures tidy and consistent. */
-function shadeRing(ctx, size, borderWidth, base, shade) {
-    const centerX = size / 2, centerY = size / 2, radius = size / 2;
-    ctx.fillStyle = colorToCSS(base);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
+ *  punch out the inner area. `shade(x, y, base) -> {r,g,b}` returns the new
+ *  colour for a ring pixel. Keeps the metal textures tidy and consistent.
+ *  Coordinates handed to `shade` are in REFERENCE_TOKEN_SIZE space, so the
+ *  grain keeps its look at any output size. The ring is whatever lies within
+ *  `borderWidth` of the shape's outline, so every shape gets the same band. */
+function shadeRing(ctx, size, borderWidth, base, shade, shape) {
+    const centerX = size / 2, centerY = size / 2;
+    const s = REFERENCE_TOKEN_SIZE / size;
+    fillShape(ctx, shape, colorToCSS(base));
 
     const imageData = ctx.getImageData(0, 0, size, size);
     const data = imageData.data;
     for (let i = 0; i < data.length; i += 4) {
         const x = (i / 4) % size;
         const y = Math.floor((i / 4) / size);
-        const dx = x - centerX, dy = y - centerY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist <= radius && dist > radius - borderWidth) {
-            const c = shade(x, y, base, dx, dy, dist);
+        const depth = shape.depthAt(x, y);
+        if (depth >= 0 && depth < borderWidth) {
+            const dx = x - centerX, dy = y - centerY;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const c = shade(x * s, y * s, base, dx * s, dy * s, dist * s);
             data[i] = Math.max(0, Math.min(255, c.r));
             data[i + 1] = Math.max(0, Math.min(255, c.g));
             data[i + 2] = Math.max(0, Math.min(255, c.b));
@@ -233,297 +520,220 @@ function shadeRing(ctx, size, borderWidth, base, shade) {
     }
     ctx.putImageData(imageData, 0, 0);
 
-    ctx.fillStyle = 'transparent';
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalCompositeOperation = 'source-over';
+    cutOutInner(ctx, shape, borderWidth);
 }
 
 /**
  * Draw brushed-metal border — fine spun/circular grain with a muted sheen.
  * Reads well on dark metallics (gunmetal, graphite, blued steel).
  */
-function drawBrushedBorder(ctx, size, borderWidth, colors) {
-    shadeRing(ctx, size, borderWidth, colors.primary, (x, y, base, dx, dy) => {
+function drawBrushedBorder(ctx, size, borderWidth, colors, shape, params, seed = DEFAULT_SEED) {
+    const noise = createNoise(seed);
+    // Grain is sampled around a circle, so it closes without a seam
+    const fine = 14 * params.grain;
+    const coarse = 2.7 * params.grain;
+    const sheenAngle = params.sheenAngle * Math.PI / 180;
+    shadeRing(ctx, size, borderWidth, colors.primary, (x, y, base, dx, dy, dist) => {
         const theta = Math.atan2(dy, dx);
-        // High-frequency circular grain + a slow directional sheen (muted, no white blowout)
-        const grain = Math.sin(theta * 90) * 7 + Math.sin(theta * 17 + 1.3) * 4;
-        const sheen = Math.cos(theta - 0.7) * 14; // soft highlight on one side
+        const cos = Math.cos(theta), sin = Math.sin(theta);
+        // Streaky circular grain (slowly drifting with the radius) + a slow directional sheen (muted, no white blowout)
+        const streak = noise.simplex(cos * fine + dist * 0.02, sin * fine)
+                     + noise.simplex(cos * coarse + 40, sin * coarse - dist * 0.01) * 4 / 7;
+        const grain = streak * params.noise * 1.2;
+        const sheen = Math.cos(theta - sheenAngle) * 14; // soft highlight on one side
         const n = grain + sheen;
         return { r: base.r + n, g: base.g + n, b: base.b + n };
-    });
+    }, shape);
 }
 
 /**
  * Draw hammered-metal border — dimpled, beaten planishing marks.
  */
-function drawHammeredBorder(ctx, size, borderWidth, colors) {
+function drawHammeredBorder(ctx, size, borderWidth, colors, shape, params, seed = DEFAULT_SEED) {
+    const noise = createNoise(seed);
+    const { grain: g, noise: amount } = params;
     shadeRing(ctx, size, borderWidth, colors.primary, (x, y, base) => {
-        // Overlapping rounded bumps → dimples; two frequencies for irregularity
-        const bump = Math.sin(x * 0.42) * Math.cos(y * 0.42)
-                   + Math.sin(x * 0.19 + 2) * Math.cos(y * 0.23 + 1);
-        const n = bump * 20;
+        // Each cell is one hammer blow: a shallow bowl lit from the top left (so its
+        // lower-right slope catches the light), with a bright ridge where blows meet
+        const { f1, f2, dx, dy, id } = noise.worley(x * 0.07 * g, y * 0.07 * g);
+        const slope = (dx + dy) * Math.SQRT1_2 * Math.min(1, f1 * 2.5);
+        const ridge = Math.max(0, 0.08 - (f2 - f1)) * 6;
+        const blow = (id / 255 - 0.5) * 0.3; // blows land with different force
+        const n = (slope * 1.4 + ridge + blow) * amount;
         return { r: base.r + n, g: base.g + n, b: base.b + n };
-    });
+    }, shape);
 }
 
 /**
  * Draw patina border — an aged, oxidised metal: base tone mottled with
  * verdigris (teal-green) and rust (orange) blooms.
  */
-function drawPatinaBorder(ctx, size, borderWidth, colors) {
+function drawPatinaBorder(ctx, size, borderWidth, colors, shape, params, seed = DEFAULT_SEED) {
+    const noise = createNoise(seed);
+    const g = params.grain;
     shadeRing(ctx, size, borderWidth, colors.primary, (x, y, base) => {
-        const m = Math.sin(x * 0.08) * Math.cos(y * 0.08)
-                + Math.sin(x * 0.21 + 1.5) * Math.cos(y * 0.17 + 0.5) * 0.6;
-        const fleck = Math.sin(x * 0.9) * Math.cos(y * 0.9) * 6;
-        if (m > 0.35) {           // verdigris bloom
+        const m = noise.fbm(x * 0.025 * g, y * 0.025 * g, { octaves: 4 });
+        const fleck = noise.simplex(x * 0.7 * g + 91, y * 0.7 * g) * 6;
+        if (m > 0.22) {           // verdigris bloom
             return { r: base.r - 18 + fleck, g: base.g + 34 + fleck, b: base.b + 26 + fleck };
-        } else if (m < -0.35) {   // rust bloom
+        } else if (m < -0.22) {   // rust bloom
             return { r: base.r + 40 + fleck, g: base.g + 6 + fleck, b: base.b - 12 + fleck };
         }
-        const n = m * 14 + fleck;
+        const n = m * 40 + fleck;
         return { r: base.r + n, g: base.g + n, b: base.b + n };
-    });
+    }, shape);
 }
 
 /**
  * Draw damascus / watered-steel border — flowing layered light-and-dark bands.
  */
-function drawDamascusBorder(ctx, size, borderWidth, colors) {
+function drawDamascusBorder(ctx, size, borderWidth, colors, shape, params, seed = DEFAULT_SEED) {
+    const noise = createNoise(seed);
+    const { grain: g, noise: amount } = params;
     shadeRing(ctx, size, borderWidth, colors.primary, (x, y, base) => {
-        const wave = Math.sin(x * 0.06 + Math.sin(y * 0.09) * 3 + Math.cos(x * 0.03) * 2);
-        const fine = Math.sin(x * 0.22 + y * 0.05) * 6;
-        const n = wave * 26 + fine;
+        // Straight layers folded by a low-frequency warp
+        const warp = noise.fbm(x * 0.012 * g, y * 0.012 * g, { octaves: 3 }) * 9;
+        const wave = Math.sin((x + y) * 0.05 * g + warp);
+        const fine = noise.simplex(x * 0.3 * g, y * 0.07 * g) * 6;
+        const n = wave * amount + fine;
         return { r: base.r + n, g: base.g + n, b: base.b + n };
-    });
+    }, shape);
 }
 
 /**
  * Draw leather border
  */
-function drawLeatherBorder(ctx, size, borderWidth, colors) {
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2;
-    
-    // Base leather color
-    ctx.fillStyle = colorToCSS(colors.primary);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Add leather texture (random noise pattern)
-    const imageData = ctx.getImageData(0, 0, size, size);
-    const data = imageData.data;
-    const baseColor = colors.primary;
-    
-    for (let i = 0; i < data.length; i += 4) {
-        const x = (i / 4) % size;
-        const y = Math.floor((i / 4) / size);
-        const dx = x - centerX;
-        const dy = y - centerY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        
-        if (dist <= radius && dist > radius - borderWidth) {
-            // Add subtle noise for texture
-            const noise = (Math.sin(x * 0.1) * Math.cos(y * 0.1) * 15);
-            data[i] = Math.max(0, Math.min(255, baseColor.r + noise));
-            data[i + 1] = Math.max(0, Math.min(255, baseColor.g + noise));
-            data[i + 2] = Math.max(0, Math.min(255, baseColor.b + noise));
-        }
-    }
-    
-    ctx.putImageData(imageData, 0, 0);
-    
-    // Create border effect
-    ctx.fillStyle = 'transparent';
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalCompositeOperation = 'source-over';
+function drawLeatherBorder(ctx, size, borderWidth, colors, shape, params, seed = DEFAULT_SEED) {
+    const noise = createNoise(seed);
+    const g = params.grain;
+    shadeRing(ctx, size, borderWidth, colors.primary, (x, y, base) => {
+        // Soft uneven tanning plus pebbled grain with darker creases between the pebbles
+        const tone = noise.fbm(x * 0.04 * g, y * 0.04 * g, { octaves: 3 });
+        const { f1, f2 } = noise.worley(x * 0.3 * g, y * 0.3 * g);
+        const crease = Math.max(0, 0.1 - (f2 - f1)) * 10;
+        const noiseValue = (tone - crease * 0.8 + (0.35 - f1) * 0.5) * params.noise;
+        return { r: base.r + noiseValue, g: base.g + noiseValue, b: base.b + noiseValue };
+    }, shape);
 }
 
 /**
  * Draw wood border
  */
-function drawWoodBorder(ctx, size, borderWidth, colors) {
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2;
-    
-    // Base wood color
-    ctx.fillStyle = colorToCSS(colors.primary);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Add wood grain pattern
-    const imageData = ctx.getImageData(0, 0, size, size);
-    const data = imageData.data;
-    const baseColor = colors.primary;
-    
-    for (let i = 0; i < data.length; i += 4) {
-        const x = (i / 4) % size;
-        const y = Math.floor((i / 4) / size);
-        const dx = x - centerX;
-        const dy = y - centerY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        
-        if (dist <= radius && dist > radius - borderWidth) {
-            // Wood grain pattern (horizontal lines with variation)
-            const grain = Math.sin(y * 0.05 + Math.sin(x * 0.02) * 2) * 20;
-            data[i] = Math.max(0, Math.min(255, baseColor.r + grain));
-            data[i + 1] = Math.max(0, Math.min(255, baseColor.g + grain * 0.8));
-            data[i + 2] = Math.max(0, Math.min(255, baseColor.b + grain * 0.6));
-        }
-    }
-    
-    ctx.putImageData(imageData, 0, 0);
-    
-    // Create border effect
-    ctx.fillStyle = 'transparent';
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalCompositeOperation = 'source-over';
+function drawWoodBorder(ctx, size, borderWidth, colors, shape, params, seed = DEFAULT_SEED) {
+    const noise = createNoise(seed);
+    const g = params.grain;
+    shadeRing(ctx, size, borderWidth, colors.primary, (x, y, base) => {
+        // Wood grain pattern (horizontal lines bent by slow noise, with fine streaks)
+        const bend = noise.fbm(x * 0.008 * g, y * 0.02 * g, { octaves: 3 }) * 6;
+        const streak = noise.simplex(x * 0.02 * g, y * 0.6 * g) * 0.35;
+        const grain = (Math.sin(y * 0.05 * g + bend) + streak) * params.noise;
+        return { r: base.r + grain, g: base.g + grain * 0.8, b: base.b + grain * 0.6 };
+    }, shape);
 }
 
 /**
  * Draw stone border
  */
-function drawStoneBorder(ctx, size, borderWidth, colors) {
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2;
-    
-    // Base stone color
-    ctx.fillStyle = colorToCSS(colors.primary);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Add stone texture (mottled pattern)
-    const imageData = ctx.getImageData(0, 0, size, size);
-    const data = imageData.data;
-    const baseColor = colors.primary;
-    
-    for (let i = 0; i < data.length; i += 4) {
-        const x = (i / 4) % size;
-        const y = Math.floor((i / 4) / size);
-        const dx = x - centerX;
-        const dy = y - centerY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        
-        if (dist <= radius && dist > radius - borderWidth) {
-            // Stone mottling pattern
-            const noise = (Math.sin(x * 0.15) * Math.cos(y * 0.15) + Math.sin(x * 0.3) * Math.cos(y * 0.3)) * 25;
-            data[i] = Math.max(0, Math.min(255, baseColor.r + noise));
-            data[i + 1] = Math.max(0, Math.min(255, baseColor.g + noise));
-            data[i + 2] = Math.max(0, Math.min(255, baseColor.b + noise));
-        }
-    }
-    
-    ctx.putImageData(imageData, 0, 0);
-    
-    // Create border effect
-    ctx.fillStyle = 'transparent';
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalCompositeOperation = 'source-over';
+function drawStoneBorder(ctx, size, borderWidth, colors, shape, params, seed = DEFAULT_SEED) {
+    const noise = createNoise(seed);
+    const g = params.grain;
+    shadeRing(ctx, size, borderWidth, colors.primary, (x, y, base) => {
+        // Mottled blocks with dark joints between them
+        const mottle = noise.fbm(x * 0.08 * g, y * 0.08 * g, { octaves: 4 });
+        const { f1, f2, id } = noise.worley(x * 0.045 * g, y * 0.045 * g);
+        const joint = f2 - f1 < 0.05 ? 1 : 0;
+        const block = (id / 255 - 0.5) * 0.6;
+        const noiseValue = (mottle * 1.4 + block - joint * 1.2) * params.noise;
+        return { r: base.r + noiseValue, g: base.g + noiseValue, b: base.b + noiseValue };
+    }, shape);
 }
 
 /**
  * Draw crystal border
  */
-function drawCrystalBorder(ctx, size, borderWidth, colors) {
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2;
-    
+function drawCrystalBorder(ctx, size, borderWidth, colors, shape) {
     // Base crystal color
-    ctx.fillStyle = colorToCSS(colors.primary);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
+    fillShape(ctx, shape, colorToCSS(colors.primary));
     
     // Add crystal facets
-    const gradient = ctx.createRadialGradient(
-        centerX, centerY, radius - borderWidth,
-        centerX, centerY, radius
-    );
-    
-    gradient.addColorStop(0, colorToCSS(colors.primary));
-    gradient.addColorStop(0.3, `rgba(255, 255, 255, 0.4)`);
-    gradient.addColorStop(0.6, colorToCSS(colors.accent || colors.primary));
-    gradient.addColorStop(1, `rgba(255, 255, 255, 0.6)`);
-    
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Create border effect
-    ctx.fillStyle = 'transparent';
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalCompositeOperation = 'source-over';
+    paintBand(ctx, shape, borderWidth, [
+        [0, colors.primary],
+        [0.3, { r: 255, g: 255, b: 255, a: 0.4 }],
+        [0.6, colors.accent || colors.primary],
+        [1, { r: 255, g: 255, b: 255, a: 0.6 }]
+    ]);
+    
+    cutOutInner(ctx, shape, borderWidth);
 }
 
 /**
  * Draw glow border
  */
-function drawGlowBorder(ctx, size, borderWidth, colors) {
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const radius = size / 2;
+function drawGlowBorder(ctx, size, borderWidth, colors, shape) {
+    const p = colors.primary;
     
-    // Outer glow
-    const outerGradient = ctx.createRadialGradient(
-        centerX, centerY, radius - borderWidth * 0.5,
-        centerX, centerY, radius + borderWidth * 0.5
-    );
-    
-    outerGradient.addColorStop(0, `rgba(${colors.primary.r}, ${colors.primary.g}, ${colors.primary.b}, 0.8)`);
-    outerGradient.addColorStop(1, `rgba(${colors.primary.r}, ${colors.primary.g}, ${colors.primary.b}, 0)`);
-    
-    ctx.fillStyle = outerGradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius + borderWidth * 0.5, 0, Math.PI * 2);
-    ctx.fill();
+    // Outer glow (a band straddling the outline)
+    paintBand(ctx, shape.inset(-borderWidth * 0.5), borderWidth, [
+        [0, { r: p.r, g: p.g, b: p.b, a: 0.8 }],
+        [1, { r: p.r, g: p.g, b: p.b, a: 0 }]
+    ]);
     
     // Main border
-    ctx.fillStyle = colorToCSS(colors.primary);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    ctx.fill();
+    fillShape(ctx, shape, colorToCSS(p));
     
     // Inner glow
-    const innerGradient = ctx.createRadialGradient(
-        centerX, centerY, radius - borderWidth,
-        centerX, centerY, radius - borderWidth * 0.3
-    );
+    paintBand(ctx, shape.inset(borderWidth * 0.3), borderWidth * 0.7, [
+        [0, { r: 255, g: 255, b: 255, a: 0.5 }],
+        [1, { r: colors.accent.r || p.r, g: colors.accent.g || p.g, b: colors.accent.b || p.b, a: 0.3 }]
+    ]);
     
-    innerGradient.addColorStop(0, `rgba(255, 255, 255, 0.5)`);
-    innerGradient.addColorStop(1, `rgba(${colors.accent.r || colors.primary.r}, ${colors.accent.g || colors.primary.g}, ${colors.accent.b || colors.primary.b}, 0.3)`);
-    
-    ctx.fillStyle = innerGradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth * 0.3, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Create border effect
-    ctx.fillStyle = 'transparent';
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius - borderWidth, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalCompositeOperation = 'source-over';
+    cutOutInner(ctx, shape, borderWidth);
+}
+
+/**
+ * Draw bevel border — light along the outline shading to a dark inner edge,
+ * so the band reads as a raised rim casting a shadow onto the portrait.
+ */
+function drawBevelBorder(ctx, size, borderWidth, colors, shape, params) {
+    const p = colors.primary;
+    const d = params.depth;
+    const toward = (target, t) => ({
+        r: p.r + (target - p.r) * t,
+        g: p.g + (target - p.g) * t,
+        b: p.b + (target - p.b) * t
+    });
+    paintBand(ctx, shape, borderWidth, [
+        [0, toward(0, d * 0.85)],
+        [0.55, p],
+        [1, toward(255, d * 0.6)]
+    ]);
+    cutOutInner(ctx, shape, borderWidth);
+}
+
+/**
+ * Draw uploaded ring artwork fitted to the frame square, optionally
+ * multiplied with the border color (grey art takes the swatch color)
+ */
+function drawImageFrame(ctx, size, frame, colors) {
+    const { image } = frame;
+    if (!image || !image.width || !image.height) return;
+    const scale = Math.min(size / image.width, size / image.height);
+    const w = image.width * scale;
+    const h = image.height * scale;
+    const x = (size - w) / 2;
+    const y = (size - h) / 2;
+    if (!frame.tint) {
+        ctx.drawImage(image, x, y, w, h);
+        return;
+    }
+    const layer = createCanvas(size, size);
+    const lctx = layer.getContext('2d');
+    lctx.drawImage(image, x, y, w, h);
+    lctx.globalCompositeOperation = 'multiply';
+    lctx.fillStyle = colorToCSS(colors.primary);
+    lctx.fillRect(0, 0, size, size);
+    // Multiply fills the transparent areas too - keep only the art's alpha
+    lctx.globalCompositeOperation = 'destination-in';
+    lctx.drawImage(image, x, y, w, h);
+    ctx.drawImage(layer, 0, 0);
 }
@@ -0,0 +1,34 @@
+/**
+ * Canvas Factory Module
+ * Single place where the rendering modules get their canvases, so the same
+ * token code can run in the browser (DOM canvas) and headless in Node
+ * (e.g. @napi-rs/canvas) for the render API and CLI.
+ *
+ * Import this module WITHOUT a cache-buster query so every module shares
+ * one instance (and therefore one factory).
+ */
+
+let factory = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+/**
+ * Create a canvas of the given size
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement} Canvas (or a compatible headless canvas)
+ */
+export function createCanvas(width = 1, height = 1) {
+    return factory(width, height);
+}
+
+/**
+ * Replace the canvas implementation (headless rendering)
+ * @param {function(number, number): Object} createFn - Returns a canvas with getContext('2d')
+ */
+export function setCanvasFactory(createFn) {
+    factory = createFn;
+}
@@ -3,6 +3,18 @@
  * Handles color extraction and border generation based on image color scheme
  */
 
+import { createCanvas } from './canvasFactory.js';
+import { createRandom } from './noise.js';
+
+// The scheme region is scaled down to at most this many pixels across before sampling
+const SCHEME_SAMPLE_SIZE = 96;
+
+// Clusters the sampled colors are grouped into
+const SCHEME_CLUSTERS = 6;
+
+// Minimum CIELAB distance (ΔE76) between primary, secondary and accent
+const MIN_SCHEME_CONTRAST = 20;
+
 /**
  * Extract dominant color scheme from an image
  * @param {HTMLImageElement} image - The source image
@@ -10,22 +22,17 @@
  * @returns {Object} Color scheme with primary, secondary, and accent colors
  */
 export function extractColorScheme(image, faceData) {
-    const canvas = document.createElement('canvas');
+    // Sample the head and shoulders (costume colors), not just the face
+    const region = schemeRegion(image, faceData);
+    const scale = Math.min(1, SCHEME_SAMPLE_SIZE / Math.max(region.width, region.height));
+    const canvas = createCanvas();
     const ctx = canvas.getContext('2d');
-    canvas.width = image.width;
-    canvas.height = image.height;
-    ctx.drawImage(image, 0, 0);
-    
-    // Focus on the face area and surrounding region for color extraction
-    const padding = Math.max(faceData.width, faceData.height) * 0.3;
-    const x = Math.max(0, faceData.x - padding);
-    const y = Math.max(0, faceData.y - padding);
-    const width = Math.min(canvas.width - x, faceData.width + padding * 2);
-    const height = Math.min(canvas.height - y, faceData.height + padding * 2);
+    canvas.width = Math.max(1, Math.round(region.width * scale));
+    canvas.height = Math.max(1, Math.round(region.height * scale));
+    ctx.drawImage(image, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
     
-    // Sample colors from the region
-    const imageData = ctx.getImageData(x, y, width, height);
-    const colors = extractColorsFromImageData(imageData);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const colors = extractColorsFromImageData(imageData, region, faceEllipse(faceData));
     
     // Calculate dominant colors
     const dominantColors = getDominantColors(colors);
@@ -38,34 +45,199 @@ export function extractColorScheme(image, faceData) {
     };
 }
 
+/**
+ * Source area sampled for the scheme: the face box widened to take in hair,
+ * collar and shoulders, clamped to the image
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function schemeRegion(image, faceData) {
+    const size = Math.max(faceData.width, faceData.height);
+    const x = Math.max(0, faceData.x - size * 0.9);
+    const y = Math.max(0, faceData.y - size * 0.5);
+    const right = Math.min(image.width, faceData.x + faceData.width + size * 0.9);
+    const bottom = Math.min(image.height, faceData.y + faceData.height + size * 1.5);
+    if (right - x < 1 || bottom - y < 1) {
+        // Face box outside the image: use the whole picture
+        return { x: 0, y: 0, width: image.width, height: image.height };
+    }
+    return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Ellipse covering the skin of the face. With eye landmarks it is built from
+ * the eyes (and tilted with them), otherwise it fills the face box.
+ * @returns {{x: number, y: number, rx: number, ry: number, angle: number}}
+ */
+function faceEllipse(faceData) {
+    const { leftEye, rightEye } = faceData;
+    if (leftEye && rightEye) {
+        const eyeDistance = faceData.eyeDistance || Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y);
+        const angle = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+        // Centre a little below the eyes, around the nose
+        const down = eyeDistance * 0.45;
+        return {
+            x: (leftEye.x + rightEye.x) / 2 - Math.sin(angle) * down,
+            y: (leftEye.y + rightEye.y) / 2 + Math.cos(angle) * down,
+            rx: eyeDistance * 1.1,
+            ry: eyeDistance * 1.5,
+            angle
+        };
+    }
+    return {
+        x: faceData.x + faceData.width / 2,
+        y: faceData.y + faceData.height / 2,
+        rx: faceData.width * 0.45,
+        ry: faceData.height * 0.55,
+        angle: 0
+    };
+}
+
 /**
  * Extract color samples from image data
- * @param {ImageData} imageData - Image data to sample
- * @returns {Array} Array of color objects
+ * @param {ImageData} imageData - Downscaled copy of the region
+ * @param {Object} region - Source area the image data covers
+ * @param {Object} face - Face ellipse in source pixels
+ * @returns {Array} Samples { r, g, b, lab, inFace, edge } - edge marks the
+ *   top and side margins above the shoulders, where the backdrop usually is
  */
-function extractColorsFromImageData(imageData) {
+function extractColorsFromImageData(imageData, region, face) {
     const colors = [];
-    const data = imageData.data;
-    const step = 10; // Sample every 10th pixel for performance
+    const { data, width, height } = imageData;
+    const cos = Math.cos(face.angle);
+    const sin = Math.sin(face.angle);
+    const margin = 0.08;
     
-    for (let i = 0; i < data.length; i += step * 4) {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-        const a = data[i + 3];
-        
-        // Skip transparent pixels
-        if (a < 128) continue;
-        
-        colors.push({ r, g, b });
+    for (let py = 0; py < height; py++) {
+        for (let px = 0; px < width; px++) {
+            const i = (py * width + px) * 4;
+            // Skip transparent pixels
+            if (data[i + 3] < 128) continue;
+            
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            // Position in the face ellipse's own frame
+            const dx = region.x + (px + 0.5) * region.width / width - face.x;
+            const dy = region.y + (py + 0.5) * region.height / height - face.y;
+            const u = (dx * cos + dy * sin) / face.rx;
+            const v = (dy * cos - dx * sin) / face.ry;
+            const edge = dy < face.ry
+                && (px < width * margin || px >= width * (1 - margin) || py < height * margin);
+            colors.push({ r, g, b, lab: rgbToLab({ r, g, b }), inFace: u * u + v * v <= 1, edge });
+        }
     }
     
     return colors;
 }
 
 /**
- * Get dominant colors from color samples using k-means clustering
- * @param {Array} colors - Array of color objects
+ * Typical tone of a group of samples: their mean, refined by dropping
+ * outliers (for the face: eyes, brows, beard, background showing through)
+ * @param {Array} samples - Samples from extractColorsFromImageData
+ * @returns {Array<number>|null} Lab, or null without samples
+ */
+function typicalTone(samples) {
+    if (samples.length === 0) return null;
+    const mean = (list) => [0, 1, 2].map(k => list.reduce((sum, c) => sum + c.lab[k], 0) / list.length);
+    const rough = mean(samples);
+    const core = samples.filter(c => deltaE(c.lab, rough) < 25);
+    return core.length > 0 ? mean(core) : rough;
+}
+
+/**
+ * Weighted k-means in Lab space. Starts from k-means++ picks drawn with a
+ * fixed seed, so the same image always gives the same scheme.
+ * @param {Array} samples - { lab, weight }
+ * @param {number} k - Cluster count
+ * @returns {Array<{lab: Array<number>, weight: number}>} Non-empty clusters
+ */
+function kMeans(samples, k) {
+    const random = createRandom(0x5eed);
+    const totalWeight = samples.reduce((sum, s) => sum + s.weight, 0);
+    
+    // k-means++: each new centre is picked with probability ~ weight * distance²
+    let pick = random() * totalWeight;
+    let first = samples[samples.length - 1];
+    for (const s of samples) {
+        pick -= s.weight;
+        if (pick <= 0) { first = s; break; }
+    }
+    const centres = [first.lab.slice()];
+    const nearest = samples.map(s => distanceSq(s.lab, first.lab));
+    while (centres.length < k) {
+        const total = samples.reduce((sum, s, i) => sum + s.weight * nearest[i], 0);
+        if (total === 0) break; // Fewer distinct colors than clusters
+        pick = random() * total;
+        let index = samples.length - 1;
+        for (let i = 0; i < samples.length; i++) {
+            pick -= samples[i].weight * nearest[i];
+            if (pick <= 0) { index = i; break; }
+        }
+        const centre = samples[index].lab.slice();
+        centres.push(centre);
+        samples.forEach((s, i) => { nearest[i] = Math.min(nearest[i], distanceSq(s.lab, centre)); });
+    }
+    
+    const assignment = new Int32Array(samples.length).fill(-1);
+    let sums = [];
+    for (let iteration = 0; iteration < 12; iteration++) {
+        let changed = false;
+        samples.forEach((s, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centres.forEach((c, j) => {
+                const d = distanceSq(s.lab, c);
+                if (d < bestDistance) { bestDistance = d; best = j; }
+            });
+            if (assignment[i] !== best) { assignment[i] = best; changed = true; }
+        });
+        
+        sums = centres.map(() => ({ lab: [0, 0, 0], weight: 0 }));
+        samples.forEach((s, i) => {
+            const sum = sums[assignment[i]];
+            sum.lab[0] += s.lab[0] * s.weight;
+            sum.lab[1] += s.lab[1] * s.weight;
+            sum.lab[2] += s.lab[2] * s.weight;
+            sum.weight += s.weight;
+        });
+        sums.forEach((sum, j) => {
+            if (sum.weight > 0) centres[j] = sum.lab.map(v => v / sum.weight);
+        });
+        if (!changed) break;
+    }
+    
+    return centres
+        .map((lab, j) => ({ lab, weight: sums[j].weight }))
+        .filter(cluster => cluster.weight > 0);
+}
+
+/**
+ * Merge clusters that are barely distinguishable (k-means happily splits one
+ * large cloak into two shades), so the cloak's full weight counts as one color
+ * @param {Array<{lab: Array<number>, weight: number}>} clusters
+ * @returns {Array<{lab: Array<number>, weight: number}>}
+ */
+function mergeClusters(clusters) {
+    const merged = [];
+    for (const cluster of clusters) {
+        const near = merged.find(m => deltaE(m.lab, cluster.lab) < MIN_SCHEME_CONTRAST / 2);
+        if (!near) {
+            merged.push({ lab: cluster.lab.slice(), weight: cluster.weight });
+            continue;
+        }
+        const total = near.weight + cluster.weight;
+        near.lab = near.lab.map((v, k) => (v * near.weight + cluster.lab[k] * cluster.weight) / total);
+        near.weight = total;
+    }
+    return merged;
+}
+
+/**
+ * Get dominant colors from color samples using k-means clustering in CIELAB.
+ * Saturated colors count for more than greys, and skin (the face and anything
+ * close to its tone) and the backdrop for much less, so costume colors win.
+ * Primary, secondary and accent are kept at least MIN_SCHEME_CONTRAST apart.
+ * @param {Array} colors - Samples from extractColorsFromImageData
  * @returns {Object} Dominant colors
  */
 function getDominantColors(colors) {
@@ -78,19 +250,56 @@ function getDominantColors(colors) {
         };
     }
     
-    // Simple approach: sort by brightness and pick representative colors
-    const sorted = colors.sort((a, b) => {
-        const brightnessA = (a.r + a.g + a.b) / 3;
-        const brightnessB = (b.r + b.g + b.b) / 3;
-        return brightnessB - brightnessA;
+    const skin = typicalTone(colors.filter(c => c.inFace));
+    const backdrop = typicalTone(colors.filter(c => c.edge));
+    const samples = colors.map((c) => {
+        const chroma = Math.hypot(c.lab[1], c.lab[2]);
+        let weight = 0.1 + Math.min(1, chroma / 30);
+        if (c.inFace) {
+            weight *= 0.1;
+        } else if (skin && deltaE(c.lab, skin) < 15) {
+            weight *= 0.25; // Neck, hands, skin the ellipse missed
+        }
+        if (backdrop && deltaE(c.lab, backdrop) < 12) {
+            weight *= 0.25;
+        }
+        return { lab: c.lab, weight };
     });
     
-    // Get primary (brightest), secondary (middle), accent (darker)
-    const primary = sorted[Math.floor(sorted.length * 0.1)];
-    const secondary = sorted[Math.floor(sorted.length * 0.5)];
-    const accent = sorted[Math.floor(sorted.length * 0.9)];
+    const clusters = mergeClusters(kMeans(samples, Math.min(SCHEME_CLUSTERS, samples.length)))
+        .sort((a, b) => b.weight - a.weight);
+    
+    // Heaviest cluster first, then the heaviest ones that stand apart from it
+    const primary = clusters[0].lab;
+    const distinct = (lab, others) => others.every(o => deltaE(lab, o) >= MIN_SCHEME_CONTRAST);
+    const secondary = clusters.find(c => distinct(c.lab, [primary]))?.lab
+        ?? withContrast(primary, [primary]);
+    const accent = clusters.find(c => distinct(c.lab, [primary, secondary]))?.lab
+        ?? withContrast(clusters[1]?.lab ?? primary, [primary, secondary]);
     
-    return { primary, secondary, accent };
+    return {
+        primary: labToRgb(primary),
+        secondary: labToRgb(secondary),
+        accent: labToRgb(accent)
+    };
+}
+
+/**
+ * Move a color's lightness (nearest change first) until it is at least
+ * MIN_SCHEME_CONTRAST from every other color, checked after rounding to sRGB
+ * @param {Array<number>} lab
+ * @param {Array<Array<number>>} others
+ * @returns {Array<number>} Lab
+ */
+function withContrast(lab, others) {
+    for (let step = 5; step <= 100; step += 5) {
+        for (const lightness of [lab[0] + step, lab[0] - step]) {
+            if (lightness < 5 || lightness > 95) continue;
+            const candidate = rgbToLab(labToRgb([lightness, lab[1], lab[2]]));
+            if (others.every(o => deltaE(candidate, o) >= MIN_SCHEME_CONTRAST)) return candidate;
+        }
+    }
+    return lab;
 }
 
 /**
@@ -132,7 +341,163 @@ export function generateBorder(colorScheme) {
 export function colorToCSS(color) {
     return `rgb(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)})`;
 }
-
+
+// D65 reference white for Lab
+const WHITE = [0.95047, 1, 1.08883];
+
+const toLinear = v => (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4));
+const fromLinear = v => (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+
+/**
+ * Convert an sRGB color to CIELAB (D65)
+ * @param {Object} color - Color object with r, g, b (0-255)
+ * @returns {Array<number>} [L (0-100), a, b]
+ */
+export function rgbToLab(color) {
+    const r = toLinear(color.r / 255);
+    const g = toLinear(color.g / 255);
+    const b = toLinear(color.b / 255);
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (t * 24389 / 27 + 16) / 116);
+    const fx = f((r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / WHITE[0]);
+    const fy = f((r * 0.2126729 + g * 0.7151522 + b * 0.0721750) / WHITE[1]);
+    const fz = f((r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / WHITE[2]);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Convert CIELAB (D65) back to sRGB, clipped to the displayable range
+ * @param {Array<number>} lab - [L, a, b]
+ * @returns {Object} Color object with whole-number r, g, b
+ */
+export function labToRgb([lightness, a, bStar]) {
+    const fy = (lightness + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - bStar / 200;
+    const finv = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) * 27 / 24389);
+    const x = finv(fx) * WHITE[0];
+    const y = finv(fy) * WHITE[1];
+    const z = finv(fz) * WHITE[2];
+    const channel = v => Math.round(255 * Math.max(0, Math.min(1, fromLinear(v))));
+    return {
+        r: channel(x * 3.2404542 - y * 1.5371385 - z * 0.4985314),
+        g: channel(-x * 0.9692660 + y * 1.8760108 + z * 0.0415560),
+        b: channel(x * 0.0556434 - y * 0.2040259 + z * 1.0572252)
+    };
+}
+
+/**
+ * Perceptual distance between two Lab colors (CIE76 ΔE)
+ * @param {Array<number>} lab1
+ * @param {Array<number>} lab2
+ * @returns {number} About 2.3 is just noticeable
+ */
+export function deltaE(lab1, lab2) {
+    return Math.sqrt(distanceSq(lab1, lab2));
+}
+
+function distanceSq(p, q) {
+    const d0 = p[0] - q[0];
+    const d1 = p[1] - q[1];
+    const d2 = p[2] - q[2];
+    return d0 * d0 + d1 * d1 + d2 * d2;
+}
+
+/**
+ * Color harmonies the harmony panel derives from one base color
+ */
+export const COLOR_HARMONIES = {
+    COMPLEMENTARY: 'complementary',
+    ANALOGOUS: 'analogous',
+    TRIADIC: 'triadic',
+    SPLIT_COMPLEMENTARY: 'split-complementary'
+};
+
+/**
+ * Display names for the harmony panel
+ */
+export const COLOR_HARMONY_NAMES = {
+    [COLOR_HARMONIES.COMPLEMENTARY]: 'Complementary',
+    [COLOR_HARMONIES.ANALOGOUS]: 'Analogous',
+    [COLOR_HARMONIES.TRIADIC]: 'Triadic',
+    [COLOR_HARMONIES.SPLIT_COMPLEMENTARY]: 'Split complementary'
+};
+
+// Hue turns (degrees around the LCh wheel) for the secondary and accent roles.
+// Complementary has only two hues, so its accent is the base hue in another lightness.
+const HARMONY_TURNS = {
+    [COLOR_HARMONIES.COMPLEMENTARY]: [180, 0],
+    [COLOR_HARMONIES.ANALOGOUS]: [-30, 30],
+    [COLOR_HARMONIES.TRIADIC]: [120, 240],
+    [COLOR_HARMONIES.SPLIT_COMPLEMENTARY]: [150, 210]
+};
+
+/**
+ * Full border scheme from one color: the color is the primary, secondary and
+ * accent are turned around the hue wheel in CIELAB (keeping its lightness and
+ * chroma). Roles that land too close together - always the case for greys -
+ * are pushed apart in lightness.
+ * @param {Object} color - Base color {r, g, b}
+ * @param {string} harmony - A COLOR_HARMONIES value
+ * @returns {Object} Color scheme with primary, secondary, accent and border colors
+ */
+export function harmonyScheme(color, harmony) {
+    const [secondaryTurn, accentTurn] = HARMONY_TURNS[harmony] || HARMONY_TURNS[COLOR_HARMONIES.COMPLEMENTARY];
+    const primary = labToRgb(rgbToLab(color));
+    const base = rgbToLab(primary);
+    const chroma = Math.hypot(base[1], base[2]);
+    const hue = Math.atan2(base[2], base[1]);
+    const turned = (degrees) => {
+        const angle = hue + degrees * Math.PI / 180;
+        return rgbToLab(labToRgb([base[0], chroma * Math.cos(angle), chroma * Math.sin(angle)]));
+    };
+    const secondary = withContrast(turned(secondaryTurn), [base]);
+    const accent = withContrast(turned(accentTurn), [base, secondary]);
+    
+    return {
+        primary,
+        secondary: labToRgb(secondary),
+        accent: labToRgb(accent),
+        border: adjustBrightness(primary, -0.2) // Darker for border
+    };
+}
+
+// Lightness step between a picked color and its derived shades
+const SHADE_STEP = 22;
+
+/**
+ * Full border scheme from one color in its own hue: a lighter secondary and
+ * a darker accent (the lightness is changed in CIELAB, so the hue holds)
+ * @param {Object} color - Picked color {r, g, b}
+ * @returns {Object} Color scheme with primary, secondary, accent and border colors
+ */
+export function shadeScheme(color) {
+    const primary = labToRgb(rgbToLab(color));
+    const base = rgbToLab(primary);
+    const shade = lightness => rgbToLab(labToRgb([Math.max(0, Math.min(100, base[0] + lightness)), base[1], base[2]]));
+    const secondary = withContrast(shade(SHADE_STEP), [base]);
+    const accent = withContrast(shade(-SHADE_STEP), [base, secondary]);
+    
+    return {
+        primary,
+        secondary: labToRgb(secondary),
+        accent: labToRgb(accent),
+        border: adjustBrightness(primary, -0.2) // Darker for border
+    };
+}
+
+/**
+ * Copy of a scheme with one role recolored; the border follows the primary
+ * @param {Object} scheme - Color scheme with primary, secondary, accent and border colors
+ * @param {string} role - 'primary', 'secondary' or 'accent'
+ * @param {Object} color - {r, g, b}
+ * @returns {Object} Color scheme
+ */
+export function schemeWithRole(scheme, role, color) {
+    const updated = { ...scheme, [role]: { r: color.r, g: color.g, b: color.b } };
+    if (role === 'primary') updated.border = adjustBrightness(color, -0.2);
+    return updated;
+}
+
 /**
  * Extract a palette of the most dominant, visually-distinct colors from an
  * image — used to seed the border-color swatches so they match the art.
@@ -141,7 +506,7 @@ export function colorToCSS(color) {
  * @returns {Array<{r,g,b}>}
  */
 export function extractPalette(image, count = 10) {
-    const canvas = document.createElement('canvas');
+    const canvas = createCanvas();
     const ctx = canvas.getContext('2d');
     // Downscale for speed — a ~160px thumbnail is plenty for dominant colors.
     const scale = Math.min(1, 160 / Math.max(image.width, image.height, 1));
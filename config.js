@@ -0,0 +1,20 @@
+/**
+ * Runtime configuration (loaded before the app as a classic script).
+ * The Docker image serves its own /config.js generated from environment
+ * variables (see nginx.conf); this file is the default for local servers.
+ *
+ * modelUrl: where the face-api model weights live. Can also be overridden per
+ * browser with localStorage 'tkn8rModelUrl' or per visit with ?models=<url>.
+ *
+ * segmenterUrl: optional ES module exporting segment(image) -> subject mask,
+ * used for pop-out tokens from photos without a transparent background
+ * (see subjectMask.js). Empty = transparent PNGs only.
+ *
+ * textureModules: comma-separated ES module URLs of house border textures
+ * (see registerBorderTexture in borderStyles.js). Empty = built-ins only.
+ */
+window.TKN8R_CONFIG = window.TKN8R_CONFIG || {
+    modelUrl: './models/',
+    segmenterUrl: '',
+    textureModules: ''
+};
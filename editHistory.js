@@ -0,0 +1,101 @@
+/**
+ * Edit History Module
+ * Undo/redo stack of editor snapshots. Continuous gestures (a drag, a burst
+ * of wheel ticks, sliding a slider) are coalesced into one step so a single
+ * accidental drag can be undone without losing the framing before it.
+ */
+
+/**
+ * Default window in which repeated edits with the same key merge into one step
+ */
+export const COALESCE_MS = 600;
+
+/**
+ * Create an edit history.
+ * @param {Object} options
+ * @param {function(): Object} options.capture - Snapshot the current editor state
+ * @param {function(Object): void} options.restore - Put a snapshot back
+ * @param {function(Object): void} [options.onChange] - Called with { canUndo, canRedo } after every change
+ * @param {number} [options.limit=100] - Maximum number of undo steps kept
+ * @param {number} [options.coalesceMs=COALESCE_MS]
+ * @returns {Object} History with reset/record/undo/redo/canUndo/canRedo
+ */
+export function createEditHistory({ capture, restore, onChange = () => {}, limit = 100, coalesceMs = COALESCE_MS }) {
+    let entries = []; // [{ state, key, time }]
+    let index = -1;   // entry that matches what's on screen
+
+    const notify = () => onChange({ canUndo: index > 0, canRedo: index < entries.length - 1 });
+    const serialize = (state) => JSON.stringify(state);
+
+    return {
+        /**
+         * Start a fresh history with the current state as the baseline
+         * (new image, another batch item, another face)
+         */
+        reset() {
+            entries = [{ state: capture(), key: null, time: 0 }];
+            index = 0;
+            notify();
+        },
+
+        /**
+         * Forget everything (no token on screen)
+         */
+        clear() {
+            entries = [];
+            index = -1;
+            notify();
+        },
+
+        /**
+         * Record the current state as an undo step, after the edit was applied.
+         * Edits with the same non-null key within the coalesce window replace
+         * the previous step instead of adding one.
+         * @param {string|null} [key] - Gesture kind, e.g. 'wheel' or 'drag'
+         */
+        record(key = null) {
+            if (index < 0) return;
+            const state = capture();
+            const top = entries[index];
+            if (serialize(state) === serialize(top.state)) return;
+            const now = Date.now();
+            // Only merge into a step that is still the newest (not one reached by undo)
+            const canMerge = key !== null && index > 0 && index === entries.length - 1 &&
+                top.key === key && now - top.time < coalesceMs;
+            // Anything that was undone is no longer redoable once a new edit happens
+            entries = entries.slice(0, index + 1);
+            if (canMerge) {
+                entries[index] = { state, key, time: now };
+            } else {
+                entries.push({ state, key, time: now });
+                if (entries.length > limit + 1) entries.shift();
+                index = entries.length - 1;
+            }
+            notify();
+        },
+
+        undo() {
+            if (index <= 0) return false;
+            index--;
+            restore(entries[index].state);
+            notify();
+            return true;
+        },
+
+        redo() {
+            if (index >= entries.length - 1) return false;
+            index++;
+            restore(entries[index].state);
+            notify();
+            return true;
+        },
+
+        canUndo() {
+            return index > 0;
+        },
+
+        canRedo() {
+            return index < entries.length - 1;
+        }
+    };
+}
@@ -5,46 +5,112 @@
 
 let modelsLoaded = false;
 
+/**
+ * Public CDN copy of the models, used only when the local models can't be loaded
+ */
+const CDN_MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/';
+
+/**
+ * Public CDN copy of face-api.js, used only when the bundled copy is missing
+ */
+const CDN_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/dist/face-api.min.js';
+
+let faceApiScriptPromise = null;
+
+/**
+ * Resolve where to load model weights from. First match wins:
+ * ?models=<url> query parameter, localStorage 'tkn8rModelUrl', the
+ * TKN8R_CONFIG.modelUrl runtime setting (config.js / Docker env), './models/'.
+ * @returns {string} Model base URL (with trailing slash)
+ */
+export function getModelUrl() {
+    let url = null;
+    try {
+        url = new URLSearchParams(window.location.search).get('models')
+            || localStorage.getItem('tkn8rModelUrl');
+    } catch (_err) {
+        // Storage unavailable - fall through to the runtime config
+    }
+    url = url || window.TKN8R_CONFIG?.modelUrl || './models/';
+    return url.endsWith('/') ? url : url + '/';
+}
+
+/**
+ * Make sure face-api.js is loaded. index.html includes the bundled copy with a
+ * plain script tag, which has run before any module; if it hasn't been
+ * vendored, the CDN copy is added here and waited for.
+ * @returns {Promise<void>} Rejects if the CDN copy can't be loaded either
+ */
+function loadFaceApiScript() {
+    if (typeof faceapi !== 'undefined') return Promise.resolve();
+    if (!faceApiScriptPromise) {
+        faceApiScriptPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CDN_SCRIPT_URL;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load ${CDN_SCRIPT_URL}`));
+            document.head.appendChild(script);
+        });
+        // A later call (e.g. after the connection is back) tries again
+        faceApiScriptPromise.catch(() => { faceApiScriptPromise = null; });
+    }
+    return faceApiScriptPromise;
+}
+
 /**
  * Load face-api.js models
  */
 export async function loadFaceApiModels() {
     if (modelsLoaded) return;
     
-    // Wait for face-api.js to be available
-    let attempts = 0;
-    while (typeof faceapi === 'undefined' && attempts < 50) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-        attempts++;
+    try {
+        await loadFaceApiScript();
+    } catch (error) {
+        console.warn(error.message);
     }
     
     // Check if face-api.js is available
     if (typeof faceapi === 'undefined') {
-        throw new Error('face-api.js library not loaded. Please check your internet connection and refresh the page.');
+        throw new Error('face-api.js library not loaded. Run "npm install" to bundle it locally (vendor/face-api), or check your internet connection, then refresh the page.');
     }
     
-    try {
-        // Load the models (using CDN models)
-        const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/';
-        
-        await Promise.all([
-            faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
-            faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL)
-        ]);
-        
-        modelsLoaded = true;
-    } catch (error) {
-        console.error('Failed to load face-api models:', error);
-        throw new Error('Failed to load face detection models. Please check your internet connection.');
+    // Self-hosted models first (works offline); the CDN is only a fallback
+    const modelUrls = [getModelUrl()];
+    if (!modelUrls.includes(CDN_MODEL_URL)) modelUrls.push(CDN_MODEL_URL);
+    
+    for (const modelUrl of modelUrls) {
+        try {
+            await Promise.all([
+                faceapi.nets.tinyFaceDetector.loadFromUri(modelUrl),
+                faceapi.nets.faceLandmark68Net.loadFromUri(modelUrl)
+            ]);
+            
+            modelsLoaded = true;
+            return;
+        } catch (error) {
+            console.warn(`Failed to load face-api models from ${modelUrl}:`, error);
+        }
     }
+    
+    throw new Error(`Failed to load face detection models from ${modelUrls[0]}. Run "npm install" to bundle them locally, or check your internet connection.`);
 }
 
 /**
- * Detect face in an image
+ * Detect face in an image (the largest one, most likely the main subject)
  * @param {HTMLImageElement} image - The image to detect faces in
  * @returns {Promise<Object>} Face data with x, y, width, height
  */
 export async function detectFace(image) {
+    const faces = await detectFaces(image);
+    return faces[0];
+}
+
+/**
+ * Detect every face in an image
+ * @param {HTMLImageElement} image - The image to detect faces in
+ * @returns {Promise<Array<Object>>} Face data for each face, largest first
+ */
+export async function detectFaces(image) {
     if (!modelsLoaded) {
         await loadFaceApiModels();
     }
@@ -78,69 +144,115 @@ export async function detectFace(image) {
             throw new Error('No face detected in image');
         }
         
-        // Use the largest face (most likely the main subject)
-        const largestFace = detections.reduce((prev, current) => {
-            const prevArea = prev.detection.box.width * prev.detection.box.height;
-            const currentArea = current.detection.box.width * current.detection.box.height;
-            return currentArea > prevArea ? current : prev;
-        });
-        
-        const box = largestFace.detection.box;
-        const landmarks = largestFace.landmarks;
-        
         // Scale back to original image dimensions
         const scaleX = image.width / width;
         const scaleY = image.height / height;
         
-        // Extract key facial landmarks (68-point model)
-        // Scale landmarks to original image size
-        const scaledLandmarks = landmarks.positions.map(point => ({
-            x: point.x * scaleX,
-            y: point.y * scaleY
-        }));
-        
-        // Calculate eye positions (average of eye landmarks)
-        // Left eye: points 36-41, Right eye: points 42-47
-        const leftEyePoints = scaledLandmarks.slice(36, 42);
-        const rightEyePoints = scaledLandmarks.slice(42, 48);
-        
-        const leftEyeCenter = {
-            x: leftEyePoints.reduce((sum, p) => sum + p.x, 0) / leftEyePoints.length,
-            y: leftEyePoints.reduce((sum, p) => sum + p.y, 0) / leftEyePoints.length
-        };
-        
-        const rightEyeCenter = {
-            x: rightEyePoints.reduce((sum, p) => sum + p.x, 0) / rightEyePoints.length,
-            y: rightEyePoints.reduce((sum, p) => sum + p.y, 0) / rightEyePoints.length
-        };
-        
-        // Calculate interpupillary distance (eye distance)
-        const eyeDistance = Math.sqrt(
-            Math.pow(rightEyeCenter.x - leftEyeCenter.x, 2) +
-            Math.pow(rightEyeCenter.y - leftEyeCenter.y, 2)
-        );
-        
-        // Nose tip position (point 30)
-        const noseTip = scaledLandmarks[30];
-        
-        // Nose base position (point 33)
-        const noseBase = scaledLandmarks[33];
-        
-        return {
-            x: box.x * scaleX,
-            y: box.y * scaleY,
-            width: box.width * scaleX,
-            height: box.height * scaleY,
-            landmarks: largestFace.landmarks,
-            // Enhanced face data for smart cropping
-            leftEye: leftEyeCenter,
-            rightEye: rightEyeCenter,
-            eyeDistance: eyeDistance,
-            noseTip: noseTip,
-            noseBase: noseBase
-        };
+        // Largest face first (most likely the main subject)
+        return detections
+            .map(detection => toFaceData(detection, scaleX, scaleY))
+            .sort((a, b) => (b.width * b.height) - (a.width * a.height));
     } catch (error) {
         console.error('Face detection error:', error);
         throw error;
     }
 }
+
+/**
+ * Convert one face-api detection into our face data format
+ * @param {Object} detection - face-api detection with landmarks
+ * @param {number} scaleX - Detection canvas → original image scale (x)
+ * @param {number} scaleY - Detection canvas → original image scale (y)
+ * @returns {Object} Face data with box, eye centres, eye distance and nose points
+ */
+function toFaceData(detection, scaleX, scaleY) {
+    const box = detection.detection.box;
+    const landmarks = detection.landmarks;
+    
+    // Extract key facial landmarks (68-point model)
+    // Scale landmarks to original image size
+    const scaledLandmarks = landmarks.positions.map(point => ({
+        x: point.x * scaleX,
+        y: point.y * scaleY
+    }));
+    
+    // Calculate eye positions (average of eye landmarks)
+    // Left eye: points 36-41, Right eye: points 42-47
+    const leftEyePoints = scaledLandmarks.slice(36, 42);
+    const rightEyePoints = scaledLandmarks.slice(42, 48);
+    
+    const leftEyeCenter = {
+        x: leftEyePoints.reduce((sum, p) => sum + p.x, 0) / leftEyePoints.length,
+        y: leftEyePoints.reduce((sum, p) => sum + p.y, 0) / leftEyePoints.length
+    };
+    
+    const rightEyeCenter = {
+        x: rightEyePoints.reduce((sum, p) => sum + p.x, 0) / rightEyePoints.length,
+        y: rightEyePoints.reduce((sum, p) => sum + p.y, 0) / rightEyePoints.length
+    };
+    
+    // Calculate interpupillary distance (eye distance)
+    const eyeDistance = Math.sqrt(
+        Math.pow(rightEyeCenter.x - leftEyeCenter.x, 2) +
+        Math.pow(rightEyeCenter.y - leftEyeCenter.y, 2)
+    );
+    
+    // Nose tip position (point 30)
+    const noseTip = scaledLandmarks[30];
+    
+    // Nose base position (point 33)
+    const noseBase = scaledLandmarks[33];
+    
+    return {
+        x: box.x * scaleX,
+        y: box.y * scaleY,
+        width: box.width * scaleX,
+        height: box.height * scaleY,
+        landmarks: detection.landmarks,
+        // Enhanced face data for smart cropping
+        leftEye: leftEyeCenter,
+        rightEye: rightEyeCenter,
+        eyeDistance: eyeDistance,
+        noseTip: noseTip,
+        noseBase: noseBase
+    };
+}
+
+/**
+ * Build a stand-in face box for images where detection fails: a smallish
+ * region slightly above centre, so users still have plenty of zoom-in room.
+ * @param {HTMLImageElement} image - Source image
+ * @returns {Object} Face data with x, y, width, height (no landmarks)
+ */
+export function getFallbackFaceData(image) {
+    // Use center of image as focus point with smaller initial crop
+    // Start smaller so users can zoom in much more when face detection fails
+    const centerX = image.width * 0.5;
+    const centerY = image.height * 0.4; // Slightly above center for head positioning
+    const cropSize = Math.min(image.width, image.height) * 0.4; // 40% of smaller dimension (smaller = more zoom-in room)
+    
+    return {
+        x: centerX - cropSize * 0.3,
+        y: centerY - cropSize * 0.3,
+        width: cropSize * 0.6,
+        height: cropSize * 0.6
+    };
+}
+
+/**
+ * Rotation (degrees clockwise, as createToken's renderOptions.rotation) that
+ * puts the eyes on a horizontal line.
+ * @param {Object} faceData - Face data with leftEye/rightEye landmarks
+ * @param {boolean} [flipX=false] - Whether the portrait is mirrored
+ * @returns {number|null} Rotation, or null when the face has no eye landmarks
+ */
+export function eyeLevelRotation(faceData, flipX = false) {
+    const { leftEye, rightEye } = faceData || {};
+    if (!leftEye || !rightEye) return null;
+    // Angle of the eye line, taken left-to-right on the image so it's within ±90°
+    const [a, b] = leftEye.x <= rightEye.x ? [leftEye, rightEye] : [rightEye, leftEye];
+    const tilt = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+    // Mirroring reverses the apparent tilt
+    const rotation = flipX ? tilt : -tilt;
+    return Math.abs(rotation) < 0.05 ? 0 : Math.round(rotation * 10) / 10;
+}
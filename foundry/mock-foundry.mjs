@@ -0,0 +1,65 @@
+/**
+ * Run the import macro against a TKN8R backend without Foundry: the Foundry
+ * globals it touches (canvas, game, ui, Dialog, FilePicker) are replaced by
+ * small stand-ins that log what the macro does.
+ *
+ *   node foundry/mock-foundry.mjs [http://localhost:3000]
+ *
+ * The macro picks the newest token; the "uploaded" file is written to
+ * foundry/mock-data/ so you can inspect it.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(HERE, 'mock-data');
+
+globalThis.TKN8R_URL = process.argv[2] || 'http://localhost:3000';
+
+const log = (...args) => console.log('[mock-foundry]', ...args);
+let finished;
+const done = new Promise((resolve) => { finished = resolve; });
+
+const actor = {
+  name: 'Mock Hero',
+  async update(data) {
+    log('actor.update', JSON.stringify(data, null, 2));
+  },
+  getActiveTokens() {
+    return [{ update: async (data) => log('placed token update', JSON.stringify(data)) }];
+  }
+};
+
+globalThis.canvas = { tokens: { controlled: [{ actor }] } };
+globalThis.game = { user: { character: null } };
+globalThis.ui = {
+  notifications: {
+    info: (msg) => { log('info:', msg); finished(); },
+    warn: (msg) => { log('warn:', msg); finished(); },
+    error: (msg) => { log('error:', msg); finished(); }
+  }
+};
+globalThis.Dialog = {
+  // Always choose the first (newest) token and tick "portrait"
+  async prompt({ title, callback }) {
+    log('dialog:', title);
+    const fields = { token: { value: '0' }, portrait: { checked: true } };
+    return callback({ querySelector: (selector) => fields[/name="(\w+)"/.exec(selector)[1]] });
+  }
+};
+globalThis.FilePicker = {
+  async createDirectory(source, target) {
+    await fs.mkdir(path.join(DATA_DIR, target), { recursive: true });
+  },
+  async upload(source, target, file) {
+    const out = path.join(DATA_DIR, target, file.name);
+    await fs.writeFile(out, Buffer.from(await file.arrayBuffer()));
+    log(`uploaded ${file.name} (${file.size} bytes) -> ${out}`);
+    return { path: `${target}/${file.name}` };
+  }
+};
+
+await import('./tkn8r-import-macro.js');
+await done;
@@ -0,0 +1,94 @@
+/**
+ * TKN8R -> Foundry VTT import macro
+ *
+ * Paste into a Script macro. It lists the tokens most recently sent from
+ * TKN8R ("Send to Foundry"), uploads the one you pick into this world's data
+ * folder and sets it as the prototype token (and optionally the portrait) of
+ * the selected token's actor, or of your assigned character.
+ *
+ * Set TKN8R_URL to where TKN8R runs (the /api endpoints must be reachable
+ * from the player's browser).
+ */
+(async () => {
+    const TKN8R_URL = (globalThis.TKN8R_URL ?? 'http://localhost:5001').replace(/\/+$/, '');
+    const UPLOAD_FOLDER = 'tokens/tkn8r';
+
+    const actor = canvas.tokens?.controlled[0]?.actor ?? game.user.character;
+    if (!actor) {
+        ui.notifications.warn('TKN8R: select a token or assign a character first.');
+        return;
+    }
+
+    let tokens;
+    try {
+        const response = await fetch(`${TKN8R_URL}/api/tokens/recent?limit=20`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        ({ tokens } = await response.json());
+    } catch (error) {
+        ui.notifications.error(`TKN8R: could not reach ${TKN8R_URL} (${error.message}).`);
+        return;
+    }
+    if (!tokens?.length) {
+        ui.notifications.info('TKN8R: no tokens have been sent yet.');
+        return;
+    }
+
+    const escape = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    const options = tokens
+        .map((t, i) => `<option value="${i}">${escape(t.name)} - ${new Date(t.createdAt).toLocaleString()}</option>`)
+        .join('');
+    const choice = await Dialog.prompt({
+        title: `TKN8R token for ${actor.name}`,
+        content: `<form>
+            <div class="form-group"><label>Token</label><select name="token">${options}</select></div>
+            <div class="form-group"><label>Also set actor portrait</label><input type="checkbox" name="portrait"></div>
+        </form>`,
+        label: 'Apply',
+        rejectClose: false,
+        callback: (html) => {
+            const root = html[0] ?? html; // jQuery (v11/v12) or HTMLElement
+            return {
+                index: Number(root.querySelector('[name="token"]').value),
+                portrait: root.querySelector('[name="portrait"]').checked
+            };
+        }
+    });
+    if (!choice) return;
+
+    const token = tokens[choice.index];
+    const ext = token.mimeType === 'image/webp' ? 'webp' : 'png';
+    const fileName = `${token.name.replace(/[^a-zA-Z0-9_-]/g, '_')}_${token.id.slice(0, 8)}.${ext}`;
+    try {
+        const response = await fetch(`${TKN8R_URL}${token.url}`);
+        // Older picks may have been dropped from the recent list since it was fetched
+        if (!response.ok) throw new Error(`download failed with HTTP ${response.status}`);
+        const blob = await response.blob();
+
+        // Create tokens/, then tokens/tkn8r/ (createDirectory is not recursive)
+        let folder = '';
+        for (const part of UPLOAD_FOLDER.split('/')) {
+            folder = folder ? `${folder}/${part}` : part;
+            await FilePicker.createDirectory('data', folder).catch(() => {}); // already exists
+        }
+        const uploaded = await FilePicker.upload('data', UPLOAD_FOLDER, new File([blob], fileName, { type: token.mimeType }), {}, { notify: false });
+        const src = uploaded?.path ?? `${UPLOAD_FOLDER}/${fileName}`;
+
+        const snippet = token.prototypeToken ?? {};
+        const prototypeToken = {
+            ...snippet,
+            texture: { ...(snippet.texture ?? {}), src },
+            ...(snippet.ring ? { ring: { ...snippet.ring, subject: { ...(snippet.ring.subject ?? {}), texture: src } } } : {})
+        };
+        const update = { prototypeToken };
+        if (choice.portrait) update.img = src;
+        await actor.update(update);
+
+        // Tokens of this actor already on the scene get the new art too
+        for (const placed of actor.getActiveTokens(false, true)) {
+            await placed.update({ 'texture.src': src });
+        }
+        ui.notifications.info(`TKN8R: ${actor.name} now uses "${token.name}".`);
+    } catch (error) {
+        ui.notifications.error(`TKN8R: could not apply "${token.name}" (${error.message}).`);
+    }
+})();
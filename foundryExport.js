@@ -0,0 +1,113 @@
+/**
+ * Foundry Export Module
+ * Builds Foundry VTT-ready packages: the token image plus the matching
+ * `prototypeToken` snippet (texture src/scale and dynamic ring settings),
+ * so a token can be dropped into an actor without re-typing anything.
+ */
+
+import { createZip, uniqueZipName } from './zipWriter.js';
+
+/**
+ * Image formats Foundry accepts for token art
+ */
+export const FOUNDRY_IMAGE_FORMATS = {
+    PNG: 'png',
+    WEBP: 'webp'
+};
+
+/**
+ * Default folder (inside Foundry's User Data) the package expects to be unpacked to
+ */
+export const DEFAULT_FOUNDRY_FOLDER = 'tokens/tkn8r/';
+
+/**
+ * MIME type for an export format
+ * @param {string} format - From FOUNDRY_IMAGE_FORMATS
+ * @returns {string}
+ */
+export function foundryImageMime(format) {
+    return format === FOUNDRY_IMAGE_FORMATS.WEBP ? 'image/webp' : 'image/png';
+}
+
+/**
+ * Normalise a Foundry data folder: forward slashes, no leading slash, one trailing slash
+ * @param {string} folder
+ * @returns {string}
+ */
+export function normalizeFoundryFolder(folder) {
+    const clean = String(folder || '').trim().replace(/\\/g, '/').replace(/^\/+/, '').replace(/\/+$/, '');
+    return clean ? `${clean}/` : '';
+}
+
+function toHex(c) {
+    return '#' + ['r', 'g', 'b'].map(k => Math.max(0, Math.min(255, Math.round(c[k] || 0))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The `prototypeToken` fields TKN8R controls (Foundry v12+ schema). The art
+ * already has its frame baked in, so the dynamic ring is off by default but
+ * its colors are pre-filled from the border in case the GM switches it on.
+ * @param {Object} options
+ * @param {string} options.src - Path of the image inside Foundry's data folder
+ * @param {{r: number, g: number, b: number}} [options.ringColor] - Border color
+ * @param {{r: number, g: number, b: number}} [options.backgroundColor] - Ring background
+ * @param {boolean} [options.ring=false] - Enable the dynamic token ring
+ * @param {number} [options.scale=1] - Texture scale
+ * @returns {Object} prototypeToken partial
+ */
+export function buildPrototypeToken({ src, ringColor = null, backgroundColor = null, ring = false, scale = 1 }) {
+    return {
+        texture: {
+            src,
+            scaleX: scale,
+            scaleY: scale
+        },
+        ring: {
+            enabled: Boolean(ring),
+            colors: {
+                ring: ringColor ? toHex(ringColor) : null,
+                background: backgroundColor ? toHex(backgroundColor) : null
+            },
+            // The frame is part of the art, so the subject fills the ring
+            subject: { scale: 1, texture: src }
+        }
+    };
+}
+
+/**
+ * Zip token images with one JSON snippet each plus an index. Layout:
+ *   <folder>/token_x.webp
+ *   <folder>/token_x.json    { name, prototypeToken }
+ *   tkn8r-foundry.json       { folder, tokens: [{ name, file, prototypeToken }] }
+ * @param {Array<{name: string, fileName: string, data: Uint8Array, prototypeToken: Object}>} items
+ * @param {string} folder - Foundry data folder the images will live in (already normalised)
+ * @returns {Uint8Array} ZIP bytes
+ */
+export function createFoundryPackage(items, folder) {
+    const encoder = new TextEncoder();
+    const usedNames = new Set();
+    const entries = [];
+    const index = [];
+    for (const item of items) {
+        const fileName = uniqueZipName(item.fileName, usedNames);
+        const path = `${folder}${fileName}`;
+        // The snippet must point at the final (possibly de-duplicated) file name
+        const prototypeToken = {
+            ...item.prototypeToken,
+            texture: { ...item.prototypeToken.texture, src: path },
+            ring: { ...item.prototypeToken.ring, subject: { ...item.prototypeToken.ring.subject, texture: path } }
+        };
+        const jsonName = fileName.replace(/\.[^.]+$/, '') + '.json';
+        entries.push({ name: path, data: item.data });
+        entries.push({
+            name: `${folder}${jsonName}`,
+            data: encoder.encode(JSON.stringify({ name: item.name, prototypeToken }, null, 2))
+        });
+        index.push({ name: item.name, file: path, prototypeToken });
+    }
+    entries.push({
+        name: 'tkn8r-foundry.json',
+        data: encoder.encode(JSON.stringify({ folder, tokens: index }, null, 2))
+    });
+    return createZip(entries);
+}
@@ -0,0 +1,230 @@
+/**
+ * Frame Library Module
+ * Ring artwork uploaded by the user (transparent PNGs with an opening for the
+ * portrait). Frames are kept in IndexedDB - images are too large for
+ * localStorage - and registered with borderStyles.js so they show up as
+ * border textures. Frames can be shared as one JSON file with embedded images.
+ */
+
+import {
+    registerImageFrame, unregisterImageFrame, isImageFrameId, IMAGE_FRAME_PREFIX,
+    DEFAULT_FRAME_INNER_RADIUS, MIN_FRAME_INNER_RADIUS, MAX_FRAME_INNER_RADIUS
+} from './borderStyles.js?v=1.5';
+
+const DB_NAME = 'tkn8r';
+const DB_VERSION = 1;
+const STORE = 'frames';
+
+/**
+ * Version tag written into exported files
+ */
+export const FRAME_FILE_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run one request against the frame store
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest} action
+ * @returns {Promise<*>} The request's result
+ */
+async function withStore(mode, action) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = action(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Frame storage aborted'));
+    });
+}
+
+function clampInnerRadius(value) {
+    const n = Number(value);
+    return Number.isFinite(n)
+        ? Math.max(MIN_FRAME_INNER_RADIUS, Math.min(MAX_FRAME_INNER_RADIUS, n))
+        : DEFAULT_FRAME_INNER_RADIUS;
+}
+
+function newFrameId() {
+    return IMAGE_FRAME_PREFIX + Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+}
+
+/**
+ * Name for a frame uploaded from a file ("Gilded Ring" from gilded-ring.png)
+ */
+function nameFromFile(fileName) {
+    const base = String(fileName || '').replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+    return (base || 'Frame').substring(0, 40);
+}
+
+/**
+ * Decode a frame record's image and register it as a border texture
+ * @param {Object} frame - { id, name, blob, innerRadius, tint }
+ * @returns {Promise<Object>} The frame with its decoded `image`
+ */
+async function activateFrame(frame) {
+    const image = await createImageBitmap(frame.blob);
+    registerImageFrame(frame.id, { name: frame.name, image, innerRadius: frame.innerRadius, tint: frame.tint });
+    return { ...frame, image };
+}
+
+/**
+ * Load every stored frame and register it, sorted by name. Frames whose image
+ * no longer decodes are skipped.
+ * @returns {Promise<Array<Object>>} [{ id, name, blob, innerRadius, tint, image }]
+ */
+export async function loadFrames() {
+    const records = await withStore('readonly', store => store.getAll());
+    const frames = [];
+    for (const record of records || []) {
+        try {
+            frames.push(await activateFrame(record));
+        } catch (error) {
+            console.warn(`Skipping frame "${record.name}":`, error);
+        }
+    }
+    return frames.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Store a frame record (without its decoded image)
+ */
+function putFrame({ id, name, blob, innerRadius, tint }) {
+    return withStore('readwrite', store => store.put({ id, name, blob, innerRadius, tint }));
+}
+
+/**
+ * Add an uploaded image as a new frame
+ * @param {File|Blob} file - PNG (or any image) with a transparent opening
+ * @param {Object} [settings] - { name, innerRadius, tint }
+ * @returns {Promise<Object>} The stored, registered frame
+ */
+export async function addFrame(file, { name, innerRadius = DEFAULT_FRAME_INNER_RADIUS, tint = false } = {}) {
+    const frame = await activateFrame({
+        id: newFrameId(),
+        name: (name || nameFromFile(file.name)).trim().substring(0, 40),
+        blob: file,
+        innerRadius: clampInnerRadius(innerRadius),
+        tint: Boolean(tint)
+    });
+    await putFrame(frame);
+    return frame;
+}
+
+/**
+ * Change a frame's name, inner radius or tint (re-registers it)
+ * @param {Object} frame - A frame from loadFrames/addFrame
+ * @param {Object} changes - Any of { name, innerRadius, tint }
+ * @returns {Promise<Object>} The updated frame
+ */
+export async function updateFrame(frame, changes) {
+    const updated = {
+        ...frame,
+        name: typeof changes.name === 'string' && changes.name.trim() ? changes.name.trim().substring(0, 40) : frame.name,
+        innerRadius: changes.innerRadius !== undefined ? clampInnerRadius(changes.innerRadius) : frame.innerRadius,
+        tint: changes.tint !== undefined ? Boolean(changes.tint) : frame.tint
+    };
+    registerImageFrame(updated.id, updated);
+    await putFrame(updated);
+    return updated;
+}
+
+/**
+ * Delete a frame and unregister its texture
+ * @param {string} id
+ */
+export async function deleteFrame(id) {
+    unregisterImageFrame(id);
+    await withStore('readwrite', store => store.delete(id));
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Serialise frames (images embedded as data URLs) for sharing
+ * @param {Array<Object>} frames
+ * @returns {Promise<string>} JSON text
+ */
+export async function exportFramesJson(frames) {
+    const list = [];
+    for (const frame of frames) {
+        list.push({
+            id: frame.id,
+            name: frame.name,
+            innerRadius: frame.innerRadius,
+            tint: frame.tint,
+            image: await blobToDataUrl(frame.blob)
+        });
+    }
+    return JSON.stringify({ version: FRAME_FILE_VERSION, frames: list }, null, 2);
+}
+
+/**
+ * Store and register frames from a shared JSON file. Frames keep their ids,
+ * so border presets that use them work on the importing machine; an imported
+ * frame replaces a stored one with the same id.
+ * @param {string} text - File contents
+ * @returns {Promise<Array<Object>>} The imported frames
+ */
+export async function importFramesJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (_err) {
+        throw new Error('Frame file is not valid JSON');
+    }
+    const list = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.frames) ? parsed.frames : [parsed]);
+    const imported = [];
+    for (const raw of list) {
+        if (!raw || typeof raw.image !== 'string' || !raw.image.startsWith('data:image/')) continue;
+        try {
+            const blob = await (await fetch(raw.image)).blob();
+            const frame = await activateFrame({
+                id: isImageFrameId(raw.id) ? raw.id : newFrameId(),
+                name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().substring(0, 40) : 'Frame',
+                blob,
+                innerRadius: clampInnerRadius(raw.innerRadius),
+                tint: Boolean(raw.tint)
+            });
+            await putFrame(frame);
+            imported.push(frame);
+        } catch (error) {
+            console.warn('Skipping unreadable frame in import:', error);
+        }
+    }
+    if (imported.length === 0) {
+        throw new Error('No valid frames found in file');
+    }
+    return imported;
+}
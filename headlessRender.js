@@ -0,0 +1,381 @@
+/**
+ * Headless Render Module
+ * Renders tokens outside the browser (render API, CLI) with exactly the same
+ * crop and border code the web app uses. The caller injects a canvas
+ * implementation such as @napi-rs/canvas or node-canvas (anything with
+ * createCanvas/loadImage, plus encodePng when its canvases can't encode PNG
+ * themselves), so this module has no Node-only imports of its own.
+ */
+
+import { setCanvasFactory } from './canvasFactory.js';
+import { createToken, clampTokenSize, MIN_TOKEN_SIZE, MAX_TOKEN_SIZE } from './tokenGenerator.js?v=1.5';
+import { extractColorScheme } from './colorUtils.js';
+import {
+    BORDER_TEXTURES, MAX_BORDER_WIDTH, MAX_BORDER_BANDS, MAX_BAND_WIDTH, getBorderTextures, hasBorderTexture, getTextureDefinition,
+    resolveTextureParams, isImageFrameId
+} from './borderStyles.js?v=1.5';
+import { TOKEN_SHAPES } from './tokenShapes.js';
+import { BACKGROUND_FILLS } from './backgroundFills.js';
+import { getFallbackFaceData, eyeLevelRotation } from './faceDetection.js';
+import { normalizeOverlays } from './tokenOverlays.js';
+import { IMAGE_ADJUSTMENTS, normalizeAdjustments } from './imageAdjustments.js';
+import { PORTRAIT_FILTERS, getPortraitFilters, hasPortraitFilter } from './portraitFilters.js';
+import { getSubjectMask, DEFAULT_POP_OUT_EXTENT, MAX_POP_OUT_EXTENT } from './subjectMask.js';
+import { normalizeSeed, DEFAULT_SEED, MAX_SEED } from './noise.js';
+
+/**
+ * Error code for bad caller input (the API maps it to HTTP 400)
+ */
+export const INVALID_RENDER_OPTION = 'INVALID_RENDER_OPTION';
+
+/**
+ * Build an error for a bad option value
+ * @param {string} message
+ * @returns {Error}
+ */
+function invalidOption(message) {
+    const error = new Error(message);
+    error.code = INVALID_RENDER_OPTION;
+    return error;
+}
+
+/**
+ * Parse a finite number option (strings allowed, e.g. from form fields)
+ */
+function parseNumber(value, name, fallback, min = -Infinity, max = Infinity) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) {
+        throw invalidOption(`${name} must be a number between ${min} and ${max}`);
+    }
+    return n;
+}
+
+/**
+ * Parse a noise seed (a whole number, 0-4294967295)
+ */
+function parseSeed(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_SEED;
+    const seed = normalizeSeed(value);
+    if (seed === null) {
+        throw invalidOption(`seed must be a whole number between 0 and ${MAX_SEED}`);
+    }
+    return seed;
+}
+
+/**
+ * Parse a boolean option (true/false, 1/0, yes/no, on/off - form fields send strings)
+ */
+function parseBoolean(value, name) {
+    if (value === undefined || value === null || value === '') return false;
+    if (typeof value === 'boolean') return value;
+    const str = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(str)) return true;
+    if (['false', '0', 'no', 'off'].includes(str)) return false;
+    throw invalidOption(`${name} must be true or false`);
+}
+
+/**
+ * Parse a color option: '#rgb', '#rrggbb', 'r,g,b' or {r, g, b}
+ * @returns {{r: number, g: number, b: number}|null} null = auto (from the art)
+ */
+export function parseColor(value) {
+    if (value === undefined || value === null || value === '' || value === 'auto') return null;
+    if (typeof value === 'object') {
+        const { r, g, b } = value;
+        if ([r, g, b].every(c => Number.isFinite(c) && c >= 0 && c <= 255)) return { r, g, b };
+        throw invalidOption('color object needs r, g, b between 0 and 255');
+    }
+    const str = String(value).trim();
+    let m = /^#?([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(str);
+    if (m) return { r: parseInt(m[1] + m[1], 16), g: parseInt(m[2] + m[2], 16), b: parseInt(m[3] + m[3], 16) };
+    m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(str);
+    if (m) return { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) };
+    m = /^(\d{1,3}),\s*(\d{1,3}),\s*(\d{1,3})$/.exec(str);
+    if (m && [m[1], m[2], m[3]].every(c => Number(c) <= 255)) return { r: Number(m[1]), g: Number(m[2]), b: Number(m[3]) };
+    throw invalidOption(`Unrecognised color "${str}" (use #rrggbb, #rgb or r,g,b)`);
+}
+
+/**
+ * Normalise caller-supplied face data. Only the box is required; eye and
+ * nose points (if given) enable the same smart crop as browser detection.
+ * @param {Object|string} face - Face object or its JSON
+ * @returns {Object} Face data for createToken
+ */
+export function parseFace(face) {
+    let data = face;
+    if (typeof face === 'string') {
+        try {
+            data = JSON.parse(face);
+        } catch {
+            throw invalidOption('face must be valid JSON');
+        }
+    }
+    const box = ['x', 'y', 'width', 'height'].map(k => Number(data?.[k]));
+    if (!box.every(Number.isFinite) || box[2] <= 0 || box[3] <= 0) {
+        throw invalidOption('face needs numeric x, y, width and height');
+    }
+    const point = (p) => (p && Number.isFinite(Number(p.x)) && Number.isFinite(Number(p.y)))
+        ? { x: Number(p.x), y: Number(p.y) }
+        : null;
+    const result = { x: box[0], y: box[1], width: box[2], height: box[3] };
+    const leftEye = point(data.leftEye);
+    const rightEye = point(data.rightEye);
+    const noseTip = point(data.noseTip);
+    if (leftEye && rightEye) {
+        result.leftEye = leftEye;
+        result.rightEye = rightEye;
+        result.eyeDistance = Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y);
+    }
+    if (noseTip) result.noseTip = noseTip;
+    return result;
+}
+
+/**
+ * Parse overlay layers (banner, pips, faction arc); unknown fields fall back to defaults
+ * @param {Object|string} overlays - Overlay object or its JSON
+ * @returns {Object} Normalised overlay settings
+ */
+export function parseOverlays(overlays) {
+    let data = overlays;
+    if (typeof overlays === 'string') {
+        try {
+            data = JSON.parse(overlays);
+        } catch {
+            throw invalidOption('overlays must be valid JSON');
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw invalidOption('overlays must be an object with banner, pips and/or factionArc');
+    }
+    return normalizeOverlays(data);
+}
+
+/**
+ * Parse a texture's tunable parameters (see registerBorderTexture)
+ * @param {Object|string} params - { [paramId]: number } or its JSON
+ * @param {string} texture - Texture id the parameters belong to
+ * @returns {Object} Every declared parameter (defaults for the ones not given)
+ */
+export function parseTextureParams(params, texture) {
+    let data = params;
+    if (typeof params === 'string') {
+        try {
+            data = JSON.parse(params);
+        } catch {
+            throw invalidOption('textureParams must be valid JSON');
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw invalidOption('textureParams must be an object of parameter values');
+    }
+    const declared = getTextureDefinition(texture).params;
+    const values = {};
+    for (const [key, value] of Object.entries(data)) {
+        const param = declared.find(p => p.id === key);
+        if (!param) {
+            const known = declared.map(p => p.id).join(', ') || 'none';
+            throw invalidOption(`Texture "${texture}" has no parameter "${key}" (parameters: ${known})`);
+        }
+        values[key] = parseNumber(value, `textureParams.${key}`, param.default, param.min, param.max);
+    }
+    return resolveTextureParams(texture, values);
+}
+
+/**
+ * Parse portrait adjustments (see IMAGE_ADJUSTMENTS)
+ * @param {Object|string} adjustments - { [adjustmentId]: number } or its JSON
+ * @returns {Object} Every adjustment (defaults for the ones not given)
+ */
+export function parseAdjustments(adjustments) {
+    let data = adjustments;
+    if (typeof adjustments === 'string') {
+        try {
+            data = JSON.parse(adjustments);
+        } catch {
+            throw invalidOption('adjustments must be valid JSON');
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw invalidOption('adjustments must be an object of adjustment values');
+    }
+    const values = {};
+    for (const [key, value] of Object.entries(data)) {
+        const adjustment = IMAGE_ADJUSTMENTS.find(a => a.id === key);
+        if (!adjustment) {
+            throw invalidOption(`Unknown adjustment "${key}" (one of: ${IMAGE_ADJUSTMENTS.map(a => a.id).join(', ')})`);
+        }
+        values[key] = parseNumber(value, `adjustments.${key}`, adjustment.default, adjustment.min, adjustment.max);
+    }
+    return normalizeAdjustments(values);
+}
+
+/**
+ * Parse the bands stacked inside the main border band, listed outside in
+ * @param {Array<Object>|string} bands - [{ texture, width, color, textureParams }] or its JSON
+ * @returns {Array<Object>} Bands for borderOptions.bands
+ */
+export function parseBands(bands) {
+    let data = bands;
+    if (typeof bands === 'string') {
+        try {
+            data = JSON.parse(bands);
+        } catch {
+            throw invalidOption('bands must be valid JSON');
+        }
+    }
+    if (!Array.isArray(data)) {
+        throw invalidOption('bands must be an array of { texture, width, color, textureParams }');
+    }
+    if (data.length > MAX_BORDER_BANDS) {
+        throw invalidOption(`At most ${MAX_BORDER_BANDS} bands can be stacked`);
+    }
+    return data.map((band, i) => {
+        if (!band || typeof band !== 'object') {
+            throw invalidOption(`bands[${i}] must be an object`);
+        }
+        const texture = band.texture || BORDER_TEXTURES.SOLID;
+        if (!hasBorderTexture(texture) || isImageFrameId(texture)) {
+            throw invalidOption(`Unknown band texture "${texture}" (one of: ${getBorderTextures().map(t => t.id).join(', ')})`);
+        }
+        if (band.width === undefined || band.width === null || band.width === '') {
+            throw invalidOption(`bands[${i}].width is required`);
+        }
+        return {
+            texture,
+            textureParams: band.textureParams ? parseTextureParams(band.textureParams, texture) : {},
+            color: parseColor(band.color),
+            width: parseNumber(band.width, `bands[${i}].width`, 0, 1, MAX_BAND_WIDTH)
+        };
+    });
+}
+
+/**
+ * Validate and convert raw render options (JSON body, form fields or CLI flags)
+ * @param {Object} raw - { zoom, offsetX, offsetY, rotation, flipX, autoLevel, texture, textureParams, color, borderWidth, bands, size, shape,
+ *                        background, backgroundColor, adjustments, filter, seed, face, overlays, popOut, popOutExtent }
+ * @returns {Object} Normalised options
+ */
+export function parseRenderOptions(raw = {}) {
+    const texture = raw.texture || BORDER_TEXTURES.GRADIENT;
+    if (!hasBorderTexture(texture)) {
+        throw invalidOption(`Unknown texture "${texture}" (one of: ${getBorderTextures().map(t => t.id).join(', ')})`);
+    }
+    const shape = raw.shape || TOKEN_SHAPES.CIRCLE;
+    if (!Object.values(TOKEN_SHAPES).includes(shape)) {
+        throw invalidOption(`Unknown shape "${shape}" (one of: ${Object.values(TOKEN_SHAPES).join(', ')})`);
+    }
+    const background = raw.background || BACKGROUND_FILLS.NONE;
+    if (!Object.values(BACKGROUND_FILLS).includes(background)) {
+        throw invalidOption(`Unknown background "${background}" (one of: ${Object.values(BACKGROUND_FILLS).join(', ')})`);
+    }
+    const filter = raw.filter || PORTRAIT_FILTERS.NONE;
+    if (!hasPortraitFilter(filter)) {
+        throw invalidOption(`Unknown filter "${filter}" (one of: ${getPortraitFilters().map(f => f.id).join(', ')})`);
+    }
+    return {
+        zoom: parseNumber(raw.zoom, 'zoom', 1.0, 0.1, 5),
+        offsetX: parseNumber(raw.offsetX, 'offsetX', 0),
+        offsetY: parseNumber(raw.offsetY, 'offsetY', 0),
+        rotation: parseNumber(raw.rotation, 'rotation', 0, -360, 360),
+        flipX: parseBoolean(raw.flipX, 'flipX'),
+        autoLevel: parseBoolean(raw.autoLevel, 'autoLevel'),
+        texture,
+        textureParams: raw.textureParams ? parseTextureParams(raw.textureParams, texture) : null,
+        shape,
+        color: parseColor(raw.color),
+        background,
+        backgroundColor: parseColor(raw.backgroundColor),
+        adjustments: raw.adjustments ? parseAdjustments(raw.adjustments) : null,
+        filter,
+        seed: parseSeed(raw.seed),
+        borderWidth: parseNumber(raw.borderWidth, 'borderWidth', 8, 0, MAX_BORDER_WIDTH),
+        bands: raw.bands ? parseBands(raw.bands) : [],
+        size: clampTokenSize(parseNumber(raw.size, 'size', 512, MIN_TOKEN_SIZE, MAX_TOKEN_SIZE)),
+        face: raw.face ? parseFace(raw.face) : null,
+        overlays: raw.overlays ? parseOverlays(raw.overlays) : null,
+        popOut: parseBoolean(raw.popOut, 'popOut'),
+        popOutExtent: parseNumber(raw.popOutExtent, 'popOutExtent', DEFAULT_POP_OUT_EXTENT, 0, MAX_POP_OUT_EXTENT)
+    };
+}
+
+/**
+ * PNG bytes of a rendered canvas: the implementation's own encodePng if it
+ * has one, otherwise the canvas's encode() (@napi-rs/canvas) or
+ * toBuffer() (node-canvas)
+ * @param {Object} canvas
+ * @param {Object} canvasImpl
+ * @returns {Promise<Buffer>}
+ */
+async function encodePng(canvas, canvasImpl) {
+    if (typeof canvasImpl.encodePng === 'function') return canvasImpl.encodePng(canvas);
+    if (typeof canvas.encode === 'function') return canvas.encode('png');
+    if (typeof canvas.toBuffer === 'function') return canvas.toBuffer('image/png');
+    throw new Error('The canvas implementation cannot encode PNG: pass canvasImpl.encodePng(canvas)');
+}
+
+/**
+ * Render one token to PNG bytes
+ * @param {Buffer|string} imageSource - Encoded image bytes or a file path
+ * @param {Object} rawOptions - See parseRenderOptions
+ * @param {{createCanvas: function, loadImage: function, encodePng: function}} canvasImpl - Headless canvas library;
+ *        encodePng(canvas) is optional, see encodePng
+ * @returns {Promise<{png: Buffer, size: number, faceData: Object, colorScheme: Object, seed: number, popOut: boolean}>}
+ *          popOut is false when it was requested but the image has no transparent background
+ */
+export async function renderTokenPng(imageSource, rawOptions, canvasImpl) {
+    const options = parseRenderOptions(rawOptions);
+    setCanvasFactory((width, height) => canvasImpl.createCanvas(width, height));
+
+    let image;
+    try {
+        image = await canvasImpl.loadImage(imageSource);
+    } catch (error) {
+        throw invalidOption(`Could not decode image: ${error.message}`);
+    }
+
+    // No face detector server-side: use the caller's face box, or the same
+    // centered fallback the browser uses when detection fails
+    const faceData = options.face || getFallbackFaceData(image);
+    const colorScheme = extractColorScheme(image, faceData);
+    const borderOptions = {
+        texture: options.texture,
+        textureParams: options.textureParams,
+        customColor: options.color,
+        borderWidth: options.borderWidth,
+        bands: options.bands,
+        shape: options.shape,
+        background: options.background,
+        backgroundColor: options.backgroundColor,
+        adjustments: options.adjustments,
+        filter: options.filter
+    };
+
+    // Server-side the subject can only come from the image's own alpha (no segmentation model)
+    const subjectMask = options.popOut ? await getSubjectMask(image) : null;
+    
+    // Auto-level needs eye points, which only a caller-supplied face can have;
+    // an explicit rotation is added on top
+    const levelRotation = options.autoLevel ? (eyeLevelRotation(faceData, options.flipX) ?? 0) : 0;
+
+    const tokenData = createToken(
+        image, faceData, colorScheme,
+        options.zoom, { x: options.offsetX, y: options.offsetY },
+        borderOptions, {
+            size: options.size,
+            rotation: levelRotation + options.rotation,
+            flipX: options.flipX,
+            overlays: options.overlays,
+            seed: options.seed,
+            popOut: subjectMask ? { mask: subjectMask.mask, extent: options.popOutExtent } : null
+        }
+    );
+    return {
+        png: await encodePng(tokenData.canvas, canvasImpl),
+        size: tokenData.tokenSize,
+        faceData,
+        colorScheme,
+        seed: options.seed,
+        popOut: Boolean(subjectMask)
+    };
+}
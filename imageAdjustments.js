@@ -0,0 +1,225 @@
+/**
+ * Image Adjustments Module
+ * Non-destructive corrections for the portrait. Exposure, contrast,
+ * saturation, hue and sharpening are applied to a copy of the source image,
+ * which is cached so dragging, zooming and border edits reuse it; the inner
+ * vignette is painted over the portrait toward the ring when the token is drawn.
+ */
+
+import { createCanvas } from './canvasFactory.js';
+
+/**
+ * Adjustment sliders. Every default means "unchanged".
+ */
+export const IMAGE_ADJUSTMENTS = [
+    { id: 'exposure', name: 'Exposure', min: -2, max: 2, step: 0.1, default: 0, unit: ' EV' },
+    { id: 'contrast', name: 'Contrast', min: -100, max: 100, step: 1, default: 0, unit: '%' },
+    { id: 'saturation', name: 'Saturation', min: -100, max: 100, step: 1, default: 0, unit: '%' },
+    { id: 'hue', name: 'Hue', min: -180, max: 180, step: 1, default: 0, unit: '°' },
+    { id: 'sharpen', name: 'Sharpen', min: 0, max: 200, step: 5, default: 0, unit: '%' },
+    { id: 'vignette', name: 'Vignette', min: 0, max: 100, step: 1, default: 0, unit: '%' }
+];
+
+// Adjustments baked into the cached copy of the source (the vignette depends on the token, not the image)
+const PIXEL_ADJUSTMENTS = ['exposure', 'contrast', 'saturation', 'hue', 'sharpen'];
+
+// Darkness of a full-strength vignette at the ring
+const MAX_VIGNETTE_ALPHA = 0.85;
+
+/**
+ * Adjustment values that leave the portrait unchanged
+ * @returns {Object} { exposure, contrast, saturation, hue, sharpen, vignette }
+ */
+export function defaultAdjustments() {
+    return Object.fromEntries(IMAGE_ADJUSTMENTS.map(a => [a.id, a.default]));
+}
+
+/**
+ * Complete adjustment values, clamped to each slider's range (missing or
+ * invalid values use the default)
+ * @param {Object} [raw]
+ * @returns {Object}
+ */
+export function normalizeAdjustments(raw) {
+    const values = defaultAdjustments();
+    if (!raw || typeof raw !== 'object') return values;
+    IMAGE_ADJUSTMENTS.forEach(({ id, min, max }) => {
+        const n = Number(raw[id]);
+        if (raw[id] !== null && raw[id] !== '' && Number.isFinite(n)) values[id] = Math.max(min, Math.min(max, n));
+    });
+    return values;
+}
+
+/**
+ * Whether any adjustment differs from its default
+ * @param {Object} [adjustments]
+ * @returns {boolean}
+ */
+export function hasAdjustments(adjustments) {
+    const values = normalizeAdjustments(adjustments);
+    return IMAGE_ADJUSTMENTS.some(a => values[a.id] !== a.default);
+}
+
+const toLinear = v => (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4));
+const fromLinear = v => (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+
+/**
+ * Per-channel lookup table for exposure (in linear light) then contrast
+ * (around mid grey)
+ */
+function toneTable(exposure, contrast) {
+    const gain = Math.pow(2, exposure);
+    const slope = 1 + contrast / 100;
+    const table = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) {
+        const exposed = fromLinear(Math.min(1, toLinear(v / 255) * gain));
+        table[v] = Math.round(((exposed - 0.5) * slope + 0.5) * 255);
+    }
+    return table;
+}
+
+/**
+ * 3x3 color matrix (row-major) for a hue rotation followed by a saturation
+ * change, as in the SVG feColorMatrix hueRotate/saturate filters
+ */
+function colorMatrix(saturation, hue) {
+    const angle = hue * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const hueMatrix = [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+    const s = 1 + saturation / 100;
+    const saturateMatrix = [
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+    ];
+    const m = new Array(9);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            m[row * 3 + col] = saturateMatrix[row * 3] * hueMatrix[col]
+                + saturateMatrix[row * 3 + 1] * hueMatrix[3 + col]
+                + saturateMatrix[row * 3 + 2] * hueMatrix[6 + col];
+        }
+    }
+    return m;
+}
+
+/**
+ * One box blur pass along rows (step 4) or columns (step 4 * width) of an
+ * RGBA buffer, color channels only
+ */
+function boxBlurPass(src, dst, width, height, radius, horizontal) {
+    const lines = horizontal ? height : width;
+    const length = horizontal ? width : height;
+    const step = horizontal ? 4 : 4 * width;
+    const window = radius * 2 + 1;
+    for (let line = 0; line < lines; line++) {
+        const start = horizontal ? line * width * 4 : line * 4;
+        for (let c = 0; c < 3; c++) {
+            // Running sum with the edge pixels repeated past the ends
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += src[start + Math.max(0, Math.min(length - 1, k)) * step + c];
+            }
+            for (let i = 0; i < length; i++) {
+                dst[start + i * step + c] = sum / window;
+                const out = Math.max(0, i - radius);
+                const into = Math.min(length - 1, i + radius + 1);
+                sum += src[start + into * step + c] - src[start + out * step + c];
+            }
+        }
+    }
+}
+
+/**
+ * Box-blurred copy of an RGBA buffer (color channels only; alpha is left at 0)
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius - In pixels
+ * @returns {Float32Array}
+ */
+export function boxBlur(data, width, height, radius) {
+    const temp = new Float32Array(data.length);
+    const blurred = new Float32Array(data.length);
+    boxBlurPass(data, temp, width, height, radius, true);
+    boxBlurPass(temp, blurred, width, height, radius, false);
+    return blurred;
+}
+
+/**
+ * Unsharp mask: add back the difference from a blurred copy. The radius
+ * grows with the image so the effect survives shrinking to token size.
+ */
+function unsharpMask(data, width, height, amount) {
+    const radius = Math.max(1, Math.round(Math.max(width, height) / 1024));
+    const blurred = boxBlur(data, width, height, radius);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] += (data[i] - blurred[i]) * amount;
+        data[i + 1] += (data[i + 1] - blurred[i + 1]) * amount;
+        data[i + 2] += (data[i + 2] - blurred[i + 2]) * amount;
+    }
+}
+
+// Last adjusted copy of each source image: { key, canvas }
+const adjustedImages = new WeakMap();
+
+/**
+ * The source image with the tone, color and sharpening adjustments applied.
+ * The copy is cached per image, so re-rendering with the same values (drag,
+ * zoom, border edits) costs nothing.
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+ * @param {Object} [adjustments] - See IMAGE_ADJUSTMENTS
+ * @returns {HTMLImageElement|HTMLCanvasElement} The image itself when nothing needs changing
+ */
+export function getAdjustedImage(image, adjustments) {
+    const values = normalizeAdjustments(adjustments);
+    if (PIXEL_ADJUSTMENTS.every(id => values[id] === 0)) return image;
+    const key = PIXEL_ADJUSTMENTS.map(id => values[id]).join();
+    const cached = adjustedImages.get(image);
+    if (cached && cached.key === key) return cached.canvas;
+
+    const { width, height } = image;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+
+    const table = toneTable(values.exposure, values.contrast);
+    const m = colorMatrix(values.saturation, values.hue);
+    for (let i = 0; i < data.length; i += 4) {
+        const r = table[data[i]];
+        const g = table[data[i + 1]];
+        const b = table[data[i + 2]];
+        data[i] = m[0] * r + m[1] * g + m[2] * b;
+        data[i + 1] = m[3] * r + m[4] * g + m[5] * b;
+        data[i + 2] = m[6] * r + m[7] * g + m[8] * b;
+    }
+    if (values.sharpen > 0) unsharpMask(data, width, height, values.sharpen / 100);
+
+    ctx.putImageData(imageData, 0, 0);
+    adjustedImages.set(image, { key, canvas });
+    return canvas;
+}
+
+/**
+ * Darken the portrait toward the ring (call inside the portrait clip)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} shape - Portrait outline (the token shape inset by the border)
+ * @param {number} vignette - Strength, 0-100
+ */
+export function drawVignette(ctx, shape, vignette) {
+    if (!(vignette > 0) || !(shape.radius > 0)) return;
+    const gradient = ctx.createRadialGradient(shape.cx, shape.cy, shape.radius * 0.45, shape.cx, shape.cy, shape.radius);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    gradient.addColorStop(1, `rgba(0, 0, 0, ${MAX_VIGNETTE_ALPHA * Math.min(100, vignette) / 100})`);
+    ctx.save();
+    ctx.fillStyle = gradient;
+    ctx.fillRect(shape.cx - shape.radius * 2, shape.cy - shape.radius * 2, shape.radius * 4, shape.radius * 4);
+    ctx.restore();
+}
@@ -0,0 +1,179 @@
+/**
+ * Noise Module
+ * Seeded coherent noise for the procedural textures: 2D simplex noise,
+ * fractal (fBm) sums of it, and Worley/cellular noise. The same seed always
+ * gives the same pattern, so a token's ring can be re-rendered exactly while
+ * every token can still get its own.
+ */
+
+/**
+ * Seeds are unsigned 32-bit integers
+ */
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Seed used when none is given (CLI/API renders stay reproducible)
+ */
+export const DEFAULT_SEED = 1;
+
+/**
+ * Coerce a value to a seed; anything that isn't a whole number in range gives null
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function normalizeSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 0 && n <= MAX_SEED ? n : null;
+}
+
+/**
+ * A fresh random seed (for each new token in the editor)
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Stable seed derived from a string, e.g. a file name (FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+export function seedFromString(text) {
+    let hash = 0x811c9dc5;
+    for (const ch of String(text)) {
+        hash ^= ch.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {function(): number} Uniform values in [0, 1)
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Simplex skew factors for 2D
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+
+// Twelve gradient directions, evenly spread around the circle
+const GRADIENTS = Array.from({ length: 12 }, (_, i) => [Math.cos(i * Math.PI / 6), Math.sin(i * Math.PI / 6)]);
+
+/**
+ * Build the noise functions for one seed. Coordinates are in whatever units
+ * the caller likes; features are roughly one unit across, so scale the input
+ * to set the frequency.
+ * @param {number} [seed=DEFAULT_SEED]
+ * @returns {{simplex: function(number, number): number, fbm: function(number, number, Object=): number,
+ *            worley: function(number, number): {f1: number, f2: number, dx: number, dy: number, id: number}}}
+ */
+export function createNoise(seed = DEFAULT_SEED) {
+    const random = createRandom(seed);
+
+    // Shuffled permutation table, doubled so lookups never need wrapping
+    const perm = new Uint8Array(512);
+    const base = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [base[i], base[j]] = [base[j], base[i]];
+    }
+    for (let i = 0; i < 512; i++) perm[i] = base[i & 255];
+
+    const hash = (i, j) => perm[(i & 255) + perm[j & 255]];
+
+    // One simplex corner's contribution at offset (x, y) from it
+    const corner = (x, y, h) => {
+        const falloff = 0.5 - x * x - y * y;
+        if (falloff <= 0) return 0;
+        const g = GRADIENTS[h % 12];
+        return falloff * falloff * falloff * falloff * (g[0] * x + g[1] * y);
+    };
+
+    /**
+     * 2D simplex noise
+     * @returns {number} Roughly -1 to 1
+     */
+    function simplex(x, y) {
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+        return 70 * (corner(x0, y0, hash(i, j))
+            + corner(x0 - i1 + G2, y0 - j1 + G2, hash(i + i1, j + j1))
+            + corner(x0 - 1 + 2 * G2, y0 - 1 + 2 * G2, hash(i + 1, j + 1)));
+    }
+
+    /**
+     * Fractal sum of simplex octaves
+     * @param {Object} [options]
+     * @param {number} [options.octaves=4]
+     * @param {number} [options.lacunarity=2] - Frequency step between octaves
+     * @param {number} [options.gain=0.5] - Amplitude step between octaves
+     * @returns {number} Roughly -1 to 1
+     */
+    function fbm(x, y, { octaves = 4, lacunarity = 2, gain = 0.5 } = {}) {
+        let sum = 0, amplitude = 1, total = 0, frequency = 1;
+        for (let o = 0; o < octaves; o++) {
+            // Offset each octave so their lattices don't line up
+            sum += simplex(x * frequency + o * 17.31, y * frequency - o * 11.73) * amplitude;
+            total += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+        return sum / total;
+    }
+
+    // One jittered feature point per cell
+    const cellPoint = (i, j) => {
+        const h = hash(i, j);
+        return [i + perm[h] / 255, j + perm[h + 1] / 255, h];
+    };
+
+    /**
+     * Worley (cellular) noise: distances to the nearest and second-nearest
+     * feature points. f1 is small at cell centres and f2 - f1 is small on
+     * cell borders; (dx, dy) is the offset from the nearest point and id
+     * tells the cells apart.
+     * @returns {{f1: number, f2: number, dx: number, dy: number, id: number}} id is 0-255
+     */
+    function worley(x, y) {
+        const ci = Math.floor(x);
+        const cj = Math.floor(y);
+        let f1 = Infinity, f2 = Infinity, dx = 0, dy = 0, id = 0;
+        for (let dj = -1; dj <= 1; dj++) {
+            for (let di = -1; di <= 1; di++) {
+                const [px, py, h] = cellPoint(ci + di, cj + dj);
+                const d = Math.hypot(px - x, py - y);
+                if (d < f1) {
+                    f2 = f1;
+                    f1 = d;
+                    dx = x - px;
+                    dy = y - py;
+                    id = h;
+                } else if (d < f2) {
+                    f2 = d;
+                }
+            }
+        }
+        return { f1, f2, dx, dy, id };
+    }
+
+    return { simplex, fbm, worley };
+}
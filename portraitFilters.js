@@ -0,0 +1,215 @@
+/**
+ * Portrait Filters Module
+ * One-click treatments that set tokens apart on the battle map: grayscale
+ * for the dead or ghostly, sepia, a duotone and a rim tint in the border
+ * color, and a posterized cel look. Filters come from a registry, so the
+ * swatch picker, presets, render API and CLI pick up new ones automatically.
+ */
+
+import { createCanvas } from './canvasFactory.js';
+import { boxBlur } from './imageAdjustments.js';
+
+/**
+ * Built-in filter ids
+ */
+export const PORTRAIT_FILTERS = {
+    NONE: 'none',
+    GRAYSCALE: 'grayscale',
+    SEPIA: 'sepia',
+    DUOTONE: 'duotone',
+    POSTERIZE: 'posterize',
+    RIM_TINT: 'rim-tint'
+};
+
+// Filter ids end up in presets and data attributes, like texture ids
+const FILTER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,59}$/i;
+
+// id -> { name, pixels, draw, usesColors, swatch }, in registration order
+const FILTER_REGISTRY = new Map();
+
+/**
+ * Add a portrait filter (or replace one with the same id)
+ * @param {Object} filter
+ * @param {string} filter.id - Unique id (letters, digits, '-' and '_')
+ * @param {string} [filter.name] - Display name (defaults to the id)
+ * @param {function(Uint8ClampedArray, number, number, Object): void} [filter.pixels] -
+ *        pixels(data, width, height, colors): recolor the RGBA pixels of the source image in place.
+ *        colors is the border's { primary, secondary, accent, border }
+ * @param {boolean} [filter.usesColors] - Whether pixels reads colors (otherwise border color changes reuse the filtered copy)
+ * @param {function(CanvasRenderingContext2D, Object, Object): void} [filter.draw] -
+ *        draw(ctx, shape, colors): paint over the portrait, inside its clip; shape is the portrait outline
+ * @param {string} [filter.swatch] - CSS background for the picker swatch before a portrait is loaded
+ */
+export function registerPortraitFilter({ id, name, pixels = null, draw = null, usesColors = false, swatch = '' }) {
+    if (typeof id !== 'string' || !FILTER_ID_PATTERN.test(id)) throw new Error(`Invalid filter id "${id}"`);
+    if (pixels !== null && typeof pixels !== 'function') throw new Error(`Filter "${id}": pixels must be a function`);
+    if (draw !== null && typeof draw !== 'function') throw new Error(`Filter "${id}": draw must be a function`);
+    FILTER_REGISTRY.set(id, {
+        name: typeof name === 'string' && name.trim() ? name.trim() : id,
+        pixels,
+        draw,
+        usesColors: Boolean(usesColors),
+        swatch: typeof swatch === 'string' ? swatch : ''
+    });
+}
+
+/**
+ * Registered filters ("None" first, then in registration order)
+ * @returns {Array<{id: string, name: string, swatch: string}>}
+ */
+export function getPortraitFilters() {
+    return [...FILTER_REGISTRY].map(([id, { name, swatch }]) => ({ id, name, swatch }));
+}
+
+/**
+ * @param {string} filterType
+ * @returns {boolean} Whether the id is a registered filter
+ */
+export function hasPortraitFilter(filterType) {
+    return FILTER_REGISTRY.has(filterType);
+}
+
+// Last filtered copy of each source image: { key, canvas }
+const filteredImages = new WeakMap();
+
+/**
+ * The source image with a filter's pixel treatment applied, cached per image
+ * like the adjusted copy (imageAdjustments.js)
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Source (or adjusted) image
+ * @param {string} filterType - Filter id; unknown ids leave the image alone
+ * @param {Object} colors - Border colors { primary, secondary, accent, border }
+ * @returns {HTMLImageElement|HTMLCanvasElement} The image itself when the filter has no pixel step
+ */
+export function getFilteredImage(image, filterType, colors) {
+    const filter = FILTER_REGISTRY.get(filterType);
+    if (!filter?.pixels) return image;
+    const key = filter.usesColors ? `${filterType}:${JSON.stringify(colors)}` : filterType;
+    const cached = filteredImages.get(image);
+    if (cached && cached.key === key) return cached.canvas;
+
+    const { width, height } = image;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    filter.pixels(imageData.data, width, height, colors);
+    ctx.putImageData(imageData, 0, 0);
+    filteredImages.set(image, { key, canvas });
+    return canvas;
+}
+
+/**
+ * Paint a filter's overlay over the portrait (call inside the portrait clip)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} filterType
+ * @param {Object} shape - Portrait outline (the token shape inset by the border)
+ * @param {Object} colors - Border colors
+ */
+export function drawFilterOverlay(ctx, filterType, shape, colors) {
+    const filter = FILTER_REGISTRY.get(filterType);
+    if (!filter?.draw) return;
+    ctx.save();
+    filter.draw(ctx, shape, colors);
+    ctx.restore();
+}
+
+const luminance = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+function grayscalePixels(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        const y = luminance(data[i], data[i + 1], data[i + 2]);
+        data[i] = y;
+        data[i + 1] = y;
+        data[i + 2] = y;
+    }
+}
+
+function sepiaPixels(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        data[i] = 0.393 * r + 0.769 * g + 0.189 * b;
+        data[i + 1] = 0.349 * r + 0.686 * g + 0.168 * b;
+        data[i + 2] = 0.272 * r + 0.534 * g + 0.131 * b;
+    }
+}
+
+/**
+ * Duotone in the border's primary color: shadows run from near-black into
+ * the color, highlights from the color toward white
+ */
+function duotonePixels(data, width, height, colors) {
+    const { r, g, b } = colors.primary;
+    const dark = { r: r * 0.12, g: g * 0.12, b: b * 0.12 };
+    const light = { r: r + (255 - r) * 0.85, g: g + (255 - g) * 0.85, b: b + (255 - b) * 0.85 };
+    // Lookup table per luminance level
+    const table = new Uint8ClampedArray(256 * 3);
+    for (let v = 0; v < 256; v++) {
+        const t = v / 255;
+        const [from, to, s] = t < 0.5 ? [dark, colors.primary, t * 2] : [colors.primary, light, t * 2 - 1];
+        table[v * 3] = from.r + (to.r - from.r) * s;
+        table[v * 3 + 1] = from.g + (to.g - from.g) * s;
+        table[v * 3 + 2] = from.b + (to.b - from.b) * s;
+    }
+    for (let i = 0; i < data.length; i += 4) {
+        const v = Math.round(luminance(data[i], data[i + 1], data[i + 2])) * 3;
+        data[i] = table[v];
+        data[i + 1] = table[v + 1];
+        data[i + 2] = table[v + 2];
+    }
+}
+
+// Color levels per channel and ink threshold (luminance step across one line width) for the cel look
+const POSTERIZE_LEVELS = 5;
+const INK_THRESHOLD = 48;
+
+/**
+ * Cel shading: flatten a smoothed copy to a few levels per channel and ink
+ * the strong edges. Smoothing and line width grow with the image so the
+ * look survives shrinking to token size.
+ */
+function posterizePixels(data, width, height) {
+    const radius = Math.max(1, Math.round(Math.max(width, height) / 512));
+    const smooth = boxBlur(data, width, height, radius);
+    const step = 255 / (POSTERIZE_LEVELS - 1);
+    const lum = new Float32Array(width * height);
+    for (let p = 0, i = 0; p < lum.length; p++, i += 4) {
+        lum[p] = luminance(smooth[i], smooth[i + 1], smooth[i + 2]);
+    }
+    for (let y = 0; y < height; y++) {
+        const up = Math.max(0, y - radius) * width;
+        const down = Math.min(height - 1, y + radius) * width;
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const i = p * 4;
+            const dx = lum[y * width + Math.min(width - 1, x + radius)] - lum[y * width + Math.max(0, x - radius)];
+            const dy = lum[down + x] - lum[up + x];
+            const ink = Math.hypot(dx, dy) > INK_THRESHOLD ? 0.25 : 1;
+            data[i] = Math.round(smooth[i] / step) * step * ink;
+            data[i + 1] = Math.round(smooth[i + 1] / step) * step * ink;
+            data[i + 2] = Math.round(smooth[i + 2] / step) * step * ink;
+        }
+    }
+}
+
+/**
+ * A glow of the border's primary color from the ring inwards
+ */
+function drawRimTint(ctx, shape, colors) {
+    if (!(shape.radius > 0)) return;
+    const { r, g, b } = colors.primary;
+    const gradient = ctx.createRadialGradient(shape.cx, shape.cy, shape.radius * 0.55, shape.cx, shape.cy, shape.radius);
+    gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0)`);
+    gradient.addColorStop(0.6, `rgba(${r}, ${g}, ${b}, 0.25)`);
+    gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0.8)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(shape.cx - shape.radius * 2, shape.cy - shape.radius * 2, shape.radius * 4, shape.radius * 4);
+}
+
+[
+    { id: PORTRAIT_FILTERS.NONE, name: 'None' },
+    { id: PORTRAIT_FILTERS.GRAYSCALE, name: 'Grayscale', pixels: grayscalePixels, swatch: 'linear-gradient(135deg, #eee, #333)' },
+    { id: PORTRAIT_FILTERS.SEPIA, name: 'Sepia', pixels: sepiaPixels, swatch: 'linear-gradient(135deg, #f1dfb8, #5b4226)' },
+    { id: PORTRAIT_FILTERS.DUOTONE, name: 'Duotone', pixels: duotonePixels, usesColors: true, swatch: 'linear-gradient(135deg, #f4e2b0, #c0a040, #1a1408)' },
+    { id: PORTRAIT_FILTERS.POSTERIZE, name: 'Cel shade', pixels: posterizePixels, swatch: 'linear-gradient(135deg, #e0a040 50%, #804020 50%)' },
+    { id: PORTRAIT_FILTERS.RIM_TINT, name: 'Rim tint', draw: drawRimTint, swatch: 'radial-gradient(circle, #555 45%, #c0a040)' }
+].forEach(registerPortraitFilter);
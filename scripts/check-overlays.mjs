@@ -0,0 +1,76 @@
+/**
+ * Render check for the portrait overlays (vignette and rim-tint filter) on
+ * rotated and mirrored crops: both must stay centred on the portrait, i.e.
+ * look the same as on an untransformed token.
+ *
+ *   node scripts/check-overlays.mjs
+ *
+ * Renders a flat grey image, so any difference between the samples comes
+ * from the overlay. Exits with 1 if one is off.
+ */
+
+import { createCanvas } from '@napi-rs/canvas';
+import { setCanvasFactory } from '../canvasFactory.js';
+import { createToken } from '../tokenGenerator.js';
+
+setCanvasFactory((width, height) => createCanvas(width, height));
+
+const SIZE = 512;
+const BORDER_WIDTH = 8;
+// Largest allowed difference (0-255 levels) between matching samples
+const TOLERANCE = 3;
+
+const CASES = [
+  { name: 'vignette', borderOptions: { adjustments: { vignette: 100 } } },
+  { name: 'rim tint', borderOptions: { filter: 'rim-tint', customColor: { r: 200, g: 40, b: 40 } } }
+];
+const TRANSFORMS = [
+  { rotation: 45, flipX: false },
+  { rotation: 90, flipX: true },
+  { rotation: -30, flipX: true }
+];
+
+// Flat grey, large enough that the crop stays inside it
+const image = createCanvas(2000, 2000);
+const ictx = image.getContext('2d');
+ictx.fillStyle = '#808080';
+ictx.fillRect(0, 0, image.width, image.height);
+const face = { x: 900, y: 900, width: 200, height: 200 };
+const colors = {
+  primary: { r: 180, g: 140, b: 60 },
+  secondary: { r: 120, g: 90, b: 40 },
+  accent: { r: 230, g: 200, b: 120 },
+  border: { r: 140, g: 100, b: 30 }
+};
+
+// Centre plus four points near the ring, clockwise from the top
+function samples(borderOptions, transform) {
+  const { canvas } = createToken(image, face, colors, 1, { x: 0, y: 0 },
+    { borderWidth: BORDER_WIDTH, ...borderOptions }, { size: SIZE, ...transform });
+  const ctx = canvas.getContext('2d');
+  const c = SIZE / 2;
+  const r = (SIZE / 2 - BORDER_WIDTH) * 0.9;
+  return [[c, c], [c, c - r], [c + r, c], [c, c + r], [c - r, c]].map(([x, y]) => {
+    const [red, green, blue] = ctx.getImageData(Math.round(x), Math.round(y), 1, 1).data;
+    return [red, green, blue];
+  });
+}
+
+const differs = (a, b) => a.some((v, i) => Math.abs(v - b[i]) > TOLERANCE);
+
+let failures = 0;
+for (const { name, borderOptions } of CASES) {
+  const expected = samples(borderOptions, { rotation: 0, flipX: false });
+  for (const transform of TRANSFORMS) {
+    const label = `${name}, rotation ${transform.rotation}${transform.flipX ? ', mirrored' : ''}`;
+    const actual = samples(borderOptions, transform);
+    const bad = actual.findIndex((sample, i) => differs(sample, expected[i]));
+    if (bad >= 0) {
+      failures++;
+      console.error(`FAIL ${label}: sample ${bad} is ${actual[bad].join(',')}, expected ${expected[bad].join(',')}`);
+    } else {
+      console.log(`ok   ${label}`);
+    }
+  }
+}
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,52 @@
+/**
+ * Copy face-api.js and the two model weight sets the app uses out of
+ * node_modules, so the web app (and the Docker image) can run fully offline.
+ *
+ *   vendor/face-api/face-api.js   <- @vladmandic/face-api/dist/face-api.js
+ *   models/                       <- tinyFaceDetector + faceLandmark68Net weights
+ *
+ * Runs automatically after `npm install` (postinstall) and in the Docker build.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const require = createRequire(import.meta.url);
+
+// Only the models faceDetection.js loads - the package ships several more
+const MODEL_FILES = [
+  'tiny_face_detector_model-weights_manifest.json',
+  'tiny_face_detector_model.bin',
+  'face_landmark_68_model-weights_manifest.json',
+  'face_landmark_68_model.bin'
+];
+
+async function main() {
+  let packageDir;
+  try {
+    packageDir = path.dirname(require.resolve('@vladmandic/face-api/package.json'));
+  } catch {
+    console.warn('[TKN8R] @vladmandic/face-api is not installed; skipping offline model copy (the app will fall back to the CDN).');
+    return;
+  }
+
+  const vendorDir = path.join(ROOT, 'vendor', 'face-api');
+  const modelDir = path.join(ROOT, 'models');
+  await fs.mkdir(vendorDir, { recursive: true });
+  await fs.mkdir(modelDir, { recursive: true });
+
+  await fs.copyFile(path.join(packageDir, 'dist', 'face-api.js'), path.join(vendorDir, 'face-api.js'));
+  for (const file of MODEL_FILES) {
+    await fs.copyFile(path.join(packageDir, 'model', file), path.join(modelDir, file));
+  }
+
+  console.log(`[TKN8R] Copied face-api.js and ${MODEL_FILES.length} model files for offline use.`);
+}
+
+main().catch((error) => {
+  console.error('[TKN8R] Failed to copy face-api assets:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+/**
+ * Subject Mask Module
+ * Foreground masks for the "pop-out" token style, where the character's head
+ * or weapon breaks out over the top of the frame. A mask is any image or
+ * canvas covering the source image whose alpha marks the subject: a
+ * transparent PNG is its own mask, otherwise an optional local segmentation
+ * model (plugged in via setSubjectSegmenter or config.js) can provide one.
+ */
+
+import { createCanvas } from './canvasFactory.js';
+
+/**
+ * How far (512px reference units) the subject may rise above the frame
+ */
+export const DEFAULT_POP_OUT_EXTENT = 48;
+export const MAX_POP_OUT_EXTENT = 160;
+
+/**
+ * Where a mask came from
+ */
+export const MASK_SOURCES = {
+    ALPHA: 'alpha',
+    SEGMENTER: 'segmenter'
+};
+
+const ALPHA_SAMPLE_SIZE = 64;
+
+let segmenter = null;
+
+/**
+ * Whether the image has a cut-out background: enough fully transparent
+ * pixels around a solid subject (sampled at low resolution)
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @returns {boolean}
+ */
+export function hasTransparentBackground(image) {
+    if (!image || !image.width || !image.height) return false;
+    const scale = Math.min(1, ALPHA_SAMPLE_SIZE / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    let transparent = 0;
+    let opaque = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 16) transparent++;
+        else if (data[i] > 240) opaque++;
+    }
+    const total = width * height;
+    return transparent / total >= 0.02 && opaque / total >= 0.05;
+}
+
+/**
+ * Plug in a segmentation model. The function receives the source image and
+ * resolves to a mask: a canvas/image/ImageBitmap whose alpha is the subject,
+ * an ImageData, or { width, height, data } with one 0-1 (or 0-255) value per
+ * pixel. Masks may be smaller than the image; they are stretched over it.
+ * @param {function(HTMLImageElement): Promise<*>|null} fn - null removes the segmenter
+ */
+export function setSubjectSegmenter(fn) {
+    segmenter = typeof fn === 'function' ? fn : null;
+}
+
+/**
+ * @returns {boolean} Whether a segmentation model is plugged in
+ */
+export function hasSubjectSegmenter() {
+    return segmenter !== null;
+}
+
+/**
+ * Load a segmenter from an ES module exporting `segment(image)` (or a default
+ * function), e.g. a wrapper around a locally served ONNX/MediaPipe model
+ * @param {string} url - Module URL
+ * @returns {Promise<boolean>} Whether a segmenter was installed
+ */
+export async function loadSubjectSegmenter(url) {
+    if (!url) return false;
+    try {
+        const module = await import(url);
+        setSubjectSegmenter(module.segment || module.default);
+        return hasSubjectSegmenter();
+    } catch (error) {
+        console.warn('Could not load subject segmenter from', url, error);
+        return false;
+    }
+}
+
+/**
+ * Turn a segmenter result into something drawImage can use as an alpha mask
+ * @param {*} result
+ * @returns {HTMLCanvasElement|HTMLImageElement|ImageBitmap|null}
+ */
+function toMaskImage(result) {
+    if (!result) return null;
+    if (typeof result.getContext === 'function' || (result.width && result.height && !result.data)) {
+        return result; // canvas, image or bitmap
+    }
+    const { width, height, data } = result;
+    if (!width || !height || !data || data.length < width * height) return null;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    if (data.length === width * height * 4) {
+        imageData.data.set(data); // ImageData-like RGBA
+    } else {
+        // One value per pixel: 0-1 probabilities or 0-255 levels
+        const unit = Array.prototype.some.call(data, v => v > 1) ? 1 : 255;
+        for (let i = 0; i < width * height; i++) {
+            imageData.data[i * 4 + 3] = Math.max(0, Math.min(255, Math.round(data[i] * unit)));
+        }
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Best available subject mask: the image's own alpha, else the segmenter
+ * @param {HTMLImageElement} image
+ * @returns {Promise<{mask: Object, source: string}|null>} null if no mask can be made
+ */
+export async function getSubjectMask(image) {
+    if (hasTransparentBackground(image)) {
+        return { mask: image, source: MASK_SOURCES.ALPHA };
+    }
+    if (!segmenter) return null;
+    try {
+        const mask = toMaskImage(await segmenter(image));
+        return mask ? { mask, source: MASK_SOURCES.SEGMENTER } : null;
+    } catch (error) {
+        console.warn('Subject segmentation failed:', error);
+        return null;
+    }
+}
@@ -4,7 +4,24 @@
  */
 
 import { generateBorder, colorToCSS } from './colorUtils.js';
-import { getTextureDefinition, BORDER_TEXTURES } from './borderStyles.js?v=1.5';
+import {
+    getTextureDefinition, resolveTextureParams, normalizeBorderBands, BORDER_TEXTURES, REFERENCE_TOKEN_SIZE
+} from './borderStyles.js?v=1.5';
+import { createShape, TOKEN_SHAPES } from './tokenShapes.js';
+import { createCanvas } from './canvasFactory.js';
+import { drawOverlays } from './tokenOverlays.js';
+import { MAX_POP_OUT_EXTENT } from './subjectMask.js';
+import { drawBackgroundFill, BACKGROUND_FILLS } from './backgroundFills.js';
+import { normalizeSeed, DEFAULT_SEED } from './noise.js';
+import { getAdjustedImage, drawVignette, normalizeAdjustments } from './imageAdjustments.js';
+import { getFilteredImage, drawFilterOverlay, PORTRAIT_FILTERS } from './portraitFilters.js';
+
+/**
+ * Selectable output sizes (px); any other size can be entered as a custom value
+ */
+export const TOKEN_SIZE_PRESETS = [256, 400, 512, 1024, 2048];
+export const MIN_TOKEN_SIZE = 64;
+export const MAX_TOKEN_SIZE = 4096;
 
 /**
  * Create a token from an image with face detection and color-based border
@@ -13,45 +30,90 @@ import { getTextureDefinition, BORDER_TEXTURES } from './borderStyles.js?v=1.5';
  * @param {Object} colorScheme - Color scheme object
  * @param {number} zoomAdjustment - Zoom adjustment factor (1.0 = default, >1.0 = zoom in, <1.0 = zoom out)
  * @param {Object} cropOffset - Manual crop offset {x: number, y: number} for dragging
- * @param {Object} borderOptions - Border customization options {texture: string, customColor: {r, g, b}}
+ * @param {Object} borderOptions - Border customization options {texture: string, textureParams: Object, customColor: {r, g, b},
+ *                                 customScheme: Object, borderWidth: number, bands: Array, shape: string, background: string, backgroundColor: {r, g, b}}
+ *                                 (customScheme {primary, secondary, accent, border} colors every role and wins over customColor,
+ *                                 which uses one color for all of them; textureParams are the texture's tunable values, see registerBorderTexture; borderWidth is in 512px reference units and scales
+ *                                 with the output size and is ignored by image frames, whose inner radius sets the opening;
+ *                                 bands [{texture, textureParams, color, width}] are stacked inside the main band, outside in;
+ *                                 background is a BACKGROUND_FILLS type painted behind the portrait;
+ *                                 adjustments {exposure, contrast, saturation, hue, sharpen, vignette} correct the portrait, see imageAdjustments.js;
+ *                                 filter is a registered portrait filter id, see portraitFilters.js)
+ * @param {Object} renderOptions - Output options {size: number, rotation: number, flipX: boolean, overlays: Object, seed: number}
+ *                                 (size defaults to 512px; rotation is in degrees clockwise around the crop centre;
+ *                                 flipX mirrors the portrait horizontally; overlays are the banner/pips/faction arc
+ *                                 layers from tokenOverlays.js; popOut {mask, extent} lets the masked subject break out
+ *                                 over the top of the frame, which shrinks to leave `extent` reference px of headroom;
+ *                                 seed picks this token's variant of the procedural border and background textures)
  * @returns {Object} Token data with canvas
  */
-export function createToken(image, faceData, colorScheme, zoomAdjustment = 1.0, cropOffset = {x: 0, y: 0}, borderOptions = null) {
-    const tokenSize = 512; // Standard token size
-    const borderWidth = borderOptions?.borderWidth || 8; // Default to 8 (thin), can be 16 (thick)
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+export function createToken(image, faceData, colorScheme, zoomAdjustment = 1.0, cropOffset = {x: 0, y: 0}, borderOptions = null, renderOptions = {}) {
+    const tokenSize = clampTokenSize(renderOptions?.size || REFERENCE_TOKEN_SIZE);
     
-    canvas.width = tokenSize;
-    canvas.height = tokenSize;
+    // Pop-out: the frame shrinks (centred, at the bottom) to leave headroom for the subject above it
+    const popOut = renderOptions?.popOut?.mask ? renderOptions.popOut : null;
+    const extent = popOut ? Math.max(0, Math.min(MAX_POP_OUT_EXTENT, Number(popOut.extent) || 0)) : 0;
+    const headroom = Math.round(extent * tokenSize / REFERENCE_TOKEN_SIZE);
+    const frameSize = tokenSize - headroom;
+    const frameX = headroom / 2;
+    const frameY = headroom;
     
-    // Calculate crop area centered on face with zoom adjustment and offset
-    const cropData = calculateCropArea(image, faceData, tokenSize - (borderWidth * 2), zoomAdjustment, cropOffset);
-    
-    // Prepare border colors (use custom color if provided, otherwise use colorScheme)
-    const borderColors = borderOptions?.customColor 
-        ? {
-            primary: borderOptions.customColor,
-            secondary: borderOptions.customColor,
-            accent: borderOptions.customColor,
-            border: borderOptions.customColor
-        }
-        : colorScheme;
+    const sizeScale = frameSize / REFERENCE_TOKEN_SIZE;
     
-    // Draw border background (circular) with texture
+    // Token outline shared by the border texture and the portrait clip
+    const shape = createShape(borderOptions?.shape || TOKEN_SHAPES.CIRCLE, frameSize);
     const textureType = borderOptions?.texture || BORDER_TEXTURES.GRADIENT;
-    drawCircularBorder(ctx, tokenSize, borderWidth, borderColors, textureType);
+    const textureDef = getTextureDefinition(textureType);
+    const seed = normalizeSeed(renderOptions?.seed) ?? DEFAULT_SEED;
+    
+    // Image frames bring their own ring width: the portrait fills the painted opening
+    const mainWidth = textureDef.innerRadius
+        ? Math.max(0, shape.radius - textureDef.innerRadius * frameSize / 2)
+        : (borderOptions?.borderWidth ?? 8) * sizeScale; // 512px reference units, 0 = borderless
+    // Extra bands (pinstripes, bevels) stack inwards from the main band
+    const bands = normalizeBorderBands(borderOptions?.bands);
+    const borderWidth = mainWidth + bands.reduce((sum, band) => sum + band.width * sizeScale, 0);
+    const canvas = createCanvas(tokenSize, tokenSize);
+    // Border textures work on the whole canvas (some per pixel), so an inset frame is drawn separately
+    const frameCanvas = headroom > 0 ? createCanvas(frameSize, frameSize) : canvas;
+    const ctx = frameCanvas.getContext('2d');
+    
+    // Calculate crop area centered on face with zoom adjustment and offset
+    const cropData = calculateCropArea(image, faceData, frameSize - (borderWidth * 2), zoomAdjustment, cropOffset);
+    
+    // Prepare border colors (a custom scheme or color if provided, otherwise the colorScheme)
+    const borderColors = borderOptions?.customScheme || bandColors(borderOptions?.customColor, colorScheme);
+    
+    // Draw border background with texture (image frames go on top of the portrait instead)
+    if (!textureDef.over) {
+        drawTokenBorder(ctx, shape, mainWidth, borderColors, textureType, borderOptions?.textureParams, seed);
+    }
+    let bandOffset = mainWidth;
+    bands.forEach((band, i) => {
+        const width = band.width * sizeScale;
+        // Each band gets its own seed, so two bands of one texture don't repeat each other
+        drawTokenBorder(ctx, shape.inset(bandOffset), width, bandColors(band.color, colorScheme),
+            band.texture, band.textureParams, (seed + i + 1) >>> 0);
+        bandOffset += width;
+    });
     
-    // Create clipping path for circular token
+    // Corrected and filtered copy of the source (cached, so drags and zooms don't recompute it)
+    const adjustments = normalizeAdjustments(borderOptions?.adjustments);
+    const filterType = borderOptions?.filter || PORTRAIT_FILTERS.NONE;
+    const portrait = getFilteredImage(getAdjustedImage(image, adjustments), filterType, borderColors);
+    
+    // Create clipping path for the portrait (the shape, inside the border)
+    const portraitShape = shape.inset(borderWidth);
     ctx.save();
-    ctx.beginPath();
-    ctx.arc(tokenSize / 2, tokenSize / 2, (tokenSize - borderWidth * 2) / 2, 0, Math.PI * 2);
+    portraitShape.tracePath(ctx);
     ctx.clip();
     
     // Draw the cropped image
     const imageX = borderWidth;
     const imageY = borderWidth;
-    const imageSize = tokenSize - (borderWidth * 2);
+    const imageSize = frameSize - (borderWidth * 2);
+    const rotation = Number(renderOptions?.rotation) || 0;
+    const flipX = Boolean(renderOptions?.flipX);
     
     // Handle crop that may extend beyond image bounds
     // Use source coordinates if available, otherwise use regular coordinates
@@ -63,18 +125,23 @@ export function createToken(image, faceData, colorScheme, zoomAdjustment = 1.0,
     // Calculate how much of the crop extends beyond image bounds
     const offsetX = cropData.x < 0 ? -cropData.x : 0;
     const offsetY = cropData.y < 0 ? -cropData.y : 0;
-    const extendRight = (cropData.x + cropData.width) > image.width ? (cropData.x + cropData.width) - image.width : 0;
-    const extendBottom = (cropData.y + cropData.height) > image.height ? (cropData.y + cropData.height) - image.height : 0;
-    
-    // Fill areas that extend beyond image bounds with transparent/background
-    if (offsetX > 0 || offsetY > 0 || extendRight > 0 || extendBottom > 0) {
-        // Fill extended areas (will show as transparent or border color)
-        ctx.fillStyle = 'transparent';
-        ctx.fillRect(imageX, imageY, imageSize, imageSize);
-    }
+    
+    // Background behind the portrait: shows through transparent pixels and
+    // in crop margins that extend beyond the image bounds
+    drawBackgroundFill(ctx, borderOptions?.background || BACKGROUND_FILLS.NONE,
+        { x: imageX, y: imageY, size: imageSize },
+        {
+            colors: colorScheme,
+            color: borderOptions?.backgroundColor || null,
+            image: portrait,
+            seed,
+            drawPortrait: (c, layer) => drawTransformedCrop(c, portrait, cropData, imageX, imageY, imageSize, rotation, flipX, layer)
+        });
     
     // Draw the actual image portion
-    if (sourceWidth > 0 && sourceHeight > 0) {
+    if (rotation !== 0 || flipX) {
+        drawTransformedCrop(ctx, portrait, cropData, imageX, imageY, imageSize, rotation, flipX);
+    } else if (sourceWidth > 0 && sourceHeight > 0) {
         // Calculate destination position accounting for offsets
         const destX = imageX + (offsetX / cropData.width) * imageSize;
         const destY = imageY + (offsetY / cropData.height) * imageSize;
@@ -82,14 +149,36 @@ export function createToken(image, faceData, colorScheme, zoomAdjustment = 1.0,
         const destHeight = imageSize * (sourceHeight / cropData.height);
         
         ctx.drawImage(
-            image,
+            portrait,
             sourceX, sourceY, sourceWidth, sourceHeight,
             destX, destY, destWidth, destHeight
         );
     }
     
+    drawVignette(ctx, portraitShape, adjustments.vignette);
+    drawFilterOverlay(ctx, filterType, portraitShape, borderColors);
     ctx.restore();
     
+    if (textureDef.over) {
+        drawTokenBorder(ctx, shape, mainWidth, borderColors, textureType, borderOptions?.textureParams, seed);
+    }
+    
+    const outCtx = canvas.getContext('2d');
+    if (frameCanvas !== canvas) {
+        outCtx.drawImage(frameCanvas, frameX, frameY);
+    }
+    
+    // Subject breaking out over the top of the frame
+    if (popOut) {
+        drawPopOut(outCtx, portrait, popOut.mask, cropData, shape, borderWidth, imageSize, rotation, flipX, frameX, frameY);
+    }
+    
+    outCtx.save();
+    outCtx.translate(frameX, frameY);
+    // Optional banner, pips and faction arc on top of ring and portrait
+    drawOverlays(outCtx, shape, borderWidth, renderOptions?.overlays, sizeScale);
+    outCtx.restore();
+    
     return {
         canvas,
         image,
@@ -97,10 +186,30 @@ export function createToken(image, faceData, colorScheme, zoomAdjustment = 1.0,
         colorScheme,
         zoomAdjustment,
         cropOffset,
-        cropData // Include crop data for drag calculations
+        tokenSize,
+        borderWidth, // Actual border width in output pixels
+        imageSize, // Portrait area size in output pixels
+        frameX, // Frame position inside the canvas (non-zero with pop-out headroom)
+        frameY,
+        popOut: Boolean(popOut), // subject drawn over the frame
+        shape,
+        cropData, // Include crop data for drag calculations
+        rotation,
+        flipX
     };
 }
 
+/**
+ * Clamp a requested output size to the supported range
+ * @param {number} size - Requested size in pixels
+ * @returns {number} Whole-pixel size between MIN_TOKEN_SIZE and MAX_TOKEN_SIZE
+ */
+export function clampTokenSize(size) {
+    const n = Math.round(Number(size));
+    if (!Number.isFinite(n)) return REFERENCE_TOKEN_SIZE;
+    return Math.max(MIN_TOKEN_SIZE, Math.min(MAX_TOKEN_SIZE, n));
+}
+
 /**
  * Calculate crop area using eye distance and nose position for smart cropping
  * @param {HTMLImageElement} image - Source image
@@ -237,20 +346,109 @@ function calculateCropArea(image, faceData, targetSize, zoomAdjustment = 1.0, cr
 }
 
 /**
- * Draw circular border with texture
+ * Draw a rotated and/or mirrored crop: map the crop centre onto the portrait
+ * centre and draw the whole image through the transform (the caller's clip
+ * trims it to the frame). The caller's transform is restored afterwards, so
+ * what is drawn next (vignette, filter overlays) stays in token space.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (already clipped)
+ * @param {HTMLImageElement} image - Source image
+ * @param {Object} cropData - From calculateCropArea
+ * @param {number} imageX - Portrait area left edge
+ * @param {number} imageY - Portrait area top edge
+ * @param {number} imageSize - Portrait area size
+ * @param {number} rotation - Degrees clockwise
+ * @param {boolean} flipX - Mirror horizontally (applied before the rotation)
+ * @param {Object} [layer=image] - What to draw over the image's area (e.g. its subject mask)
+ */
+function drawTransformedCrop(ctx, image, cropData, imageX, imageY, imageSize, rotation, flipX, layer = image) {
+    const scale = imageSize / cropData.width;
+    ctx.save();
+    ctx.translate(imageX + imageSize / 2, imageY + imageSize / 2);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.scale(flipX ? -scale : scale, scale);
+    ctx.translate(-(cropData.x + cropData.width / 2), -(cropData.y + cropData.height / 2));
+    ctx.drawImage(layer, 0, 0, image.width, image.height);
+    ctx.restore();
+}
+
+/**
+ * Draw the masked subject again on top of the ring so it breaks out of the
+ * frame. Only the upper part may pop out (fading out towards the middle), so
+ * shoulders don't spill over the sides and bottom of the ring.
+ * @param {CanvasRenderingContext2D} ctx - Token context
+ * @param {HTMLImageElement} image - Source image
+ * @param {Object} mask - Image/canvas whose alpha marks the subject (stretched over the image)
+ * @param {Object} cropData - From calculateCropArea
+ * @param {Object} shape - Frame outline
+ * @param {number} borderWidth - Border width in output pixels
+ * @param {number} imageSize - Portrait area size
+ * @param {number} rotation - Degrees clockwise
+ * @param {boolean} flipX - Mirrored portrait
+ * @param {number} frameX - Frame position inside the canvas
+ * @param {number} frameY
+ */
+function drawPopOut(ctx, image, mask, cropData, shape, borderWidth, imageSize, rotation, flipX, frameX, frameY) {
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+    const frameSize = shape.cx * 2;
+    const layer = createCanvas(width, height);
+    const lctx = layer.getContext('2d');
+    
+    // Portrait through the same transform as inside the frame, cut to the subject
+    lctx.save();
+    lctx.translate(frameX, frameY);
+    drawTransformedCrop(lctx, image, cropData, borderWidth, borderWidth, imageSize, rotation, flipX);
+    lctx.restore();
+    lctx.save();
+    lctx.globalCompositeOperation = 'destination-in';
+    lctx.translate(frameX, frameY);
+    drawTransformedCrop(lctx, image, cropData, borderWidth, borderWidth, imageSize, rotation, flipX, mask);
+    lctx.restore();
+    
+    // Keep the top of the subject only: full strength above 30% of the frame, gone by its middle
+    const fade = lctx.createLinearGradient(0, frameY + frameSize * 0.3, 0, frameY + frameSize * 0.5);
+    fade.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    fade.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    lctx.globalCompositeOperation = 'destination-in';
+    lctx.fillStyle = fade;
+    lctx.fillRect(0, 0, width, height);
+    
+    // Inside the frame this lands exactly on the portrait, so no cut-out is
+    // needed there (cutting would leave an anti-aliased seam at the inner edge)
+    ctx.drawImage(layer, 0, 0);
+}
+
+/**
+ * Colors a border band is painted with
+ * @param {{r: number, g: number, b: number}|null} color - Picked color (null = the image's colors)
+ * @param {Object} colorScheme - Image color scheme
+ * @returns {Object} Color scheme for the texture
+ */
+function bandColors(color, colorScheme) {
+    return color ? { primary: color, secondary: color, accent: color, border: color } : colorScheme;
+}
+
+/**
+ * Draw the token border with texture, following the token shape
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} size - Canvas size
+ * @param {Object} shape - Token outline from createShape
  * @param {number} borderWidth - Border width
  * @param {Object} colors - Color scheme or custom colors
- * @param {string} textureType - Texture type from BORDER_TEXTURES
+ * @param {string} textureType - Texture id (built-in, registered or image frame)
+ * @param {Object} [textureParams] - Tunable values; missing ones use the texture's defaults
+ * @param {number} [seed] - Noise seed for procedural textures
  */
-function drawCircularBorder(ctx, size, borderWidth, colors, textureType = BORDER_TEXTURES.GRADIENT) {
+function drawTokenBorder(ctx, shape, borderWidth, colors, textureType = BORDER_TEXTURES.GRADIENT, textureParams = null, seed = DEFAULT_SEED) {
+    const size = ctx.canvas.width;
     const textureDef = getTextureDefinition(textureType);
+    // A zero-width band paints nothing (image frames size themselves)
+    if (!(borderWidth > 0) && !textureDef.innerRadius) return;
+    const params = resolveTextureParams(textureDef.type, textureParams);
     if (textureDef && textureDef.draw) {
-        textureDef.draw(ctx, size, borderWidth, colors);
+        textureDef.draw(ctx, size, borderWidth, colors, shape, params, seed);
     } else {
         // Fallback to gradient
         const fallbackDef = getTextureDefinition(BORDER_TEXTURES.GRADIENT);
-        fallbackDef.draw(ctx, size, borderWidth, colors);
+        fallbackDef.draw(ctx, size, borderWidth, colors, shape, resolveTextureParams(fallbackDef.type, null), seed);
     }
 }
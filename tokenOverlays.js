@@ -0,0 +1,315 @@
+/**
+ * Token Overlays Module
+ * Optional layers drawn on top of the finished token: a curved name banner,
+ * rank/level pips and a faction arc along the ring. Sizes are in 512px
+ * reference units like border widths, so overlays scale with the output size.
+ */
+
+import { REFERENCE_TOKEN_SIZE } from './borderStyles.js?v=1.5';
+import { createCanvas } from './canvasFactory.js';
+
+/**
+ * Where on the ring an overlay is centred
+ */
+export const OVERLAY_POSITIONS = {
+    TOP: 'top',
+    RIGHT: 'right',
+    BOTTOM: 'bottom',
+    LEFT: 'left'
+};
+
+// Canvas angles (radians, clockwise from 3 o'clock) for each position
+const POSITION_ANGLES = {
+    [OVERLAY_POSITIONS.TOP]: -Math.PI / 2,
+    [OVERLAY_POSITIONS.RIGHT]: 0,
+    [OVERLAY_POSITIONS.BOTTOM]: Math.PI / 2,
+    [OVERLAY_POSITIONS.LEFT]: Math.PI
+};
+
+/**
+ * Banner font stacks (system fonts only, so the CLI/API render the same text)
+ */
+export const OVERLAY_FONTS = {
+    SERIF: 'Georgia, "Times New Roman", serif',
+    BOOK: '"Palatino Linotype", Palatino, "Book Antiqua", serif',
+    SANS: '"Helvetica Neue", Arial, sans-serif'
+};
+
+/**
+ * Display names for the font picker
+ */
+export const OVERLAY_FONT_NAMES = {
+    [OVERLAY_FONTS.SERIF]: 'Serif',
+    [OVERLAY_FONTS.BOOK]: 'Book',
+    [OVERLAY_FONTS.SANS]: 'Sans'
+};
+
+/**
+ * Pip shapes
+ */
+export const PIP_STYLES = {
+    DOT: 'dot',
+    STAR: 'star',
+    DIAMOND: 'diamond'
+};
+
+export const MAX_PIPS = 10;
+export const MAX_BANNER_LENGTH = 40;
+
+/**
+ * Overlay settings every token starts from (all layers off)
+ * @returns {Object} { banner, pips, factionArc }
+ */
+export function defaultOverlays() {
+    return {
+        banner: {
+            enabled: false,
+            text: '',
+            font: OVERLAY_FONTS.SERIF,
+            fontSize: 30,
+            textColor: '#f5e6c8',
+            ribbonColor: '#5a1f1f',
+            position: OVERLAY_POSITIONS.BOTTOM
+        },
+        pips: {
+            enabled: false,
+            count: 3,
+            style: PIP_STYLES.STAR,
+            color: '#ffd700',
+            size: 20,
+            position: OVERLAY_POSITIONS.TOP
+        },
+        factionArc: {
+            enabled: false,
+            color: '#c0392b',
+            span: 90,
+            width: 14,
+            position: OVERLAY_POSITIONS.LEFT
+        }
+    };
+}
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function clampNumber(value, min, max, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+function pick(value, allowed, fallback) {
+    return Object.values(allowed).includes(value) ? value : fallback;
+}
+
+/**
+ * Validate overlay settings from storage, the API or the editor. Missing or
+ * invalid fields fall back to the defaults, so partial objects are fine.
+ * @param {Object|null} raw
+ * @returns {Object} Complete overlay settings (a new object)
+ */
+export function normalizeOverlays(raw) {
+    const defaults = defaultOverlays();
+    const banner = raw?.banner || {};
+    const pips = raw?.pips || {};
+    const arc = raw?.factionArc || {};
+    return {
+        banner: {
+            enabled: Boolean(banner.enabled),
+            text: typeof banner.text === 'string' ? banner.text.trim().substring(0, MAX_BANNER_LENGTH) : '',
+            font: typeof banner.font === 'string' && banner.font.trim() ? banner.font.trim() : defaults.banner.font,
+            fontSize: clampNumber(banner.fontSize, 12, 60, defaults.banner.fontSize),
+            textColor: isHexColor(banner.textColor) ? banner.textColor : defaults.banner.textColor,
+            ribbonColor: isHexColor(banner.ribbonColor) ? banner.ribbonColor : defaults.banner.ribbonColor,
+            position: pick(banner.position, OVERLAY_POSITIONS, defaults.banner.position)
+        },
+        pips: {
+            enabled: Boolean(pips.enabled),
+            count: Math.round(clampNumber(pips.count, 1, MAX_PIPS, defaults.pips.count)),
+            style: pick(pips.style, PIP_STYLES, defaults.pips.style),
+            color: isHexColor(pips.color) ? pips.color : defaults.pips.color,
+            size: clampNumber(pips.size, 6, 40, defaults.pips.size),
+            position: pick(pips.position, OVERLAY_POSITIONS, defaults.pips.position)
+        },
+        factionArc: {
+            enabled: Boolean(arc.enabled),
+            color: isHexColor(arc.color) ? arc.color : defaults.factionArc.color,
+            span: clampNumber(arc.span, 10, 360, defaults.factionArc.span),
+            width: clampNumber(arc.width, 2, 64, defaults.factionArc.width),
+            position: pick(arc.position, OVERLAY_POSITIONS, defaults.factionArc.position)
+        }
+    };
+}
+
+/**
+ * Whether any overlay layer would draw something
+ * @param {Object|null} overlays
+ * @returns {boolean}
+ */
+export function hasOverlays(overlays) {
+    return Boolean(overlays && (
+        (overlays.banner?.enabled && overlays.banner.text) ||
+        overlays.pips?.enabled ||
+        overlays.factionArc?.enabled
+    ));
+}
+
+/**
+ * Draw the enabled overlay layers, bottom to top: faction arc, pips, banner
+ * @param {CanvasRenderingContext2D} ctx - Token canvas (portrait and ring already drawn)
+ * @param {Object} shape - Token outline from tokenShapes.js
+ * @param {number} borderWidth - Ring width in output pixels
+ * @param {Object} overlays - Settings (see defaultOverlays; partial objects are filled in)
+ * @param {number} [scale] - Output px per reference px (defaults to the canvas size / 512)
+ */
+export function drawOverlays(ctx, shape, borderWidth, overlays, scale = ctx.canvas.width / REFERENCE_TOKEN_SIZE) {
+    if (!hasOverlays(overlays)) return;
+    const { banner, pips, factionArc } = normalizeOverlays(overlays);
+    ctx.save();
+    if (factionArc.enabled) drawFactionArc(ctx, shape, factionArc, scale);
+    if (pips.enabled) drawPips(ctx, shape, borderWidth, pips, scale);
+    if (banner.enabled && banner.text) drawBanner(ctx, shape, borderWidth, banner, scale);
+    ctx.restore();
+}
+
+/**
+ * Colored segment of the outer edge. Painted on a scratch layer as a wedge
+ * cut down to a band along the outline, so it follows every shape's edges.
+ */
+function drawFactionArc(ctx, shape, arc, scale) {
+    const size = ctx.canvas.width;
+    const layer = createCanvas(size, size);
+    const lctx = layer.getContext('2d');
+    const center = POSITION_ANGLES[arc.position];
+    const half = (arc.span * Math.PI / 180) / 2;
+
+    lctx.save();
+    shape.tracePath(lctx);
+    lctx.clip();
+    lctx.fillStyle = arc.color;
+    lctx.beginPath();
+    if (arc.span >= 360) {
+        lctx.rect(0, 0, size, size);
+    } else {
+        lctx.moveTo(shape.cx, shape.cy);
+        lctx.arc(shape.cx, shape.cy, size, center - half, center + half);
+        lctx.closePath();
+    }
+    lctx.fill();
+    lctx.restore();
+
+    lctx.globalCompositeOperation = 'destination-out';
+    shape.inset(arc.width * scale).tracePath(lctx);
+    lctx.fill();
+
+    ctx.drawImage(layer, 0, 0);
+}
+
+/**
+ * A row of pips centred on the ring (moved inwards when the ring is thinner
+ * than a pip, so they are never clipped by the canvas edge)
+ */
+function drawPips(ctx, shape, borderWidth, pips, scale) {
+    const pipRadius = (pips.size * scale) / 2;
+    const ringRadius = shape.radius - Math.max(borderWidth / 2, pipRadius * 1.2);
+    if (ringRadius <= 0) return;
+    const step = (pipRadius * 2.4) / ringRadius;
+    const start = POSITION_ANGLES[pips.position] - (step * (pips.count - 1)) / 2;
+
+    ctx.fillStyle = pips.color;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.lineWidth = Math.max(1, pipRadius * 0.18);
+    ctx.lineJoin = 'round';
+    for (let i = 0; i < pips.count; i++) {
+        const angle = start + step * i;
+        ctx.save();
+        ctx.translate(shape.cx + ringRadius * Math.cos(angle), shape.cy + ringRadius * Math.sin(angle));
+        ctx.rotate(angle + Math.PI / 2); // points face outwards
+        tracePip(ctx, pips.style, pipRadius);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+function tracePip(ctx, style, r) {
+    ctx.beginPath();
+    if (style === PIP_STYLES.STAR) {
+        for (let i = 0; i < 10; i++) {
+            const a = -Math.PI / 2 + (i * Math.PI) / 5;
+            const d = i % 2 === 0 ? r : r * 0.45;
+            ctx.lineTo(d * Math.cos(a), d * Math.sin(a));
+        }
+        ctx.closePath();
+    } else if (style === PIP_STYLES.DIAMOND) {
+        ctx.moveTo(0, -r);
+        ctx.lineTo(r * 0.7, 0);
+        ctx.lineTo(0, r);
+        ctx.lineTo(-r * 0.7, 0);
+        ctx.closePath();
+    } else {
+        ctx.arc(0, 0, r * 0.8, 0, Math.PI * 2);
+    }
+}
+
+/**
+ * Ribbon along the inner edge of the ring with the text set on the arc.
+ * On the lower half letters stand with their tops towards the centre so the
+ * name still reads left to right; elsewhere tops point outwards.
+ */
+function drawBanner(ctx, shape, borderWidth, banner, scale) {
+    const chars = [...banner.text];
+    let fontSize = banner.fontSize * scale;
+    const height = fontSize * 1.45;
+    const radius = shape.radius - borderWidth * 0.35 - height / 2;
+    if (radius <= 0) return;
+
+    ctx.font = `bold ${fontSize}px ${banner.font}`;
+    let widths = chars.map(ch => ctx.measureText(ch).width);
+    let sweep = widths.reduce((sum, w) => sum + w, 0) / radius;
+    // Long names shrink to fit instead of wrapping round the token
+    const maxSweep = Math.PI * 0.8;
+    if (sweep > maxSweep) {
+        const fit = maxSweep / sweep;
+        fontSize *= fit;
+        widths = widths.map(w => w * fit);
+        sweep = maxSweep;
+        ctx.font = `bold ${fontSize}px ${banner.font}`;
+    }
+
+    const center = POSITION_ANGLES[banner.position];
+    const pad = (height * 0.6) / radius;
+
+    // Ribbon with darker edges
+    ctx.lineCap = 'butt';
+    ctx.strokeStyle = banner.ribbonColor;
+    ctx.lineWidth = height;
+    ctx.beginPath();
+    ctx.arc(shape.cx, shape.cy, radius, center - sweep / 2 - pad, center + sweep / 2 + pad);
+    ctx.stroke();
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.lineWidth = Math.max(1, 1.5 * scale);
+    for (const edge of [radius - height / 2, radius + height / 2]) {
+        ctx.beginPath();
+        ctx.arc(shape.cx, shape.cy, edge, center - sweep / 2 - pad, center + sweep / 2 + pad);
+        ctx.stroke();
+    }
+
+    // Letters, one at a time along the arc
+    const lower = Math.sin(center) > 0.01;
+    const direction = lower ? -1 : 1;
+    let angle = center - direction * sweep / 2;
+    ctx.fillStyle = banner.textColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    chars.forEach((ch, i) => {
+        const half = widths[i] / 2 / radius;
+        angle += direction * half;
+        ctx.save();
+        ctx.translate(shape.cx + radius * Math.cos(angle), shape.cy + radius * Math.sin(angle));
+        ctx.rotate(lower ? angle - Math.PI / 2 : angle + Math.PI / 2);
+        ctx.fillText(ch, 0, 0);
+        ctx.restore();
+        angle += direction * half;
+    });
+}
@@ -0,0 +1,220 @@
+/**
+ * Token Shapes Module
+ * Outline geometry shared by the portrait clip and every border texture, so
+ * each texture works on every frame shape (circle, square, hex, shield...).
+ */
+
+/**
+ * Token shape types
+ */
+export const TOKEN_SHAPES = {
+    CIRCLE: 'circle',
+    SQUARE: 'square',
+    ROUNDED: 'rounded',
+    HEX: 'hex',           // pointy-top, for hex-row grids
+    HEX_FLAT: 'hex-flat', // flat-top, for hex-column grids
+    SHIELD: 'shield'
+};
+
+/**
+ * Display names for the shape picker
+ */
+export const SHAPE_NAMES = {
+    [TOKEN_SHAPES.CIRCLE]: 'Circle',
+    [TOKEN_SHAPES.SQUARE]: 'Square',
+    [TOKEN_SHAPES.ROUNDED]: 'Rounded Square',
+    [TOKEN_SHAPES.HEX]: 'Hex (pointy top)',
+    [TOKEN_SHAPES.HEX_FLAT]: 'Hex (flat top)',
+    [TOKEN_SHAPES.SHIELD]: 'Shield'
+};
+
+/**
+ * Create the outline for a token of the given size. The returned shape
+ * exposes everything the renderer needs:
+ *  - tracePath(ctx): begin a path along the outline (caller fills or clips)
+ *  - depthAt(x, y): distance from the outline towards the inside (negative outside)
+ *  - inset(d): the same shape with its outline moved d px inwards (d < 0 grows it)
+ *  - cx, cy, radius: centre and inscribed-circle radius, for radial effects
+ * @param {string} shapeType - Shape type from TOKEN_SHAPES
+ * @param {number} size - Token canvas size in pixels
+ * @returns {Object} Shape
+ */
+export function createShape(shapeType, size) {
+    const c = size / 2;
+    const h = size / 2; // half-extent of the outline
+    switch (shapeType) {
+        case TOKEN_SHAPES.SQUARE:
+            return polygonShape(shapeType, c, c, [[-h, -h], [h, -h], [h, h], [-h, h]]);
+        case TOKEN_SHAPES.ROUNDED:
+            return roundedShape(c, c, h, h * 0.22);
+        case TOKEN_SHAPES.HEX:
+            return polygonShape(shapeType, c, c, regularPolygon(6, h, -Math.PI / 2));
+        case TOKEN_SHAPES.HEX_FLAT:
+            return polygonShape(shapeType, c, c, regularPolygon(6, h, 0));
+        case TOKEN_SHAPES.SHIELD:
+            return polygonShape(shapeType, c, c, shieldOutline(h));
+        default:
+            return circleShape(c, c, h);
+    }
+}
+
+/**
+ * Circle outline
+ */
+function circleShape(cx, cy, r) {
+    return {
+        type: TOKEN_SHAPES.CIRCLE,
+        cx, cy,
+        radius: r,
+        tracePath(ctx) {
+            ctx.beginPath();
+            ctx.arc(cx, cy, Math.max(0, r), 0, Math.PI * 2);
+        },
+        depthAt(x, y) {
+            return r - Math.hypot(x - cx, y - cy);
+        },
+        inset(d) {
+            return circleShape(cx, cy, r - d);
+        }
+    };
+}
+
+/**
+ * Square with rounded corners (h = half side, rc = corner radius)
+ */
+function roundedShape(cx, cy, h, rc) {
+    const half = Math.max(0, h);
+    const corner = Math.max(0, Math.min(rc, half));
+    return {
+        type: TOKEN_SHAPES.ROUNDED,
+        cx, cy,
+        radius: half,
+        tracePath(ctx) {
+            const l = cx - half, t = cy - half, r = cx + half, b = cy + half;
+            ctx.beginPath();
+            ctx.moveTo(l + corner, t);
+            ctx.arcTo(r, t, r, b, corner);
+            ctx.arcTo(r, b, l, b, corner);
+            ctx.arcTo(l, b, l, t, corner);
+            ctx.arcTo(l, t, r, t, corner);
+            ctx.closePath();
+        },
+        depthAt(x, y) {
+            // Signed distance to a rounded box, flipped so inside is positive
+            const qx = Math.abs(x - cx) - (half - corner);
+            const qy = Math.abs(y - cy) - (half - corner);
+            const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0));
+            const inside = Math.min(Math.max(qx, qy), 0);
+            return corner - outside - inside;
+        },
+        inset(d) {
+            // Keep the corner concentric so the frame width stays even
+            return roundedShape(cx, cy, h - d, rc - d);
+        }
+    };
+}
+
+/**
+ * Convex polygon outline; points are relative to the centre, clockwise on
+ * screen (y down).
+ */
+function polygonShape(type, cx, cy, points) {
+    // Inward unit normal + offset of each edge line: depth = n·p - offset
+    const edges = points.map((p, i) => {
+        const q = points[(i + 1) % points.length];
+        const ex = q[0] - p[0], ey = q[1] - p[1];
+        const len = Math.hypot(ex, ey) || 1;
+        const nx = -ey / len, ny = ex / len; // inward for clockwise winding (y down)
+        return { nx, ny, offset: nx * p[0] + ny * p[1] };
+    });
+    const radius = Math.max(0, Math.min(...edges.map(e => -e.offset)));
+    return {
+        type,
+        cx, cy,
+        radius,
+        tracePath(ctx) {
+            ctx.beginPath();
+            points.forEach(([px, py], i) => {
+                if (i === 0) ctx.moveTo(cx + px, cy + py);
+                else ctx.lineTo(cx + px, cy + py);
+            });
+            ctx.closePath();
+        },
+        depthAt(x, y) {
+            // Inside a convex polygon the distance to the outline is the
+            // distance to the nearest edge line
+            const px = x - cx, py = y - cy;
+            let depth = Infinity;
+            for (const e of edges) {
+                const dist = e.nx * px + e.ny * py - e.offset;
+                if (dist < depth) depth = dist;
+            }
+            return depth;
+        },
+        inset(d) {
+            if (d >= radius) return circleShape(cx, cy, 0); // inset swallowed the whole shape
+            return polygonShape(type, cx, cy, offsetPolygon(points, edges, d));
+        }
+    };
+}
+
+/**
+ * Move every edge of a convex polygon d px inwards and re-intersect the
+ * neighbouring edge lines to find the new corners.
+ */
+function offsetPolygon(points, edges, d) {
+    return points.map((_, i) => {
+        const a = edges[(i - 1 + edges.length) % edges.length];
+        const b = edges[i];
+        const oa = a.offset + d, ob = b.offset + d;
+        const det = a.nx * b.ny - a.ny * b.nx;
+        if (Math.abs(det) < 1e-9) {
+            // Collinear neighbours (dense curve samples): just push the point along the normal
+            return [points[i][0] + b.nx * d, points[i][1] + b.ny * d];
+        }
+        return [(oa * b.ny - a.ny * ob) / det, (a.nx * ob - oa * b.nx) / det];
+    });
+}
+
+/**
+ * Regular polygon with circumradius chosen so it fills the token square
+ */
+function regularPolygon(sides, h, startAngle) {
+    // Fit the polygon's bounding box to the canvas in the tighter direction
+    const points = [];
+    for (let i = 0; i < sides; i++) {
+        const a = startAngle + (i / sides) * Math.PI * 2;
+        points.push([Math.cos(a), Math.sin(a)]);
+    }
+    const extentX = Math.max(...points.map(p => Math.abs(p[0])));
+    const extentY = Math.max(...points.map(p => Math.abs(p[1])));
+    const r = h / Math.max(extentX, extentY);
+    return points.map(([x, y]) => [x * r, y * r]);
+}
+
+/**
+ * Heater-shield outline: flat top, straight sides, curving to a point
+ */
+function shieldOutline(h) {
+    const top = -h * 0.96;
+    const side = h * 0.92;
+    const shoulder = h * 0.05; // where the sides start to curve in
+    const points = [[-side, top], [side, top], [side, shoulder]];
+    // Right flank: quadratic curve from the shoulder down to the tip
+    const steps = 14;
+    for (let i = 1; i < steps; i++) {
+        const t = i / steps;
+        const mt = 1 - t;
+        const x = mt * mt * side + 2 * mt * t * side * 0.98 + t * t * 0;
+        const y = mt * mt * shoulder + 2 * mt * t * h * 0.62 + t * t * h;
+        points.push([x, y]);
+    }
+    points.push([0, h]);
+    // Left flank mirrors the right one (walked bottom-up to stay clockwise)
+    for (let i = steps - 1; i >= 1; i--) {
+        const [x, y] = points[2 + i];
+        points.push([-x, y]);
+    }
+    points.push([-side, shoulder]);
+    return points;
+}
@@ -0,0 +1,135 @@
+/**
+ * ZIP Writer Module
+ * Minimal, dependency-free ZIP archive builder used for batch exports.
+ * PNGs are already deflate-compressed, so entries are simply STORED.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 (the ZIP/PNG polynomial) of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack a JS Date into the MS-DOS time/date pair ZIP headers use
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive from in-memory files
+ * @param {Array<{name: string, data: Uint8Array}>} entries - Files to store (names may contain '/')
+ * @returns {Uint8Array} The complete archive bytes
+ */
+export function createZip(entries) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const nameBytes = encoder.encode(entry.name);
+        const data = entry.data;
+        const crc = crc32(data);
+
+        // Local file header (30 bytes + name)
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);           // version needed
+        local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+        local.setUint16(8, 0, true);            // method: store
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);           // extra length
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        // Central directory header (46 bytes + name)
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);    // local header offset
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+        out.set(part, pos);
+        pos += part.length;
+    }
+    return out;
+}
+
+/**
+ * Give each name a unique spelling within one archive (token_x.png,
+ * token_x_2.png, ...) so same-named source files don't overwrite each other.
+ * @param {string} name - Desired file name
+ * @param {Set<string>} used - Names already taken (updated in place)
+ * @returns {string} Unique file name
+ */
+export function uniqueZipName(name, used) {
+    if (!used.has(name)) {
+        used.add(name);
+        return name;
+    }
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.substring(0, dot) : name;
+    const ext = dot > 0 ? name.substring(dot) : '';
+    let n = 2;
+    while (used.has(`${base}_${n}${ext}`)) n++;
+    const unique = `${base}_${n}${ext}`;
+    used.add(unique);
+    return unique;
+}